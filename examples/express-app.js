@@ -16,7 +16,7 @@
  * Routes created automatically for each configured provider:
  *   GET /auth/{provider}           → Start OAuth login
  *   GET /auth/{provider}/callback  → OAuth callback
- *   GET /auth/logout               → Clear session
+ *   POST /auth/logout              → Clear session (CSRF-protected)
  */
 
 import 'dotenv/config';
@@ -134,7 +134,7 @@ app.get('/dashboard', auth.protect(), (req, res) => {
         <h1>Dashboard</h1>
         <p>You are logged in!</p>
         <pre style="background: #f4f4f4; padding: 16px; border-radius: 8px; overflow-x: auto;">${JSON.stringify(req.user, null, 2)}</pre>
-        <p><a href="/auth/logout">Logout</a></p>
+        <form method="post" action="/auth/logout"><input type="hidden" name="_csrf" value="${auth.csrfToken(req)}"><button>Logout</button></form>
         <p><a href="/">Home</a></p>
       </body>
     </html>
@@ -194,7 +194,6 @@ app.get('/', (req, res) => {
 
         <div class="links">
           <a href="/dashboard">Dashboard (protected)</a>
-          <a href="/auth/logout">Logout</a>
         </div>
       </body>
     </html>
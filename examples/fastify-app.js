@@ -11,7 +11,7 @@
  * Routes created automatically for each configured provider:
  *   GET /auth/{provider}           → Start OAuth login
  *   GET /auth/{provider}/callback  → OAuth callback
- *   GET /auth/logout               → Clear session
+ *   POST /auth/logout              → Clear session (CSRF-protected)
  */
 
 import 'dotenv/config';
@@ -110,7 +110,7 @@ fastify.get('/dashboard', { preHandler: auth.protect() }, (request, reply) => {
         <h1>Dashboard</h1>
         <p>You are logged in!</p>
         <pre style="background: #f4f4f4; padding: 16px; border-radius: 8px; overflow-x: auto;">${JSON.stringify(request.user, null, 2)}</pre>
-        <p><a href="/auth/logout">Logout</a></p>
+        <form method="post" action="/auth/logout"><input type="hidden" name="_csrf" value="${auth.csrfToken(request)}"><button>Logout</button></form>
         <p><a href="/">Home</a></p>
       </body>
     </html>
@@ -168,7 +168,6 @@ fastify.get('/', (request, reply) => {
 
         <div class="links">
           <a href="/dashboard">Dashboard (protected)</a>
-          <a href="/auth/logout">Logout</a>
         </div>
       </body>
     </html>
@@ -7,6 +7,9 @@
  *
  * For production, replace the internal Map with Redis or a database.
  *
+ * For fully server-side sessions (opaque session ID in the cookie, revoked by
+ * deleting it), use the built-in `session.strategy: 'cookie'` instead.
+ *
  * @example
  * import { AuthSnap } from 'authsnap';
  * import { MemorySessionStore } from './stores/memory-session-store.js';
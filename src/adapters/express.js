@@ -1,14 +1,43 @@
-import { Router } from 'express';
-import { handleLogin, handleCallback, handleCallbackError, handleLogout } from '../core/route-handler.js';
+import { Router, json, urlencoded } from 'express';
+import {
+  handleLogin,
+  handleCallback,
+  handleCallbackError,
+  handleLogout,
+  handleLogoutRequest,
+  handleErrorPage,
+  handleJWKS,
+  handleSession,
+  handleProviders,
+  handleCsrf,
+  handleTokenRequest,
+  handleTokenLogin,
+  loginOptions,
+} from '../core/route-handler.js';
+import { flowCookieName } from '../core/flow-state.js';
 import { createRateLimiter } from '../middleware/rate-limit.js';
 
 /**
  * Creates an Express router with all auth routes mounted.
  *
  * Routes generated (per provider):
- *   GET  {basePath}/{provider}          → Redirect to provider's OAuth consent screen
+ *   GET  {basePath}/{provider}          → Redirect to provider's OAuth consent screen (accepts ?returnTo=, or
+ *                                         ?redirect_uri=&code_challenge= for mobile login)
  *   GET  {basePath}/{provider}/callback → Handle OAuth callback, exchange code, create session
- *   GET  {basePath}/logout              → Clear session and redirect
+ *   POST {basePath}/{provider}/callback → Same, for providers using response_mode=form_post (Apple)
+ *   POST {basePath}/{provider}/token-login → Sign in with an id_token / access_token the client got from
+ *                                         the provider (One Tap, native SDKs); JSON body
+ *   POST {basePath}/logout              → Clear session (CSRF-checked), end the provider session (singleLogout), redirect to returnTo
+ *   GET  {basePath}/logout              → Clear session and redirect to / (deprecated; only with allowGetLogout)
+ *
+ * Routes generated (once):
+ *   GET  {basePath}/session             → Current user, expiry and CSRF token as JSON (401 without a session)
+ *   GET  {basePath}/providers           → Configured providers with display names and login URLs
+ *   GET  {basePath}/csrf                → CSRF token for POST logout
+ *   POST {basePath}/token               → Renew a bearer session, or redeem a mobile login code; a cookie
+ *                                         session only with allowTokenExchange (unless session.tokenSource
+ *                                         is 'cookie')
+ *   GET  {basePath}/.well-known/jwks.json → Public keys for verifying session JWTs
  *
  * @param {import('../core/authsnap.js').AuthSnap} authSnap
  * @returns {import('express').Router}
@@ -25,7 +54,7 @@ export function createExpressAdapter(authSnap) {
 
   for (const [providerName, provider] of authSnap.providers) {
     // --- Login route ---
-    router.get(`${basePath}/${providerName}`, (req, res) => {
+    router.get(`${basePath}/${providerName}`, async (req, res) => {
       if (limiter && !limiter.check(getClientIP(req))) {
         return res.status(429).json({ error: 'Too many requests. Try again later.' });
       }
@@ -34,53 +63,147 @@ export function createExpressAdapter(authSnap) {
         provider.config.callbackURL ||
         `${getBaseURL(req)}${basePath}/${providerName}/callback`;
 
-      const { redirectURL, state, secure } = handleLogin(authSnap, providerName, callbackURL, req);
-
-      res.cookie('authsnap_state', state, {
-        httpOnly: true,
-        sameSite: 'lax',
-        maxAge: 600_000,
-        secure,
-      });
-
-      res.redirect(redirectURL);
+      try {
+        const login = await handleLogin(authSnap, providerName, callbackURL, req, loginOptions(req.query));
+
+        // One cookie per flow, so parallel logins don't overwrite each other.
+        // For flows kept in the state store it binds the flow to this browser.
+        res.cookie(login.flowCookieName, login.flowCookie, {
+          httpOnly: true,
+          sameSite: login.flowCookieSameSite,
+          maxAge: login.flowMaxAge,
+          secure: login.secure,
+        });
+
+        res.redirect(login.redirectURL);
+      } catch (error) {
+        // e.g. OIDC discovery failed
+        const { redirectURL } = handleCallbackError(authSnap, providerName, error);
+        res.redirect(redirectURL);
+      }
     });
 
-    // --- Callback route ---
-    router.get(`${basePath}/${providerName}/callback`, async (req, res) => {
+    // --- Callback route (GET query string, or POST form body for form_post providers) ---
+    const callbackHandler = async (req, res) => {
       try {
-        const { code, state } = req.query;
-        const storedState = getCookie(req, 'authsnap_state');
+        const params = req.method === 'POST' ? req.body || {} : req.query;
+        const cookieName = flowCookieName(params.state);
+        const storedFlow = getCookie(req, cookieName);
 
-        res.clearCookie('authsnap_state');
+        res.clearCookie(cookieName);
 
         const callbackURL =
           provider.config.callbackURL ||
           `${getBaseURL(req)}${basePath}/${providerName}/callback`;
 
         const { redirectURL, sessionCookie } = await handleCallback(
-          authSnap, providerName, code, state, storedState, callbackURL
+          authSnap, providerName, params, storedFlow, callbackURL
         );
 
-        res.setHeader('Set-Cookie', sessionCookie);
+        // append, not setHeader — keeps the state cookie clear and every session chunk
+        if (sessionCookie) res.append('Set-Cookie', sessionCookie);
         res.redirect(redirectURL);
       } catch (error) {
         const { redirectURL } = handleCallbackError(authSnap, providerName, error);
         res.redirect(redirectURL);
       }
+    };
+
+    router.get(`${basePath}/${providerName}/callback`, callbackHandler);
+    router.post(`${basePath}/${providerName}/callback`, urlencoded({ extended: false }), callbackHandler);
+
+    // --- Token login (credential from a client-side SDK). JSON only, so a
+    // cross-site form can't sign the browser in to someone else's account ---
+    router.post(`${basePath}/${providerName}/token-login`, json(), async (req, res) => {
+      if (limiter && !limiter.check(getClientIP(req))) {
+        return res.status(429).json({ error: 'Too many requests. Try again later.' });
+      }
+
+      const { status, json: body, sessionCookie, cacheControl } = await handleTokenLogin(
+        authSnap, providerName, req.body
+      );
+      if (sessionCookie) res.append('Set-Cookie', sessionCookie);
+      res.setHeader('Cache-Control', cacheControl);
+      res.status(status).json(body);
     });
   }
 
-  // --- Logout route ---
-  router.get(`${basePath}/logout`, (req, res) => {
-    const { clearCookie } = handleLogout(authSnap);
-    res.setHeader('Set-Cookie', clearCookie);
-    res.redirect('/');
+  // --- Logout route (POST, CSRF-protected) ---
+  router.post(`${basePath}/logout`, urlencoded({ extended: false }), async (req, res) => {
+    try {
+      const { clearCookie, redirectURL } = await handleLogoutRequest(authSnap, {
+        sessionToken: authSnap.sessionManager.getTokenFromRequest(req),
+        csrfToken: req.body?._csrf || req.get('x-csrf-token'),
+        // Body only — a cross-site form can't pick the redirect through the query string
+        returnTo: req.body?.returnTo,
+        baseURL: getBaseURL(req),
+      });
+
+      res.setHeader('Set-Cookie', clearCookie);
+      res.redirect(303, redirectURL);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+    }
   });
 
+  // --- Logout route (GET, deprecated — can be triggered cross-site, so opt-in) ---
+  if (config.allowGetLogout) {
+    router.get(`${basePath}/logout`, async (req, res) => {
+      await authSnap.sessionManager.destroySession(authSnap.sessionManager.getTokenFromRequest(req));
+      const { clearCookie } = handleLogout(authSnap);
+      res.setHeader('Set-Cookie', clearCookie);
+      res.redirect('/');
+    });
+  }
+
   // --- Error fallback ---
-  router.get(`${basePath}/error`, (req, res) => {
-    res.status(401).json({ error: 'Authentication failed' });
+  router.get(`${basePath}/error`, async (req, res) => {
+    const page = await handleErrorPage(authSnap, { code: req.query.error, headers: req.headers, req });
+    if (page.html !== undefined) {
+      return res.status(page.status).type('html').send(page.html);
+    }
+    res.status(page.status).json(page.json);
+  });
+
+  // --- Current session (for SPAs) ---
+  router.get(`${basePath}/session`, async (req, res) => {
+    const { status, json, renewedCookie, cacheControl } = await handleSession(
+      authSnap, authSnap.sessionManager.readTokenFromRequest(req)
+    );
+    if (renewedCookie) res.append('Set-Cookie', renewedCookie);
+    res.setHeader('Cache-Control', cacheControl);
+    res.status(status).json(json);
+  });
+
+  // --- Bearer token for API and mobile clients ---
+  if (authSnap.sessionManager.tokenSource !== 'cookie') {
+    router.post(`${basePath}/token`, urlencoded({ extended: false }), json(), async (req, res) => {
+      const result = await handleTokenRequest(
+        authSnap, authSnap.sessionManager.readTokenFromRequest(req), req.body
+      );
+      if (result.renewedCookie) res.append('Set-Cookie', result.renewedCookie);
+      res.setHeader('Cache-Control', result.cacheControl);
+      res.status(result.status).json(result.json);
+    });
+  }
+
+  // --- Configured providers (for login pages) ---
+  router.get(`${basePath}/providers`, (req, res) => {
+    res.json(handleProviders(authSnap));
+  });
+
+  // --- CSRF token for POST logout ---
+  router.get(`${basePath}/csrf`, (req, res) => {
+    const { csrfToken, cacheControl } = handleCsrf(authSnap, authSnap.sessionManager.getTokenFromRequest(req));
+    res.setHeader('Cache-Control', cacheControl);
+    res.json({ csrfToken });
+  });
+
+  // --- Session verification keys (JWKS) ---
+  router.get(`${basePath}/.well-known/jwks.json`, (req, res) => {
+    const { jwks, cacheControl } = handleJWKS(authSnap);
+    res.setHeader('Cache-Control', cacheControl);
+    res.json(jwks);
   });
 
   return router;
@@ -1,4 +1,19 @@
-import { handleLogin, handleCallback, handleCallbackError, handleLogout } from '../core/route-handler.js';
+import {
+  handleLogin,
+  handleCallback,
+  handleCallbackError,
+  handleLogout,
+  handleLogoutRequest,
+  handleErrorPage,
+  handleJWKS,
+  handleSession,
+  handleProviders,
+  handleCsrf,
+  handleTokenRequest,
+  handleTokenLogin,
+  loginOptions,
+} from '../core/route-handler.js';
+import { flowCookieName } from '../core/flow-state.js';
 import { createRateLimiter } from '../middleware/rate-limit.js';
 
 /**
@@ -29,9 +44,12 @@ export function createFastifyAdapter(authSnap) {
     // Register @fastify/cookie if not already registered (needed for state cookies)
     // Users should install @fastify/cookie themselves; we parse manually as fallback.
 
+    /** POST callback handlers, mounted with the other form routes below */
+    const callbackHandlers = new Map();
+
     for (const [providerName, provider] of authSnap.providers) {
       // --- Login route ---
-      fastify.get(`${basePath}/${providerName}`, (request, reply) => {
+      fastify.get(`${basePath}/${providerName}`, async (request, reply) => {
         if (limiter && !limiter.check(getClientIP(request))) {
           return reply.code(429).send({ error: 'Too many requests. Try again later.' });
         }
@@ -40,56 +58,171 @@ export function createFastifyAdapter(authSnap) {
           provider.config.callbackURL ||
           `${getBaseURL(request)}${basePath}/${providerName}/callback`;
 
-        const { redirectURL, state, secure } = handleLogin(authSnap, providerName, callbackURL, request);
+        try {
+          const login = await handleLogin(authSnap, providerName, callbackURL, request, loginOptions(request.query));
 
-        // Set state cookie
-        reply.setCookie('authsnap_state', state, {
-          httpOnly: true,
-          sameSite: 'lax',
-          maxAge: 600,
-          secure,
-          path: '/',
-        });
+          // Set this flow's state cookie (signed state, PKCE verifier, nonce, ...,
+          // or the browser binding of a flow kept in the state store)
+          reply.setCookie(login.flowCookieName, login.flowCookie, {
+            httpOnly: true,
+            sameSite: login.flowCookieSameSite,
+            maxAge: Math.floor(login.flowMaxAge / 1000),
+            secure: login.secure,
+            path: '/',
+          });
 
-        reply.redirect(redirectURL);
+          reply.redirect(login.redirectURL);
+        } catch (error) {
+          // e.g. OIDC discovery failed
+          const { redirectURL } = handleCallbackError(authSnap, providerName, error);
+          reply.redirect(redirectURL);
+        }
       });
 
-      // --- Callback route ---
-      fastify.get(`${basePath}/${providerName}/callback`, async (request, reply) => {
+      // --- Callback route (GET query string, or POST form body for form_post providers) ---
+      const callbackHandler = async (request, reply) => {
         try {
-          const { code, state } = request.query;
-          const storedState = getCookie(request, 'authsnap_state');
+          const params = request.method === 'POST' ? request.body || {} : request.query;
+          const cookieName = flowCookieName(params.state);
+          const storedFlow = getCookie(request, cookieName);
 
           // Clear state cookie
-          reply.clearCookie('authsnap_state', { path: '/' });
+          reply.clearCookie(cookieName, { path: '/' });
 
           const callbackURL =
             provider.config.callbackURL ||
             `${getBaseURL(request)}${basePath}/${providerName}/callback`;
 
           const { redirectURL, sessionCookie } = await handleCallback(
-            authSnap, providerName, code, state, storedState, callbackURL
+            authSnap, providerName, params, storedFlow, callbackURL
           );
 
-          reply.header('Set-Cookie', sessionCookie);
+          if (sessionCookie) reply.header('Set-Cookie', sessionCookie);
           reply.redirect(redirectURL);
         } catch (error) {
           const { redirectURL } = handleCallbackError(authSnap, providerName, error);
           reply.redirect(redirectURL);
         }
+      };
+
+      fastify.get(`${basePath}/${providerName}/callback`, callbackHandler);
+      callbackHandlers.set(providerName, callbackHandler);
+
+      // --- Token login (credential from a client-side SDK). JSON only, so a
+      // cross-site form can't sign the browser in to someone else's account ---
+      fastify.post(`${basePath}/${providerName}/token-login`, async (request, reply) => {
+        if (limiter && !limiter.check(getClientIP(request))) {
+          return reply.code(429).send({ error: 'Too many requests. Try again later.' });
+        }
+
+        const isJSON = request.headers['content-type']?.startsWith('application/json');
+        const { status, json, sessionCookie, cacheControl } = await handleTokenLogin(
+          authSnap, providerName, isJSON ? request.body || {} : {}
+        );
+        if (sessionCookie) reply.header('Set-Cookie', sessionCookie);
+        reply.header('Cache-Control', cacheControl);
+        return reply.code(status).send(json);
       });
     }
 
-    // --- Logout route ---
-    fastify.get(`${basePath}/logout`, (request, reply) => {
-      const { clearCookie } = handleLogout(authSnap);
-      reply.header('Set-Cookie', clearCookie);
-      reply.redirect('/');
+    // --- Routes that take urlencoded forms: form_post callbacks (Apple), logout
+    // and the token route. Fastify has no parser for forms by default; ours is
+    // added in an encapsulated child so it doesn't reach the app's own routes or
+    // clash with one the app registers later (e.g. @fastify/formbody) ---
+    fastify.register(async (forms) => {
+      if (!forms.hasContentTypeParser('application/x-www-form-urlencoded')) {
+        forms.addContentTypeParser(
+          'application/x-www-form-urlencoded',
+          { parseAs: 'string' },
+          (_request, body, done) => done(null, Object.fromEntries(new URLSearchParams(body)))
+        );
+      }
+
+      for (const [providerName, callbackHandler] of callbackHandlers) {
+        forms.post(`${basePath}/${providerName}/callback`, callbackHandler);
+      }
+
+      // --- Logout route (POST, CSRF-protected) ---
+      forms.post(`${basePath}/logout`, async (request, reply) => {
+        try {
+          const { clearCookie, redirectURL } = await handleLogoutRequest(authSnap, {
+            sessionToken: authSnap.sessionManager.getTokenFromRequest(request),
+            csrfToken: request.body?._csrf || request.headers['x-csrf-token'],
+            // Body only — a cross-site form can't pick the redirect through the query string
+            returnTo: request.body?.returnTo,
+            baseURL: getBaseURL(request),
+          });
+
+          reply.header('Set-Cookie', clearCookie);
+          return reply.code(303).redirect(redirectURL);
+        } catch (error) {
+          return reply.code(error.statusCode || 500).send({ error: error.message, code: error.code });
+        }
+      });
+
+      // --- Bearer token for API and mobile clients ---
+      if (authSnap.sessionManager.tokenSource !== 'cookie') {
+        forms.post(`${basePath}/token`, async (request, reply) => {
+          const { status, json, renewedCookie, cacheControl } = await handleTokenRequest(
+            authSnap, authSnap.sessionManager.readTokenFromRequest(request), request.body || {}
+          );
+          if (renewedCookie) reply.header('Set-Cookie', renewedCookie);
+          reply.header('Cache-Control', cacheControl);
+          return reply.code(status).send(json);
+        });
+      }
     });
 
+    // --- Logout route (GET, deprecated — can be triggered cross-site, so opt-in) ---
+    if (config.allowGetLogout) {
+      fastify.get(`${basePath}/logout`, async (request, reply) => {
+        await authSnap.sessionManager.destroySession(authSnap.sessionManager.getTokenFromRequest(request));
+        const { clearCookie } = handleLogout(authSnap);
+        reply.header('Set-Cookie', clearCookie);
+        return reply.redirect('/');
+      });
+    }
+
     // --- Error fallback ---
-    fastify.get(`${basePath}/error`, (request, reply) => {
-      reply.code(401).send({ error: 'Authentication failed' });
+    fastify.get(`${basePath}/error`, async (request, reply) => {
+      const page = await handleErrorPage(authSnap, {
+        code: request.query.error,
+        headers: request.headers,
+        req: request,
+      });
+      if (page.html !== undefined) {
+        return reply.code(page.status).type('text/html; charset=utf-8').send(page.html);
+      }
+      return reply.code(page.status).send(page.json);
+    });
+
+    // --- Current session (for SPAs) ---
+    fastify.get(`${basePath}/session`, async (request, reply) => {
+      const { status, json, renewedCookie, cacheControl } = await handleSession(
+        authSnap, authSnap.sessionManager.readTokenFromRequest(request)
+      );
+      if (renewedCookie) reply.header('Set-Cookie', renewedCookie);
+      reply.header('Cache-Control', cacheControl);
+      return reply.code(status).send(json);
+    });
+
+    // --- Configured providers (for login pages) ---
+    fastify.get(`${basePath}/providers`, async (request, reply) => {
+      return reply.send(handleProviders(authSnap));
+    });
+
+    // --- CSRF token for POST logout ---
+    fastify.get(`${basePath}/csrf`, async (request, reply) => {
+      const { csrfToken, cacheControl } = handleCsrf(authSnap, authSnap.sessionManager.getTokenFromRequest(request));
+      reply.header('Cache-Control', cacheControl);
+      return reply.send({ csrfToken });
+    });
+
+    // --- Session verification keys (JWKS) ---
+    fastify.get(`${basePath}/.well-known/jwks.json`, async (request, reply) => {
+      const { jwks, cacheControl } = handleJWKS(authSnap);
+      reply.header('Cache-Control', cacheControl);
+      return reply.send(jwks);
     });
   }
 
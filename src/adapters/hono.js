@@ -1,4 +1,19 @@
-import { handleLogin, handleCallback, handleCallbackError, handleLogout } from '../core/route-handler.js';
+import {
+  handleLogin,
+  handleCallback,
+  handleCallbackError,
+  handleLogout,
+  handleLogoutRequest,
+  handleErrorPage,
+  handleJWKS,
+  handleSession,
+  handleProviders,
+  handleCsrf,
+  handleTokenRequest,
+  handleTokenLogin,
+  loginOptions,
+} from '../core/route-handler.js';
+import { flowCookieName } from '../core/flow-state.js';
 import { createRateLimiter } from '../middleware/rate-limit.js';
 
 /**
@@ -44,7 +59,7 @@ export function createHonoAdapter(authSnap) {
 
     for (const [providerName, provider] of authSnap.providers) {
       // --- Login route ---
-      authApp.get(`${basePath}/${providerName}`, (c) => {
+      authApp.get(`${basePath}/${providerName}`, async (c) => {
         if (limiter && !limiter.check(getClientIP(c))) {
           return c.json({ error: 'Too many requests. Try again later.' }, 429);
         }
@@ -53,70 +68,178 @@ export function createHonoAdapter(authSnap) {
           provider.config.callbackURL ||
           `${getBaseURL(c)}${basePath}/${providerName}/callback`;
 
-        const { redirectURL, state, secure } = handleLogin(authSnap, providerName, callbackURL, c.req);
+        try {
+          const login = await handleLogin(authSnap, providerName, callbackURL, c.req, loginOptions(c.req.query()));
 
-        // Set state cookie via Set-Cookie header
-        const stateCookie = buildCookie('authsnap_state', state, {
-          httpOnly: true,
-          sameSite: 'Lax',
-          maxAge: 600,
-          secure,
-          path: '/',
-        });
+          // Set this flow's state cookie (or the browser binding of a flow kept
+          // in the state store) via Set-Cookie header
+          const stateCookie = buildCookie(login.flowCookieName, login.flowCookie, {
+            httpOnly: true,
+            sameSite: login.flowCookieSameSite === 'none' ? 'None' : 'Lax',
+            maxAge: Math.floor(login.flowMaxAge / 1000),
+            secure: login.secure,
+            path: '/',
+          });
 
-        return c.redirect(redirectURL, 302, {
-          headers: { 'Set-Cookie': stateCookie },
-        });
+          return c.redirect(login.redirectURL, 302, {
+            headers: { 'Set-Cookie': stateCookie },
+          });
+        } catch (error) {
+          // e.g. OIDC discovery failed
+          const { redirectURL } = handleCallbackError(authSnap, providerName, error);
+          return c.redirect(redirectURL, 302);
+        }
       });
 
-      // --- Callback route ---
-      authApp.get(`${basePath}/${providerName}/callback`, async (c) => {
+      // --- Callback route (GET query string, or POST form body for form_post providers) ---
+      const callbackHandler = async (c) => {
         try {
-          const code = c.req.query('code');
-          const state = c.req.query('state');
-          const storedState = getCookie(c, 'authsnap_state');
+          const params = c.req.method === 'POST' ? await c.req.parseBody() : c.req.query();
+          const cookieName = flowCookieName(params.state);
+          const storedFlow = getCookie(c, cookieName);
 
           const callbackURL =
             provider.config.callbackURL ||
             `${getBaseURL(c)}${basePath}/${providerName}/callback`;
 
           const { redirectURL, sessionCookie } = await handleCallback(
-            authSnap, providerName, code, state, storedState, callbackURL
+            authSnap, providerName, params, storedFlow, callbackURL
           );
 
           // Clear state cookie + set session cookie
-          const clearState = buildCookie('authsnap_state', '', { maxAge: 0, path: '/' });
+          const clearState = buildCookie(cookieName, '', { maxAge: 0, path: '/' });
 
           return new Response(null, {
             status: 302,
             headers: [
               ['Location', redirectURL],
               ['Set-Cookie', clearState],
-              ['Set-Cookie', sessionCookie],
+              ...[].concat(sessionCookie || []).map((cookie) => ['Set-Cookie', cookie]),
             ],
           });
         } catch (error) {
           const { redirectURL } = handleCallbackError(authSnap, providerName, error);
           return c.redirect(redirectURL, 302);
         }
+      };
+
+      authApp.get(`${basePath}/${providerName}/callback`, callbackHandler);
+      authApp.post(`${basePath}/${providerName}/callback`, callbackHandler);
+
+      // --- Token login (credential from a client-side SDK). JSON only, so a
+      // cross-site form can't sign the browser in to someone else's account ---
+      authApp.post(`${basePath}/${providerName}/token-login`, async (c) => {
+        if (limiter && !limiter.check(getClientIP(c))) {
+          return c.json({ error: 'Too many requests. Try again later.' }, 429);
+        }
+
+        const body = c.req.header('content-type')?.startsWith('application/json')
+          ? await c.req.json().catch(() => ({}))
+          : {};
+        const { status, json, sessionCookie, cacheControl } = await handleTokenLogin(authSnap, providerName, body);
+        for (const cookie of [].concat(sessionCookie || [])) {
+          c.header('Set-Cookie', cookie, { append: true });
+        }
+        c.header('Cache-Control', cacheControl);
+        return c.json(json, status);
+      });
+    }
+
+    // --- Logout route (POST, CSRF-protected) ---
+    authApp.post(`${basePath}/logout`, async (c) => {
+      try {
+        const body = await c.req.parseBody().catch(() => ({}));
+        const { clearCookie, redirectURL } = await handleLogoutRequest(authSnap, {
+          sessionToken: getSessionToken(authSnap, c),
+          csrfToken: body._csrf || c.req.header('x-csrf-token'),
+          // Body only — a cross-site form can't pick the redirect through the query string
+          returnTo: body.returnTo,
+          baseURL: getBaseURL(c),
+        });
+
+        return new Response(null, {
+          status: 303,
+          headers: [
+            ['Location', redirectURL],
+            ...clearCookie.map((cookie) => ['Set-Cookie', cookie]),
+          ],
+        });
+      } catch (error) {
+        return c.json({ error: error.message, code: error.code }, error.statusCode || 500);
+      }
+    });
+
+    // --- Logout route (GET, deprecated — can be triggered cross-site, so opt-in) ---
+    if (config.allowGetLogout) {
+      authApp.get(`${basePath}/logout`, async (c) => {
+        await authSnap.sessionManager.destroySession(getSessionToken(authSnap, c));
+        const { clearCookie } = handleLogout(authSnap);
+        return new Response(null, {
+          status: 302,
+          headers: [
+            ['Location', '/'],
+            ...clearCookie.map((cookie) => ['Set-Cookie', cookie]),
+          ],
+        });
       });
     }
 
-    // --- Logout route ---
-    authApp.get(`${basePath}/logout`, (c) => {
-      const { clearCookie } = handleLogout(authSnap);
-      return new Response(null, {
-        status: 302,
+    // --- Error fallback ---
+    authApp.get(`${basePath}/error`, async (c) => {
+      const page = await handleErrorPage(authSnap, {
+        code: c.req.query('error'),
         headers: {
-          Location: '/',
-          'Set-Cookie': clearCookie,
+          accept: c.req.header('accept'),
+          'x-requested-with': c.req.header('x-requested-with'),
         },
+        req: c.req,
       });
+      if (page.html !== undefined) {
+        return c.html(page.html, page.status);
+      }
+      return c.json(page.json, page.status);
     });
 
-    // --- Error fallback ---
-    authApp.get(`${basePath}/error`, (c) => {
-      return c.json({ error: 'Authentication failed' }, 401);
+    // --- Current session (for SPAs) ---
+    authApp.get(`${basePath}/session`, async (c) => {
+      const { status, json, renewedCookie, cacheControl } = await handleSession(authSnap, readSession(authSnap, c));
+      for (const cookie of [].concat(renewedCookie || [])) {
+        c.header('Set-Cookie', cookie, { append: true });
+      }
+      c.header('Cache-Control', cacheControl);
+      return c.json(json, status);
+    });
+
+    // --- Bearer token for API and mobile clients ---
+    if (authSnap.sessionManager.tokenSource !== 'cookie') {
+      authApp.post(`${basePath}/token`, async (c) => {
+        const body = c.req.header('content-type')?.includes('application/json')
+          ? await c.req.json().catch(() => ({}))
+          : await c.req.parseBody().catch(() => ({}));
+        const { status, json, renewedCookie, cacheControl } = await handleTokenRequest(authSnap, readSession(authSnap, c), body);
+        for (const cookie of [].concat(renewedCookie || [])) {
+          c.header('Set-Cookie', cookie, { append: true });
+        }
+        c.header('Cache-Control', cacheControl);
+        return c.json(json, status);
+      });
+    }
+
+    // --- Configured providers (for login pages) ---
+    authApp.get(`${basePath}/providers`, (c) => c.json(handleProviders(authSnap)));
+
+    // --- CSRF token for POST logout ---
+    authApp.get(`${basePath}/csrf`, (c) => {
+      const { csrfToken, cacheControl } = handleCsrf(authSnap, getSessionToken(authSnap, c));
+      c.header('Cache-Control', cacheControl);
+      return c.json({ csrfToken });
+    });
+
+    // --- Session verification keys (JWKS) ---
+    authApp.get(`${basePath}/.well-known/jwks.json`, (c) => {
+      const { jwks, cacheControl } = handleJWKS(authSnap);
+      c.header('Cache-Control', cacheControl);
+      return c.json(jwks);
     });
 
     return authApp;
@@ -158,6 +281,27 @@ function getCookie(c, name) {
   return match ? match.split('=')[1] : undefined;
 }
 
+/**
+ * Read the session token from the bearer header or the (possibly chunked) cookie.
+ * @param {import('../core/authsnap.js').AuthSnap} authSnap
+ * @param {Object} c - Hono context
+ * @returns {{ token: string, bearer: boolean } | null}
+ */
+function readSession(authSnap, c) {
+  return authSnap.sessionManager.readTokenFromRequest({
+    headers: { cookie: c.req.header('cookie'), authorization: c.req.header('authorization') },
+  });
+}
+
+/**
+ * @param {import('../core/authsnap.js').AuthSnap} authSnap
+ * @param {Object} c - Hono context
+ * @returns {string | null}
+ */
+function getSessionToken(authSnap, c) {
+  return readSession(authSnap, c)?.token ?? null;
+}
+
 /**
  * Build a Set-Cookie header string.
  * @param {string} name
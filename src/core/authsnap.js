@@ -9,13 +9,20 @@ import { AppleProvider } from '../providers/apple.js';
 import { MicrosoftProvider } from '../providers/microsoft.js';
 import { LinkedInProvider } from '../providers/linkedin.js';
 import { SpotifyProvider } from '../providers/spotify.js';
+import { OIDCProvider } from '../providers/oidc.js';
+import { OAuth2Provider } from '../providers/oauth2.js';
 import { SessionManager } from '../session/session-manager.js';
+import { RevocationStore } from '../session/revocation-store.js';
 import { TokenStore } from '../session/token-store.js';
+import { StateStore } from '../session/state-store.js';
 import { TokenRefresher } from '../session/token-refresh.js';
 import { createExpressAdapter } from '../adapters/express.js';
 import { createFastifyAdapter } from '../adapters/fastify.js';
 import { createHonoAdapter } from '../adapters/hono.js';
 import { createProtectMiddleware } from '../middleware/protect.js';
+import { createCsrfToken } from './csrf.js';
+import { runDeviceFlow } from './device-flow.js';
+import { runLoopbackLogin } from './loopback-login.js';
 
 /** Built-in provider constructors keyed by name */
 const BUILT_IN_PROVIDERS = {
@@ -29,6 +36,12 @@ const BUILT_IN_PROVIDERS = {
   spotify: SpotifyProvider,
 };
 
+/** Configurable provider constructors keyed by `type` — one instance per configured name */
+const GENERIC_PROVIDERS = {
+  oidc: OIDCProvider,
+  oauth2: OAuth2Provider,
+};
+
 /**
  * AuthSnap — zero-boilerplate OAuth for any Node.js framework.
  *
@@ -61,12 +74,18 @@ export class AuthSnap {
     /** @type {Map<string, import('../providers/base.js').BaseProvider>} */
     this.providers = new Map();
 
+    /** @type {RevocationStore} */
+    this.revocationStore = config.revocationStore || new RevocationStore();
+
     /** @type {SessionManager} */
-    this.sessionManager = new SessionManager(this.config.session);
+    this.sessionManager = new SessionManager(this.config.session, { revocationStore: this.revocationStore });
 
     /** @type {TokenStore} */
     this.tokenStore = config.tokenStore || new TokenStore();
 
+    /** @type {StateStore} */
+    this.stateStore = config.stateStore || new StateStore();
+
     /** @type {TokenRefresher} */
     this.tokenRefresher = new TokenRefresher(this);
 
@@ -78,7 +97,8 @@ export class AuthSnap {
 
   /**
    * Instantiate and register each configured provider.
-   * Supports built-in providers by name and custom providers via `provider` key.
+   * Supports built-in providers by name, generic providers via `type`, and
+   * custom providers via `provider` key.
    *
    * @example
    * // Custom provider
@@ -89,10 +109,32 @@ export class AuthSnap {
    *     clientSecret: '...',
    *   }
    * }
+   *
+   * // Any OpenID Connect issuer
+   * providers: {
+   *   keycloak: { type: 'oidc', issuer: 'https://sso.example.com/realms/main', clientId: '...', clientSecret: '...' }
+   * }
+   *
+   * // Any plain OAuth 2.0 service
+   * providers: {
+   *   gitlab: { type: 'oauth2', endpoints: { ... }, profile: { id: 'id', name: 'username' }, clientId: '...', clientSecret: '...' }
+   * }
    * @private
    */
   _registerProviders() {
     for (const [name, providerConfig] of Object.entries(this.config.providers)) {
+      // Generic provider: user passes { type: 'oidc' | 'oauth2', ...typeOptions, clientId, clientSecret }
+      if (providerConfig.type) {
+        const GenericClass = GENERIC_PROVIDERS[providerConfig.type];
+        if (!GenericClass) {
+          throw new ConfigError(
+            `Provider "${name}" has unknown type "${providerConfig.type}". Supported: ${Object.keys(GENERIC_PROVIDERS).join(', ')}`
+          );
+        }
+        this.providers.set(name, new GenericClass({ name, ...providerConfig }));
+        continue;
+      }
+
       // Custom provider: user passes { provider: MyProvider, clientId, clientSecret }
       if (providerConfig.provider) {
         const CustomClass = providerConfig.provider;
@@ -173,10 +215,120 @@ export class AuthSnap {
    *
    * @param {Object} [options]
    * @param {string} [options.redirect] - Redirect URL for unauthenticated users
+   * @param {boolean} [options.returnTo=true] - Append `?returnTo=<original URL>` to the redirect
+   * @param {'cookie' | 'header' | 'both'} [options.tokenSource] - Where to read the session (defaults to `session.tokenSource`)
    * @returns {Function}
    */
   protect(options = {}) {
-    return createProtectMiddleware(this.sessionManager, options);
+    return createProtectMiddleware(this.sessionManager, { errorPage: this.config.errorPage, ...options });
+  }
+
+  /**
+   * CSRF token for the request's session, to submit with the POST logout
+   * route as a `_csrf` form field or `X-CSRF-Token` header.
+   * @example
+   * res.send(`<form method="post" action="/auth/logout">
+   *   <input type="hidden" name="_csrf" value="${auth.csrfToken(req)}">
+   *   <button>Sign out</button>
+   * </form>`);
+   * @param {Object} req - Framework request object
+   * @returns {string | null} null if the request has no session cookie
+   */
+  csrfToken(req) {
+    const token = this.sessionManager.getTokenFromRequest(req);
+    return token ? createCsrfToken(this.config.session.secret, this.sessionManager.sessionId(token)) : null;
+  }
+
+  /**
+   * Sign a user in from a device without a usable browser — a CLI on a
+   * headless machine, a TV — with the OAuth device authorization grant
+   * (RFC 8628). `onCode` gets a short code for the user to enter at the
+   * provider's verification page on their phone or laptop; the returned
+   * promise resolves once they approve, after the same profile fetch, token
+   * storage, `onSuccess` and `success` event as a browser login.
+   * @example
+   * const { user, tokens } = await auth.deviceFlow('github', {
+   *   onCode: ({ userCode, verificationURI }) =>
+   *     console.log(`Open ${verificationURI} and enter ${userCode}`),
+   * });
+   * @param {string} providerName - A provider with a device authorization endpoint (Google, GitHub, Microsoft, or an OIDC / OAuth2 provider that has one)
+   * @param {import('./device-flow.js').DeviceFlowOptions} options
+   * @returns {Promise<import('./device-flow.js').DeviceFlowResult>} The user, the provider tokens, and the session as a bearer `token`
+   */
+  deviceFlow(providerName, options) {
+    return runDeviceFlow(this, providerName, options);
+  }
+
+  /**
+   * Sign a user in from a desktop or CLI app through the system browser,
+   * with the redirect caught by a temporary listener on
+   * `http://127.0.0.1:<random port>/callback` (RFC 8252). Register that
+   * loopback redirect URI with the provider — most accept any port.
+   * `onURL` gets the authorization URL to open; the returned promise
+   * resolves once the browser comes back and the login completes (code
+   * exchange with PKCE, profile, token storage, `onSuccess`, `success` event).
+   * @example
+   * import open from 'open';
+   * const { user, tokens } = await auth.loopbackLogin('google', { onURL: (url) => open(url) });
+   * @param {string} providerName - Any provider except form_post ones (Apple)
+   * @param {import('./loopback-login.js').LoopbackLoginOptions} options
+   * @returns {Promise<import('./loopback-login.js').LoopbackLoginResult>} The user, the provider tokens, and the session as a bearer `token`
+   */
+  loopbackLogin(providerName, options) {
+    return runLoopbackLogin(this, providerName, options);
+  }
+
+  /**
+   * Revoke a user's stored provider tokens at the provider and remove them
+   * from the token store. Emits `token:revoke`.
+   * @example
+   * await auth.revokeTokens('google', user.id);
+   * @param {string} providerName
+   * @param {string} userId - The provider's user ID (AuthUser.id)
+   * @returns {Promise<boolean>} true if the provider revoked the tokens; false if
+   *   none were stored or the provider doesn't support revocation
+   */
+  async revokeTokens(providerName, userId) {
+    const provider = this.getProvider(providerName);
+    const key = TokenStore.key(providerName, userId);
+    const tokens = await this.tokenStore.get(key);
+    if (!tokens) return false;
+
+    await provider.ready();
+    const revoked = await provider.revokeToken(tokens);
+    await this.tokenStore.delete(key);
+
+    this.emit('token:revoke', { provider: providerName, userId, revoked });
+    return revoked;
+  }
+
+  /**
+   * Revoke a single session before it expires — e.g. one device in a
+   * "your sessions" list. `protect()` rejects it from the next request on.
+   * Emits `session:revoke`.
+   * @example
+   * app.post('/sessions/revoke', auth.protect(), async (req, res) => {
+   *   await auth.revokeSession(req.body.jti);
+   * });
+   * @param {string} jti - The session's ID (`req.authSession.jti` behind `protect()`)
+   */
+  async revokeSession(jti) {
+    await this.sessionManager.revokeSession(jti);
+    this.emit('session:revoke', { jti });
+  }
+
+  /**
+   * Revoke every session a user currently has ("log out everywhere").
+   * Sessions created afterwards — including the next sign-in — are unaffected.
+   * Emits `session:revoke`.
+   * @example
+   * await auth.revokeAllSessions(req.user.provider, req.user.id);
+   * @param {string} provider - AuthUser.provider
+   * @param {string} userId - AuthUser.id
+   */
+  async revokeAllSessions(provider, userId) {
+    await this.sessionManager.revokeAllSessions(provider, userId);
+    this.emit('session:revoke', { provider, userId });
   }
 
   /**
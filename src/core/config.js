@@ -1,4 +1,5 @@
 import { ConfigError } from './errors.js';
+import { SESSION_ALGORITHMS } from '../session/keyring.js';
 
 /**
  * @typedef {Object} ProviderConfig
@@ -6,15 +7,38 @@ import { ConfigError } from './errors.js';
  * @property {string} clientSecret - OAuth client secret
  * @property {string[]} [scopes] - OAuth scopes to request
  * @property {string} [callbackURL] - Override the default callback URL
+ * @property {string} [displayName] - Name shown on login buttons (defaults to the provider's brand name)
+ * @property {string[]} [audiences] - Other client IDs whose id_tokens are accepted (e.g. the iOS / Android client IDs, or Apple's bundle ID, for token-login)
+ * @property {boolean} [accessTokenLogin=false] - Accept an access_token at token-login (one may have been issued to another app)
+ * @property {{ keys: Object[] }} [jwks] - Local JWK Set for id_token verification (overrides the provider's JWKS URI)
+ * @property {'body' | 'basic'} [tokenAuthStyle='body'] - How client credentials are sent to the token endpoint
  */
 
 /**
  * @typedef {Object} SessionConfig
- * @property {'jwt' | 'cookie'} [strategy='jwt'] - Session strategy
- * @property {string} secret - Secret key for signing sessions
+ * @property {'jwt' | 'cookie'} [strategy='jwt'] - Session strategy: a signed JWT in the cookie, or an opaque session ID backed by `store`
+ * @property {import('../session/session-store.js').SessionStore} [store] - Server-side session store for the `'cookie'` strategy (default in-memory)
+ * @property {'cookie' | 'header' | 'both'} [tokenSource='both'] - Where `protect()` reads the session: the cookie, an `Authorization: Bearer` header, or either (header first, falling back to the cookie if it isn't a valid session)
+ * @property {string} secret - Secret key for signing sessions (or use `secrets`)
+ * @property {SessionKeyConfig[]} [secrets] - Session signing keys, newest first. Replaces `secret` for sessions
+ * @property {string[]} [hmacSecrets] - Set by `validateConfig`: `secret` and every HMAC key in `secrets`, which flow-state and CSRF HMACs are accepted under
  * @property {number} [maxAge=86400] - Session max age in seconds (default 24h)
  * @property {string} [cookieName='authsnap_session'] - Cookie name for session
  * @property {boolean} [secure=true] - Whether to set secure flag on cookies
+ * @property {boolean} [encrypt=false] - Encrypt session JWTs (JWE, dir / A256GCM) so the cookie can't be read
+ * @property {boolean} [rolling=false] - Re-issue the session on activity so it slides forward
+ * @property {number} [updateAge] - Seconds after issue before a rolling session is re-issued (default idleTimeout / 2)
+ * @property {number} [idleTimeout] - Lifetime of each issued token in seconds; with `rolling`, how long a session survives without activity (default maxAge)
+ * @property {number} [absoluteTimeout] - Hard limit in seconds from sign-in, regardless of activity
+ */
+
+/**
+ * @typedef {Object} SessionKeyConfig
+ * @property {string} kid - Key ID, sent in the JWT header
+ * @property {'HS256' | 'RS256' | 'ES256' | 'EdDSA'} [alg='HS256'] - Signing algorithm
+ * @property {string} [secret] - HMAC secret (HS256)
+ * @property {string | Object} [privateKey] - Private key as PEM, JWK or KeyObject (RS256 / ES256 / EdDSA)
+ * @property {string | Object} [publicKey] - Public key only, for a retired key pair that still verifies
  */
 
 /**
@@ -23,6 +47,7 @@ import { ConfigError } from './errors.js';
  * @property {(error: Error, provider: string) => {redirect?: string}} [onError]
  * @property {(provider: string, req: any) => void} [onBeforeAuth]
  * @property {(tokens: TokenSet, provider: string) => void} [onTokenRefresh]
+ * @property {(context: {user: AuthUser, tokens: TokenSet, provider: string}) => Promise<Object> | Object} [session] - Shape the user claims stored in the session (default: AuthUser without `raw`)
  */
 
 /**
@@ -43,6 +68,7 @@ import { ConfigError } from './errors.js';
  * @property {number} [expiresAt] - Token expiry timestamp (ms)
  * @property {string} [tokenType] - Token type (e.g. 'Bearer')
  * @property {string} [scope] - Granted scopes
+ * @property {string} [idToken] - OIDC id_token (OIDC providers only)
  */
 
 /**
@@ -59,18 +85,48 @@ import { ConfigError } from './errors.js';
  * @property {string} [basePath='/auth'] - Base path for auth routes
  * @property {string} [baseURL] - Base URL for callbacks (auto-detected if not set)
  * @property {import('../session/token-store.js').TokenStore} [tokenStore] - Custom token store instance
+ * @property {import('../session/revocation-store.js').RevocationStore} [revocationStore] - Session denylist and per-user generations (default in-memory)
+ * @property {import('../session/state-store.js').StateStore} [stateStore] - Server-side login state store (keeps all flows out of cookies when set)
  * @property {RateLimitConfig | false} [rateLimit] - Rate limiting config (false to disable)
  * @property {string[]} [allowedRedirects] - Allowed redirect URLs/origins after auth (prevents open redirects)
+ * @property {ErrorPageRenderer} [errorPage] - Renders the HTML error page for browser navigations
+ * @property {boolean} [revokeOnLogout=false] - Revoke the user's provider tokens on POST logout
+ * @property {boolean} [allowTokenExchange=false] - Let `POST {basePath}/token` hand a cookie session to the client as a bearer token (readable by any same-origin script)
+ * @property {boolean} [allowGetLogout=false] - Also mount the deprecated `GET {basePath}/logout` route, which any site can trigger
+ * @property {MobileConfig} [mobile] - Native / mobile app login with a one-time code handoff
+ */
+
+/**
+ * @typedef {Object} MobileConfig
+ * @property {string[]} redirectURIs - Exact redirect URIs apps may use — custom schemes (`com.example.app:/oauth`) or universal / app links
+ */
+
+/**
+ * @typedef {Object} ErrorPageContext
+ * @property {number} status - HTTP status of the response (401 or 403)
+ * @property {string} [code] - Error code, e.g. `ACCESS_DENIED` or `UNAUTHORIZED`
+ * @property {string} message - Generic human-readable message
+ */
+
+/**
+ * @callback ErrorPageRenderer
+ * @param {ErrorPageContext} context
+ * @param {Object} req - Framework request object
+ * @returns {string | Promise<string>} HTML
  */
 
 /** Default session settings */
 const SESSION_DEFAULTS = {
   strategy: 'jwt',
+  tokenSource: 'both',
   maxAge: 86400,
   cookieName: 'authsnap_session',
   secure: true,
 };
 
+/** Where a session token may be read from */
+const TOKEN_SOURCES = ['cookie', 'header', 'both'];
+
 /**
  * Validates and normalizes AuthSnap configuration.
  * @param {AuthSnapConfig} config
@@ -94,14 +150,55 @@ export function validateConfig(config) {
     }
   }
 
+  if (config.errorPage !== undefined && typeof config.errorPage !== 'function') {
+    throw new ConfigError('errorPage must be a function that returns HTML');
+  }
+
   const session = { ...SESSION_DEFAULTS, ...config.session };
 
+  if (session.secrets !== undefined) {
+    validateSecrets(session);
+    // Flow-state and CSRF HMACs use the newest HMAC key unless `secret` is set
+    session.secret = session.secret || session.secrets.find((k) => k.secret)?.secret;
+  }
+
   if (!session.secret) {
     throw new ConfigError(
-      'Session secret is required. Set session.secret or SESSION_SECRET env var.'
+      'Session secret is required. Set session.secret or SESSION_SECRET env var.' +
+        (session.secrets ? ' It signs flow state and CSRF tokens when session.secrets holds only key pairs.' : '')
     );
   }
 
+  // ...and are checked against every HMAC key, so rotating doesn't break
+  // logins in flight or CSRF tokens in open pages
+  session.hmacSecrets = [
+    ...new Set([session.secret, ...(session.secrets || []).filter((k) => k.secret).map((k) => k.secret)]),
+  ];
+
+  if (session.strategy !== 'jwt' && session.strategy !== 'cookie') {
+    throw new ConfigError(`Unknown session strategy "${session.strategy}". Use 'jwt' or 'cookie'.`);
+  }
+
+  if (!TOKEN_SOURCES.includes(session.tokenSource)) {
+    throw new ConfigError(`Unknown session.tokenSource "${session.tokenSource}". Use ${TOKEN_SOURCES.map((s) => `'${s}'`).join(', ')}.`);
+  }
+
+  if (session.store && session.strategy !== 'cookie') {
+    throw new ConfigError("session.store requires session.strategy: 'cookie'");
+  }
+
+  if (session.encrypt && session.strategy !== 'jwt') {
+    throw new ConfigError("session.encrypt applies to strategy 'jwt' only — stored sessions never leave the server");
+  }
+
+  if (session.encrypt && session.secrets && !session.secrets[0].secret) {
+    throw new ConfigError('session.encrypt needs an HMAC secret as the first key in session.secrets, not a key pair');
+  }
+
+  if (config.mobile !== undefined) {
+    validateMobile(config.mobile, session);
+  }
+
   return {
     ...config,
     basePath: config.basePath || '/auth',
@@ -109,3 +206,63 @@ export function validateConfig(config) {
     callbacks: config.callbacks || {},
   };
 }
+
+/**
+ * Check `session.secrets`: a non-empty list of keys with unique kids, each
+ * an HMAC `secret` or a key pair for its `alg`, the first able to sign.
+ * @param {SessionConfig} session
+ */
+function validateSecrets(session) {
+  if (!Array.isArray(session.secrets) || session.secrets.length === 0) {
+    throw new ConfigError('session.secrets must be a non-empty array of { kid, secret } or { kid, alg, privateKey }');
+  }
+
+  const kids = new Set();
+  for (const entry of session.secrets) {
+    if (!entry?.kid || typeof entry.kid !== 'string') {
+      throw new ConfigError('Each entry in session.secrets needs a string kid');
+    }
+    if (kids.has(entry.kid)) {
+      throw new ConfigError(`Duplicate kid "${entry.kid}" in session.secrets`);
+    }
+    kids.add(entry.kid);
+
+    const alg = entry.alg || 'HS256';
+    if (!SESSION_ALGORITHMS.includes(alg)) {
+      throw new ConfigError(`Unsupported alg "${alg}" for session key "${entry.kid}". Use ${SESSION_ALGORITHMS.join(', ')}`);
+    }
+    if (alg === 'HS256' ? !entry.secret : !entry.privateKey && !entry.publicKey) {
+      const needs = alg === 'HS256' ? 'a secret' : 'a privateKey (or publicKey to only verify)';
+      throw new ConfigError(`Session key "${entry.kid}" (${alg}) needs ${needs}`);
+    }
+  }
+
+  const [current] = session.secrets;
+  if (!current.secret && !current.privateKey) {
+    throw new ConfigError(`The first key in session.secrets signs new sessions, so "${current.kid}" needs a secret or privateKey`);
+  }
+}
+
+/**
+ * Check `mobile`: a non-empty list of absolute redirect URIs, and a token
+ * source that lets the app use the bearer session it gets.
+ * @param {MobileConfig} mobile
+ * @param {SessionConfig} session
+ */
+function validateMobile(mobile, session) {
+  if (!Array.isArray(mobile?.redirectURIs) || mobile.redirectURIs.length === 0) {
+    throw new ConfigError('mobile.redirectURIs must be a non-empty array of app redirect URIs');
+  }
+
+  for (const uri of mobile.redirectURIs) {
+    try {
+      new URL(uri);
+    } catch {
+      throw new ConfigError(`mobile.redirectURIs entry "${uri}" is not an absolute URI`);
+    }
+  }
+
+  if (session.tokenSource === 'cookie') {
+    throw new ConfigError("mobile login issues bearer sessions, which session.tokenSource: 'cookie' rejects");
+  }
+}
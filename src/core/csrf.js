@@ -0,0 +1,38 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Session-bound CSRF tokens for state-changing auth routes (POST logout).
+ *
+ * The token is an HMAC of the session's ID (`SessionManager#sessionId`: its
+ * `jti`, or the stored session's ID) under the session secret, so it needs no
+ * storage: only a page that can read it from your server (not a cross-site
+ * form) can submit it. It is new for every session, but survives the
+ * session's rolling renewal and re-issue under a rotated key, so forms
+ * already rendered into open pages keep working.
+ */
+
+/**
+ * Create the CSRF token for a session.
+ * @param {string} secret - Session secret
+ * @param {string} sessionId - `sessionManager.sessionId(token)`
+ * @returns {string}
+ */
+export function createCsrfToken(secret, sessionId) {
+  return createHmac('sha256', secret).update(`csrf:${sessionId}`).digest('base64url');
+}
+
+/**
+ * Check a submitted CSRF token against a session, in constant time.
+ * @param {string | string[]} secrets - Session secret, or every HMAC key it may have been created with (`session.hmacSecrets`)
+ * @param {string} sessionId - `sessionManager.sessionId(token)`
+ * @param {string | undefined} token - Submitted token (`_csrf` field or `X-CSRF-Token` header)
+ * @returns {boolean}
+ */
+export function verifyCsrfToken(secrets, sessionId, token) {
+  if (!token || typeof token !== 'string') return false;
+  const actual = Buffer.from(token);
+  return [].concat(secrets).some((secret) => {
+    const expected = Buffer.from(createCsrfToken(secret, sessionId));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  });
+}
@@ -0,0 +1,150 @@
+import { AccessDeniedError, ConfigError, ProfileFetchError, TokenExchangeError } from './errors.js';
+import { signIn, wrapError } from './sign-in.js';
+
+/**
+ * OAuth 2.0 Device Authorization Grant (RFC 8628) — sign-in for CLIs, TVs
+ * and other devices without a usable browser. The device shows a short code;
+ * the user enters it at the provider's verification page on another device
+ * while this side polls the token endpoint.
+ */
+
+/** Seconds added to the polling interval for each `slow_down` (RFC 8628 §3.5) */
+const SLOW_DOWN_STEP = 5;
+
+/**
+ * @typedef {Object} DeviceCode
+ * @property {string} userCode - Code the user enters at the verification page
+ * @property {string} verificationURI - Where to enter it
+ * @property {string | null} verificationURIComplete - Verification page with the code filled in (e.g. for a QR code), if the provider offers one
+ * @property {number} expiresAt - When the code stops working (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} DeviceFlowOptions
+ * @property {(code: DeviceCode) => void | Promise<void>} onCode - Show the code to the user
+ * @property {AbortSignal} [signal] - Stop polling (e.g. on Ctrl+C); the promise rejects with the signal's reason
+ */
+
+/**
+ * @typedef {Object} DeviceFlowResult
+ * @property {import('./config.js').AuthUser} user
+ * @property {import('./config.js').TokenSet} tokens - The provider's tokens (also in the token store)
+ * @property {string} token - The AuthSnap session, usable as a bearer token
+ */
+
+/**
+ * Run a device flow for a provider: request a user code, hand it to
+ * `onCode`, poll until the user approves (waiting out `authorization_pending`,
+ * backing off on `slow_down`), then complete the login like a callback —
+ * profile fetch, token store, `onSuccess`, `success` event, session.
+ * Failures fire `onError` and the `error` event before rejecting.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {string} providerName
+ * @param {DeviceFlowOptions} options
+ * @returns {Promise<DeviceFlowResult>}
+ * @throws {AccessDeniedError} The user declined
+ * @throws {TokenExchangeError} The code expired, or the provider refused the grant
+ */
+export async function runDeviceFlow(authSnap, providerName, { onCode, signal } = {}) {
+  if (typeof onCode !== 'function') {
+    throw new ConfigError('deviceFlow() requires an onCode callback to show the user code');
+  }
+  const provider = authSnap.getProvider(providerName);
+
+  try {
+    await provider.ready();
+    if (!provider.supportsDeviceFlow()) {
+      throw new ConfigError(`Provider "${providerName}" does not support the device flow`);
+    }
+
+    const device = await provider.requestDeviceCode();
+    const expiresAt = Date.now() + device.expiresIn * 1000;
+    await onCode({
+      userCode: device.userCode,
+      verificationURI: device.verificationURI,
+      verificationURIComplete: device.verificationURIComplete,
+      expiresAt,
+    });
+
+    const tokens = await pollForTokens(provider, providerName, device, expiresAt, signal);
+
+    let user;
+    try {
+      user = await provider.getProfile(tokens.accessToken, { idToken: tokens.idToken });
+    } catch (err) {
+      throw wrapError(err, ProfileFetchError, providerName);
+    }
+
+    const { jwt } = await signIn(authSnap, providerName, user, tokens);
+    return { user, tokens, token: jwt };
+  } catch (err) {
+    if (authSnap.config.callbacks.onError) authSnap.config.callbacks.onError(err, providerName);
+    authSnap.emit('error', { error: err, provider: providerName });
+    throw err;
+  }
+}
+
+/**
+ * Poll the token endpoint at the provider's interval until it issues tokens.
+ * @param {import('../providers/base.js').BaseProvider} provider
+ * @param {string} providerName
+ * @param {{ deviceCode: string, interval: number }} device
+ * @param {number} expiresAt
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<import('./config.js').TokenSet>}
+ */
+async function pollForTokens(provider, providerName, device, expiresAt, signal) {
+  let interval = device.interval;
+
+  for (;;) {
+    await sleep(interval * 1000, signal);
+    if (Date.now() >= expiresAt) {
+      throw new TokenExchangeError('Device code expired before the user approved the login', providerName);
+    }
+
+    let result;
+    try {
+      result = await provider.pollDeviceToken(device.deviceCode);
+    } catch (err) {
+      throw wrapError(err, TokenExchangeError, providerName);
+    }
+
+    if (result.tokens) return result.tokens;
+
+    switch (result.error) {
+      case 'authorization_pending':
+        break;
+      case 'slow_down':
+        interval += SLOW_DOWN_STEP;
+        break;
+      case 'access_denied':
+        throw new AccessDeniedError('User denied access', providerName, result.description);
+      default: {
+        // expired_token, or an error the grant can't recover from
+        const detail = result.description ? `: ${result.description}` : '';
+        throw new TokenExchangeError(`Device flow failed with "${result.error}"${detail}`, providerName);
+      }
+    }
+  }
+}
+
+/**
+ * Wait `ms`, or reject early with the signal's reason when it aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
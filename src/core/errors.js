@@ -27,14 +27,108 @@ export class ProviderError extends AuthSnapError {
   /**
    * @param {string} message
    * @param {string} provider
+   * @param {string} [code='PROVIDER_ERROR']
    */
-  constructor(message, provider) {
-    super(message, 'PROVIDER_ERROR', 502);
+  constructor(message, provider, code = 'PROVIDER_ERROR') {
+    super(message, code, 502);
     this.name = 'ProviderError';
     this.provider = provider;
   }
 }
 
+/**
+ * The user declined consent — the provider redirected back with
+ * `error=access_denied` instead of a code.
+ */
+export class AccessDeniedError extends AuthSnapError {
+  /**
+   * @param {string} message
+   * @param {string} provider
+   * @param {string} [description] - The provider's `error_description`, if any
+   */
+  constructor(message, provider, description) {
+    super(message, 'ACCESS_DENIED', 403);
+    this.name = 'AccessDeniedError';
+    this.provider = provider;
+    this.description = description;
+  }
+}
+
+/** The callback's `state` doesn't match a valid, unexpired flow for this provider. */
+export class StateMismatchError extends AuthSnapError {
+  /** @param {string} message */
+  constructor(message) {
+    super(message, 'STATE_MISMATCH', 400);
+    this.name = 'StateMismatchError';
+  }
+}
+
+/** A state-changing auth route (POST logout) was called without a valid CSRF token. */
+export class CsrfError extends AuthSnapError {
+  /** @param {string} message */
+  constructor(message) {
+    super(message, 'CSRF_INVALID', 403);
+    this.name = 'CsrfError';
+  }
+}
+
+/**
+ * A mobile login request or code exchange was invalid: `INVALID_REQUEST` for a
+ * redirect_uri that isn't allowlisted or a missing PKCE challenge, and
+ * `INVALID_GRANT` for an unknown, expired or reused code or a wrong verifier.
+ */
+export class MobileLoginError extends AuthSnapError {
+  /**
+   * @param {string} message
+   * @param {'INVALID_REQUEST' | 'INVALID_GRANT'} code
+   */
+  constructor(message, code) {
+    super(message, code, 400);
+    this.name = 'MobileLoginError';
+  }
+}
+
+/**
+ * A credential posted to a provider's token-login route was missing or was
+ * rejected: an id_token that failed verification (signature, issuer,
+ * audience, expiry), or an access token the provider wouldn't accept.
+ */
+export class TokenLoginError extends AuthSnapError {
+  /**
+   * @param {string} message
+   * @param {string} provider
+   */
+  constructor(message, provider) {
+    super(message, 'INVALID_TOKEN', 401);
+    this.name = 'TokenLoginError';
+    this.provider = provider;
+  }
+}
+
+/** Exchanging the authorization code at the token endpoint failed. */
+export class TokenExchangeError extends ProviderError {
+  /**
+   * @param {string} message
+   * @param {string} provider
+   */
+  constructor(message, provider) {
+    super(message, provider, 'TOKEN_EXCHANGE_FAILED');
+    this.name = 'TokenExchangeError';
+  }
+}
+
+/** Fetching or verifying the user profile (userinfo or id_token) failed. */
+export class ProfileFetchError extends ProviderError {
+  /**
+   * @param {string} message
+   * @param {string} provider
+   */
+  constructor(message, provider) {
+    super(message, provider, 'PROFILE_FETCH_FAILED');
+    this.name = 'ProfileFetchError';
+  }
+}
+
 export class TokenError extends AuthSnapError {
   /** @param {string} message */
   constructor(message) {
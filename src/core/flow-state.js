@@ -0,0 +1,118 @@
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Flow state — the per-login data that must survive the round trip to the
+ * provider (CSRF state, PKCE code_verifier, OIDC nonce, returnTo URL).
+ *
+ * Serialized into a per-flow cookie (`authsnap_state_<state prefix>`) by the
+ * adapters and read back by `handleCallback`. The value is HMAC-signed with
+ * the session secret so it can't be forged or edited client-side, and each
+ * login gets its own cookie so parallel logins in several tabs don't clobber
+ * each other.
+ *
+ * Flows kept in the state store still get a cookie of the same name, holding
+ * only a hash of the state (see `flowBinding`): the store is keyed by a value
+ * that travels in the URL, and the cookie ties it to the browser that started
+ * the login.
+ */
+
+/** How long a login may take before its flow state is rejected (10 minutes) */
+export const FLOW_MAX_AGE = 600_000;
+
+const FLOW_COOKIE_PREFIX = 'authsnap_state_';
+
+/**
+ * @typedef {Object} FlowState
+ * @property {string} state - CSRF state sent to the provider
+ * @property {string} provider - Provider the flow was started for
+ * @property {number} createdAt - Unix timestamp (ms) when the login started
+ * @property {string} [codeVerifier] - PKCE code_verifier (only for PKCE providers)
+ * @property {string} [nonce] - OIDC nonce (only for providers that issue id_tokens)
+ * @property {string} [returnTo] - Validated post-login redirect requested at login
+ */
+
+/**
+ * Serialize and sign a flow state for storage in a cookie.
+ * @param {FlowState} flow
+ * @param {string} secret - Session secret used as the HMAC key
+ * @returns {string} `<base64url JSON>.<base64url HMAC>`
+ */
+export function encodeFlowState(flow, secret) {
+  const payload = Buffer.from(JSON.stringify(flow)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verify and parse a serialized flow state. Returns null for missing,
+ * malformed or tampered values.
+ * @param {string | undefined} value
+ * @param {string | string[]} secrets - HMAC key, or every key it may have been signed with (`session.hmacSecrets`)
+ * @returns {FlowState | null}
+ */
+export function decodeFlowState(value, secrets) {
+  if (!value) return null;
+
+  const [payload, signature, ...rest] = value.split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const actual = Buffer.from(signature);
+  const signedWith = (secret) => {
+    const expected = Buffer.from(sign(payload, secret));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  };
+  if (![].concat(secrets).some(signedWith)) {
+    return null;
+  }
+
+  try {
+    const flow = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return flow && typeof flow.state === 'string' ? flow : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cookie value binding a flow kept in the state store to the browser that
+ * started it. Without it, an attacker could start a login, approve it with
+ * their own account and send the victim the callback URL — the stored flow
+ * would be found by `state` alone and sign the victim in as the attacker.
+ * @param {string} state
+ * @returns {string} base64url SHA-256 of the state
+ */
+export function flowBinding(state) {
+  return createHash('sha256').update(state).digest('base64url');
+}
+
+/**
+ * Check a callback's binding cookie against its `state`.
+ * @param {string | undefined} value - The flow cookie sent with the callback
+ * @param {string | undefined} state - The callback's `state` parameter
+ * @returns {boolean}
+ */
+export function verifyFlowBinding(value, state) {
+  if (!value || typeof state !== 'string') return false;
+  const expected = Buffer.from(flowBinding(state));
+  const actual = Buffer.from(value);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Name of the cookie holding the flow state for a given `state` value.
+ * Only hex characters are kept, since the callback's `state` is user input.
+ * @param {string | undefined} state
+ * @returns {string}
+ */
+export function flowCookieName(state) {
+  const id = String(state || '').replace(/[^a-f0-9]/gi, '').slice(0, 16);
+  return `${FLOW_COOKIE_PREFIX}${id}`;
+}
+
+/**
+ * @param {string} payload
+ * @param {string} secret
+ * @returns {string}
+ */
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
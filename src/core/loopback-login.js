@@ -0,0 +1,184 @@
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { generateCodeVerifier, createCodeChallenge } from './pkce.js';
+import { ConfigError, ProviderError, StateMismatchError } from './errors.js';
+import { FLOW_MAX_AGE } from './flow-state.js';
+import { signIn, redeemCode, callbackParamError } from './sign-in.js';
+
+/**
+ * Loopback-redirect login for desktop and CLI apps (RFC 8252 §7.3): the
+ * provider redirects the system browser to a temporary listener on
+ * `http://127.0.0.1:<random port>/callback`, so the app gets the code
+ * without a server of its own. PKCE is always used — the app can't keep a
+ * secret, and any local process could catch the redirect.
+ */
+
+/** Path of the temporary callback listener */
+const CALLBACK_PATH = '/callback';
+
+/**
+ * @typedef {Object} LoopbackLoginOptions
+ * @property {(url: string) => void | Promise<void>} onURL - Open the authorization URL in the system browser
+ * @property {AbortSignal} [signal] - Stop waiting; the promise rejects with the signal's reason
+ * @property {number} [timeout=600000] - How long to wait for the browser in milliseconds (default 10 minutes)
+ */
+
+/**
+ * @typedef {Object} LoopbackLoginResult
+ * @property {import('./config.js').AuthUser} user
+ * @property {import('./config.js').TokenSet} tokens - The provider's tokens (also in the token store)
+ * @property {string} token - The AuthSnap session, usable as a bearer token
+ */
+
+/**
+ * Run a loopback login: listen on 127.0.0.1, pass the authorization URL
+ * (with state, PKCE and, for OIDC providers, a nonce) to `onURL`, wait for
+ * the browser to come back, then complete the login like a callback — code
+ * exchange, profile, token store, `onSuccess`, `success` event, session.
+ * The browser tab gets a short page saying whether it worked. Requests with
+ * the wrong path or state are answered and ignored. Failures fire `onError`
+ * and the `error` event before rejecting.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {string} providerName
+ * @param {LoopbackLoginOptions} options
+ * @returns {Promise<LoopbackLoginResult>}
+ * @throws {AccessDeniedError} The user declined
+ * @throws {StateMismatchError} The browser didn't come back within `timeout`
+ */
+export async function runLoopbackLogin(authSnap, providerName, { onURL, signal, timeout = FLOW_MAX_AGE } = {}) {
+  if (typeof onURL !== 'function') {
+    throw new ConfigError('loopbackLogin() requires an onURL callback to open the browser');
+  }
+  const provider = authSnap.getProvider(providerName);
+  if (provider.responseMode === 'form_post') {
+    throw new ConfigError(`Provider "${providerName}" posts its callback and doesn't allow loopback redirect URIs`);
+  }
+
+  const server = createServer();
+  try {
+    await provider.ready();
+    const port = await listen(server);
+    const callbackURL = `http://127.0.0.1:${port}${CALLBACK_PATH}`;
+
+    const state = randomBytes(32).toString('hex');
+    const codeVerifier = generateCodeVerifier();
+    const nonce = provider.supportsIdToken() ? randomBytes(16).toString('hex') : undefined;
+    const url = provider.getAuthorizationURL(callbackURL, state, {
+      codeChallenge: createCodeChallenge(codeVerifier),
+      nonce,
+    });
+
+    const callback = waitForCallback(server, state, timeout, signal);
+    // If onURL throws, the listener closes and this rejects with nobody waiting
+    callback.catch(() => {});
+    await onURL(url);
+    const { params, res } = await callback;
+
+    try {
+      if (params.error) {
+        throw callbackParamError(providerName, params.error, params.error_description);
+      }
+      if (!params.code) {
+        throw new ProviderError('No authorization code received from provider', providerName);
+      }
+
+      const { tokens, user } = await redeemCode(provider, providerName, params.code, callbackURL, { codeVerifier, nonce });
+      const { jwt } = await signIn(authSnap, providerName, user, tokens);
+      respond(res, 200, 'Signed in', 'You can close this window and return to the app.');
+      return { user, tokens, token: jwt };
+    } catch (err) {
+      respond(res, 400, 'Sign-in failed', 'Return to the app for details.');
+      throw err;
+    }
+  } catch (err) {
+    if (authSnap.config.callbacks.onError) authSnap.config.callbacks.onError(err, providerName);
+    authSnap.emit('error', { error: err, provider: providerName });
+    throw err;
+  } finally {
+    server.close();
+    // Don't let the browser's keep-alive connection hold the process open (Node 18.2+)
+    server.closeAllConnections?.();
+  }
+}
+
+/**
+ * Start listening on a random loopback port.
+ * @param {import('node:http').Server} server
+ * @returns {Promise<number>} The port
+ */
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      server.off('error', reject);
+      resolve(server.address().port);
+    });
+  });
+}
+
+/**
+ * Wait for the redirect back from the provider. Anything other than a GET to
+ * the callback path with our state gets a 404 / 400 and is ignored. Stops
+ * waiting when the server closes.
+ * @param {import('node:http').Server} server
+ * @param {string} state
+ * @param {number} timeout
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ params: Record<string, string>, res: import('node:http').ServerResponse }>}
+ */
+function waitForCallback(server, state, timeout, signal) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      server.off('request', onRequest);
+      server.off('close', onClose);
+    };
+    const onClose = () => {
+      done();
+      reject(new Error('Loopback listener closed'));
+    };
+    const onAbort = () => {
+      done();
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      done();
+      reject(new StateMismatchError('Login flow expired — please try again'));
+    }, timeout);
+
+    const onRequest = (req, res) => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      if (req.method !== 'GET' || url.pathname !== CALLBACK_PATH) {
+        return respond(res, 404, 'Not found', '');
+      }
+      const params = Object.fromEntries(url.searchParams);
+      if (params.state !== state) {
+        return respond(res, 400, 'Sign-in failed', 'This link is not for the current sign-in.');
+      }
+      done();
+      resolve({ params, res });
+    };
+
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    server.on('request', onRequest);
+    server.on('close', onClose);
+  });
+}
+
+/**
+ * Send the browser tab a minimal HTML page.
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {string} title
+ * @param {string} message
+ */
+function respond(res, status, title, message) {
+  res.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+    Connection: 'close',
+  });
+  res.end(`<!doctype html><title>${title}</title><h1>${title}</h1><p>${message}</p>`);
+}
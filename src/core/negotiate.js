@@ -0,0 +1,25 @@
+/**
+ * Minimal content negotiation shared by the protect middleware and the
+ * adapters' error route: API clients get JSON, browser navigations get a
+ * redirect or an HTML page.
+ */
+
+/**
+ * Whether a request wants a JSON response rather than HTML — an XHR/fetch
+ * marked with `X-Requested-With: XMLHttpRequest`, or an `Accept` header that
+ * lists JSON ahead of (or without) HTML.
+ * @param {Record<string, string | string[] | undefined>} [headers] - Lower-cased request headers
+ * @returns {boolean}
+ */
+export function prefersJSON(headers = {}) {
+  if (String(headers['x-requested-with'] || '').toLowerCase() === 'xmlhttprequest') {
+    return true;
+  }
+
+  const accept = String(headers.accept || '').toLowerCase();
+  const json = accept.search(/application\/([\w.+-]+\+)?json/);
+  if (json === -1) return false;
+
+  const html = accept.indexOf('text/html');
+  return html === -1 || json < html;
+}
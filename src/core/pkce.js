@@ -0,0 +1,25 @@
+import { randomBytes, createHash } from 'node:crypto';
+
+/**
+ * PKCE (RFC 7636) helpers.
+ *
+ * A fresh code_verifier is generated for every login and kept in the flow
+ * state; only its S256 hash (the code_challenge) is sent to the provider.
+ */
+
+/**
+ * Generate a random code_verifier (43 chars, base64url).
+ * @returns {string}
+ */
+export function generateCodeVerifier() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Derive the S256 code_challenge for a code_verifier.
+ * @param {string} verifier
+ * @returns {string}
+ */
+export function createCodeChallenge(verifier) {
+  return createHash('sha256').update(verifier).digest('base64url');
+}
@@ -1,4 +1,27 @@
 import { randomBytes } from 'node:crypto';
+import { generateCodeVerifier, createCodeChallenge } from './pkce.js';
+import {
+  AuthSnapError,
+  ProviderError,
+  StateMismatchError,
+  CsrfError,
+  MobileLoginError,
+  TokenLoginError,
+} from './errors.js';
+import { prefersJSON } from './negotiate.js';
+import { signIn, redeemCode, callbackParamError, wrapError } from './sign-in.js';
+import { createCsrfToken, verifyCsrfToken } from './csrf.js';
+import {
+  encodeFlowState,
+  decodeFlowState,
+  flowCookieName,
+  flowBinding,
+  verifyFlowBinding,
+  FLOW_MAX_AGE,
+} from './flow-state.js';
+
+/** How long an app has to redeem the one-time code from a mobile login (60 seconds) */
+const MOBILE_CODE_TTL = 60_000;
 
 /**
  * Framework-agnostic OAuth route handler logic.
@@ -14,22 +37,43 @@ import { randomBytes } from 'node:crypto';
  * @typedef {Object} LoginResult
  * @property {string} redirectURL - URL to redirect the user to
  * @property {string} state - Generated CSRF state token
- * @property {boolean} secure - Whether cookies should be Secure
+ * @property {string} flowCookieName - Name of this flow's state cookie
+ * @property {string} flowCookie - Signed flow state (state, provider, PKCE verifier, ...) for the state cookie, or
+ *   for flows kept in the state store a binding to this browser (see `flowBinding`)
+ * @property {'lax' | 'none'} flowCookieSameSite - SameSite for the state cookie: 'none' for `form_post` providers,
+ *   whose callback is a cross-site POST
+ * @property {number} flowMaxAge - Lifetime of the state cookie in milliseconds
+ * @property {boolean} secure - Whether the state cookie should be Secure (always with SameSite=None)
  */
 
 /**
- * Handle the login route — generate state and build the authorization URL.
+ * Handle the login route — generate state (and a PKCE verifier for providers
+ * that support it) and build the authorization URL.
+ *
+ * With a `redirectURI` the login is for a native app: the URI must be in
+ * `mobile.redirectURIs` and the app must send its own S256 PKCE challenge.
+ * The callback then hands the session to the app as a one-time code instead
+ * of setting a cookie (see `handleTokenRequest`).
  * @param {import('./authsnap.js').AuthSnap} authSnap
  * @param {string} providerName
  * @param {string} callbackURL
  * @param {Object} [req] - Framework request object (passed to onBeforeAuth)
- * @returns {LoginResult}
+ * @param {LoginOptions} [options] - See `loginOptions`
+ * @returns {Promise<LoginResult>}
+ * @throws {MobileLoginError} For a mobile login with an unknown redirect URI or no PKCE challenge
  */
-export function handleLogin(authSnap, providerName, callbackURL, req) {
+export async function handleLogin(authSnap, providerName, callbackURL, req, options = {}) {
   const { config } = authSnap;
   const provider = authSnap.getProvider(providerName);
+  await provider.ready();
 
+  const mobile = options.redirectURI ? mobileLogin(config, options) : undefined;
   const state = randomBytes(32).toString('hex');
+  const codeVerifier = provider.pkce ? generateCodeVerifier() : undefined;
+  const nonce = provider.supportsIdToken() ? randomBytes(16).toString('hex') : undefined;
+  const returnTo = options.returnTo && !mobile
+    ? validateRedirect(options.returnTo, config.allowedRedirects)
+    : undefined;
 
   if (config.callbacks.onBeforeAuth) {
     config.callbacks.onBeforeAuth(providerName, req);
@@ -37,70 +81,187 @@ export function handleLogin(authSnap, providerName, callbackURL, req) {
 
   authSnap.emit('login', { provider: providerName, req });
 
-  const redirectURL = provider.getAuthorizationURL(callbackURL, state);
+  const redirectURL = provider.getAuthorizationURL(callbackURL, state, {
+    codeChallenge: codeVerifier ? createCodeChallenge(codeVerifier) : undefined,
+    nonce,
+  });
+
+  const flow = {
+    state,
+    provider: providerName,
+    createdAt: Date.now(),
+    codeVerifier,
+    nonce,
+    returnTo,
+    mobile,
+  };
+
+  // Keep the flow server-side when configured to, or when the callback is a
+  // cross-site POST. The cookie then only binds the flow to this browser.
+  const useStore = usesStateStore(authSnap, provider);
+  if (useStore) {
+    await authSnap.stateStore.set(state, flow, FLOW_MAX_AGE);
+  }
+  const crossSite = provider.responseMode === 'form_post';
+
+  return {
+    redirectURL,
+    state,
+    flowCookieName: flowCookieName(state),
+    flowCookie: useStore ? flowBinding(state) : encodeFlowState(flow, config.session.secret),
+    flowCookieSameSite: crossSite ? 'none' : 'lax',
+    flowMaxAge: FLOW_MAX_AGE,
+    // Browsers drop SameSite=None cookies that aren't Secure
+    secure: config.session.secure || crossSite,
+  };
+}
 
-  return { redirectURL, state, secure: config.session.secure };
+/**
+ * @typedef {Object} LoginOptions
+ * @property {string} [returnTo] - Where to send the user after login (the `?returnTo=` query param)
+ * @property {string} [redirectURI] - Mobile login: the app's redirect URI (`redirect_uri`)
+ * @property {string} [codeChallenge] - Mobile login: the app's PKCE challenge (`code_challenge`)
+ * @property {string} [codeChallengeMethod] - Mobile login: must be `S256` (`code_challenge_method`)
+ * @property {string} [appState] - Mobile login: opaque value echoed back to the app (`state`)
+ */
+
+/**
+ * Read the login route's query parameters.
+ * @param {Record<string, string>} [query]
+ * @returns {LoginOptions}
+ */
+export function loginOptions(query = {}) {
+  return {
+    returnTo: query.returnTo,
+    redirectURI: query.redirect_uri,
+    codeChallenge: query.code_challenge,
+    codeChallengeMethod: query.code_challenge_method,
+    appState: query.state,
+  };
 }
 
 /**
  * @typedef {Object} CallbackResult
- * @property {string} redirectURL - Where to redirect the user
- * @property {string} sessionCookie - Set-Cookie header value for the session
+ * @property {string} redirectURL - Where to redirect the user (the app's redirect URI for mobile logins)
+ * @property {string[] | null} sessionCookie - Set-Cookie header values for the session (see
+ *   `SessionManager#buildCookieHeader`); null for mobile logins, whose session is handed over by code
+ */
+
+/**
+ * @typedef {Object} CallbackParams
+ * @property {string} [code] - Authorization code
+ * @property {string} [state] - State returned by the provider
+ * @property {string} [error] - OAuth error code (e.g. `access_denied`) instead of a code
+ * @property {string} [error_description] - Human-readable detail for `error`
+ * @property {string} [id_token] - id_token (Apple form_post)
+ * @property {string} [user] - JSON-encoded user info (Apple form_post, first login only)
  */
 
 /**
  * Handle the OAuth callback — validate state, exchange code, create session.
+ *
+ * Failures throw typed errors with stable `code`s: AccessDeniedError
+ * (`ACCESS_DENIED`), StateMismatchError (`STATE_MISMATCH`), TokenExchangeError
+ * (`TOKEN_EXCHANGE_FAILED`) and ProfileFetchError (`PROFILE_FETCH_FAILED`).
+ * Errors in a mobile login carry `mobileRedirectURL`, which sends the error
+ * back to the app (see `handleCallbackError`).
  * @param {import('./authsnap.js').AuthSnap} authSnap
  * @param {string} providerName
- * @param {string} code - Authorization code
- * @param {string} state - State from query string
- * @param {string} storedState - State from cookie
+ * @param {CallbackParams} params - Callback query string (GET) or form body (POST)
+ * @param {string} [storedFlow] - This flow's state cookie (see `flowCookieName`): the signed flow state, or
+ *   for flows kept in the state store the browser binding
  * @param {string} callbackURL - The callback URL used during authorization
  * @returns {Promise<CallbackResult>}
  */
-export async function handleCallback(authSnap, providerName, code, state, storedState, callbackURL) {
-  const { config, sessionManager } = authSnap;
+export async function handleCallback(authSnap, providerName, params, storedFlow, callbackURL) {
   const provider = authSnap.getProvider(providerName);
-
-  // Validate CSRF state
-  if (!state || state !== storedState) {
-    throw new Error('Invalid state parameter — possible CSRF attack');
+  await provider.ready();
+  let flow;
+  if (!usesStateStore(authSnap, provider)) {
+    flow = decodeFlowState(storedFlow, authSnap.config.session.hmacSecrets);
+  } else if (verifyFlowBinding(storedFlow, params.state)) {
+    flow = await consumeStoredFlow(authSnap.stateStore, params.state);
+  } else {
+    // Not the browser that started this login — leave the stored flow alone
+    flow = null;
   }
 
-  if (!code) {
-    throw new Error('No authorization code received from provider');
+  try {
+    return await completeCallback(authSnap, providerName, provider, params, flow, callbackURL);
+  } catch (err) {
+    // The app is waiting on its redirect URI — report the error there, as an OAuth client expects
+    if (flow?.mobile && params.state === flow.state) {
+      err.mobileRedirectURL = appRedirectURL(flow.mobile, {
+        error: err instanceof AuthSnapError ? err.code : 'SERVER_ERROR',
+      });
+    }
+    throw err;
   }
+}
 
-  // Exchange code for tokens
-  const tokens = await provider.exchangeCode(code, callbackURL);
+/**
+ * The callback after the flow is loaded: validate it, exchange the code,
+ * and create the session.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {string} providerName
+ * @param {import('../providers/base.js').BaseProvider} provider
+ * @param {CallbackParams} params
+ * @param {import('./flow-state.js').FlowState | null} flow
+ * @param {string} callbackURL
+ * @returns {Promise<CallbackResult>}
+ */
+async function completeCallback(authSnap, providerName, provider, params, flow, callbackURL) {
+  const { code, state } = params;
+  const { config, sessionManager } = authSnap;
 
-  // Fetch user profile
-  const user = await provider.getProfile(tokens.accessToken);
+  // OAuth error response (RFC 6749 §4.1.2.1), e.g. the user clicked "Cancel"
+  if (params.error) {
+    throw callbackParamError(providerName, params.error, params.error_description);
+  }
 
-  // Store tokens if tokenStore is configured
-  if (authSnap.tokenStore) {
-    const { TokenStore } = await import('../session/token-store.js');
-    const key = TokenStore.key(providerName, user.id);
-    await authSnap.tokenStore.set(key, tokens);
+  // Validate CSRF state
+  if (!state || !flow || state !== flow.state) {
+    throw new StateMismatchError('Invalid state parameter — possible CSRF attack');
   }
 
-  // Fire onSuccess callback
-  let result = {};
-  if (config.callbacks.onSuccess) {
-    result = (await config.callbacks.onSuccess(user, tokens, providerName)) || {};
+  // The flow must have been started for this provider, and recently
+  if (flow.provider !== providerName) {
+    throw new StateMismatchError(`Flow state was issued for provider "${flow.provider}", not "${providerName}"`);
+  }
+  if (!flow.createdAt || Date.now() - flow.createdAt > FLOW_MAX_AGE) {
+    throw new StateMismatchError('Login flow expired — please try again');
+  }
+
+  if (!code) {
+    throw new ProviderError('No authorization code received from provider', providerName);
   }
 
-  authSnap.emit('success', { user, tokens, provider: providerName });
+  // `user` is only posted by Apple on first login
+  const { tokens, user } = await redeemCode(provider, providerName, code, callbackURL, {
+    codeVerifier: flow.codeVerifier,
+    nonce: flow.nonce,
+    idToken: params.id_token,
+    user: parseUserParam(params.user),
+  });
 
-  // Validate redirect URL to prevent open redirects
-  const redirect = result.redirect || '/';
+  const { jwt, result } = await signIn(authSnap, providerName, user, tokens);
+
+  // Validate redirect URL to prevent open redirects. onSuccess wins over the
+  // returnTo captured at login (already validated, but re-checked here).
+  const redirect = result.redirect || flow.returnTo || '/';
   const safeRedirect = validateRedirect(redirect, config.allowedRedirects);
 
-  // Create session JWT (include roles/permissions from onSuccess if provided)
-  const extra = {};
-  if (result.roles) extra.roles = result.roles;
-  if (result.permissions) extra.permissions = result.permissions;
-  const jwt = await sessionManager.createToken(user, extra);
+  // Mobile login: no cookie — the app redeems a one-time code for the session
+  if (flow.mobile) {
+    const mobileCode = randomBytes(32).toString('base64url');
+    await authSnap.stateStore.set(
+      mobileCodeKey(mobileCode),
+      { token: jwt, redirectURI: flow.mobile.redirectURI, codeChallenge: flow.mobile.codeChallenge },
+      MOBILE_CODE_TTL
+    );
+    return { redirectURL: appRedirectURL(flow.mobile, { code: mobileCode }), sessionCookie: null };
+  }
+
   const sessionCookie = sessionManager.buildCookieHeader(jwt);
 
   return {
@@ -109,8 +270,58 @@ export async function handleCallback(authSnap, providerName, code, state, stored
   };
 }
 
+/**
+ * Whether a provider's token login may use an access_token. One doesn't say
+ * which app it was issued to, so a token from any other app using the same
+ * provider would sign its user in here — only a provider whose config sets
+ * `accessTokenLogin` accepts one.
+ * @param {import('../providers/base.js').BaseProvider} provider
+ * @returns {boolean}
+ */
+function acceptsAccessToken(provider) {
+  return provider.config.accessTokenLogin === true;
+}
+
+/**
+ * Verify a token-login credential and load the profile it belongs to. An
+ * id_token is only accepted from providers that can verify one, and an
+ * access_token only with `accessTokenLogin` (see `acceptsAccessToken`); a
+ * failed verification or profile fetch is a TokenLoginError (original as
+ * `cause`).
+ * @param {import('../providers/base.js').BaseProvider} provider
+ * @param {string} providerName
+ * @param {import('./config.js').TokenSet} tokens - The posted credential(s)
+ * @returns {Promise<import('./config.js').AuthUser>}
+ * @throws {TokenLoginError}
+ */
+async function tokenLoginProfile(provider, providerName, { accessToken, idToken }) {
+  if (idToken && !provider.supportsIdToken()) {
+    throw new TokenLoginError(`Provider "${providerName}" does not issue id_tokens`, providerName);
+  }
+  if (!idToken && !acceptsAccessToken(provider)) {
+    throw new TokenLoginError(
+      provider.supportsIdToken()
+        ? `Provider "${providerName}" requires an id_token for token login`
+        : `Provider "${providerName}" does not accept access_token login`,
+      providerName
+    );
+  }
+  if (!accessToken && !idToken) {
+    throw new TokenLoginError('Token login requires an id_token or access_token', providerName);
+  }
+
+  try {
+    return await provider.getProfile(accessToken, { idToken });
+  } catch (err) {
+    throw wrapError(err, TokenLoginError, providerName);
+  }
+}
+
 /**
  * Handle callback errors — fire onError hook and determine redirect.
+ * For AuthSnap errors the error's `code` is added to the redirect as
+ * `?error=<CODE>` (unless the redirect already has an `error` param).
+ * A failed mobile login goes back to the app's redirect URI instead.
  * @param {import('./authsnap.js').AuthSnap} authSnap
  * @param {string} providerName
  * @param {Error} error
@@ -126,19 +337,278 @@ export function handleCallbackError(authSnap, providerName, error) {
 
   authSnap.emit('error', { error, provider: providerName });
 
+  if (error.mobileRedirectURL) {
+    return { redirectURL: error.mobileRedirectURL };
+  }
+
   const redirect = result.redirect || `${config.basePath}/error`;
+  let redirectURL = validateRedirect(redirect, config.allowedRedirects);
+  if (error instanceof AuthSnapError && error.code) {
+    redirectURL = appendErrorCode(redirectURL, error.code);
+  }
+
+  return { redirectURL };
+}
+
+/**
+ * @typedef {Object} ErrorPageResult
+ * @property {number} status - HTTP status
+ * @property {string} [html] - Rendered error page (browser navigations with `errorPage` configured)
+ * @property {{ error: string, code?: string }} [json] - JSON body (API clients, or no `errorPage`)
+ */
+
+/**
+ * Handle the error route — content-negotiate between the configured
+ * `errorPage` renderer and a JSON body. A renderer that throws gets the
+ * JSON body instead (and an `error` event), so a template bug can't take
+ * the error route down.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {Object} request
+ * @param {string} [request.code] - The `?error=` query param added by handleCallbackError
+ * @param {Record<string, any>} [request.headers] - Lower-cased request headers
+ * @param {Object} [request.req] - Framework request object (passed to errorPage)
+ * @returns {Promise<ErrorPageResult>}
+ */
+export async function handleErrorPage(authSnap, { code, headers, req } = {}) {
+  const status = 401;
+  const message = 'Authentication failed';
+  // The code comes from the query string — only pass through well-formed codes
+  const errorCode = typeof code === 'string' && /^[A-Z][A-Z_]*$/.test(code) ? code : undefined;
+
+  if (authSnap.config.errorPage && !prefersJSON(headers)) {
+    try {
+      const html = await authSnap.config.errorPage({ status, code: errorCode, message }, req);
+      return { status, html };
+    } catch (error) {
+      authSnap.emit('error', { error, provider: null });
+    }
+  }
+
+  return { status, json: errorCode ? { error: message, code: errorCode } : { error: message } };
+}
+
+/**
+ * Handle the JWKS route — the public keys of the session key pairs in
+ * `session.secrets`, so other services can verify session JWTs without the
+ * HMAC secret. Empty when sessions are signed with HMAC secrets only.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @returns {{ jwks: { keys: Object[] }, cacheControl: string }}
+ */
+export function handleJWKS(authSnap) {
   return {
-    redirectURL: validateRedirect(redirect, config.allowedRedirects),
+    jwks: authSnap.sessionManager.keyring.jwks(),
+    // Short enough that a newly added key is picked up well before it signs
+    cacheControl: 'public, max-age=300',
+  };
+}
+
+/**
+ * Handle the session route — who the SPA's user is. Verifies (and, for
+ * rolling cookie sessions, renews) the session like `protect()`, and returns
+ * the user, the session's expiry and a CSRF token for the POST logout route.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {{ token: string, bearer: boolean, cookieToken?: string | null } | null} found - `sessionManager.readTokenFromRequest(req)`
+ * @returns {Promise<{ status: number, json: Object, renewedCookie: string[] | null, cacheControl: string }>}
+ */
+export async function handleSession(authSnap, found) {
+  // Per-user and changes on every renewal — never cache
+  const cacheControl = 'no-store';
+  const unauthorized = {
+    status: 401,
+    json: { error: 'Unauthorized', code: 'UNAUTHORIZED' },
+    renewedCookie: null,
+    cacheControl,
+  };
+  if (!found) return unauthorized;
+
+  try {
+    const { user, session, renewedToken, renewedCookie, token: current } =
+      await authSnap.sessionManager.validateFound(found);
+    const token = renewedToken || current;
+    return {
+      status: 200,
+      json: {
+        user,
+        authTime: session.authTime,
+        expiresAt: session.expiresAt,
+        csrfToken: createCsrfToken(authSnap.config.session.secret, authSnap.sessionManager.sessionId(token)),
+      },
+      renewedCookie,
+      cacheControl,
+    };
+  } catch {
+    return unauthorized;
+  }
+}
+
+/**
+ * Handle the token route — renew a bearer session an API or mobile client
+ * already holds. With `allowTokenExchange`, it also hands a cookie session
+ * (from the browser flow) to the client as a bearer token; that is off by
+ * default, since it lets any same-origin script read the HttpOnly session.
+ * The token is the session itself (same `jti`, expiry and revocation),
+ * re-issued first if it is due for rolling renewal; a renewed cookie session
+ * also gets its cookie updated.
+ *
+ * With a `code` in the body, it instead redeems the one-time code from a
+ * mobile login: `code`, `code_verifier` (the app's PKCE verifier) and the
+ * `redirect_uri` the login used. A code works once, within 60 seconds.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {{ token: string, bearer: boolean, cookieToken?: string | null } | null} found - `sessionManager.readTokenFromRequest(req)`
+ * @param {Object} [body] - Parsed request body (form or JSON)
+ * @returns {Promise<{ status: number, json: Object, renewedCookie: string[] | null, cacheControl: string }>}
+ */
+export async function handleTokenRequest(authSnap, found, body = {}) {
+  const cacheControl = 'no-store';
+
+  if (body.code !== undefined || body.grant_type === 'authorization_code') {
+    try {
+      const token = await redeemMobileCode(authSnap, body);
+      const { session } = await authSnap.sessionManager.validateSession(token, { renew: false });
+      return {
+        status: 200,
+        json: { token, tokenType: 'Bearer', expiresAt: session.expiresAt },
+        renewedCookie: null,
+        cacheControl,
+      };
+    } catch (err) {
+      return {
+        status: err.statusCode || 500,
+        json: { error: err.message, code: err.code },
+        renewedCookie: null,
+        cacheControl,
+      };
+    }
+  }
+
+  const unauthorized = {
+    status: 401,
+    json: { error: 'Unauthorized', code: 'UNAUTHORIZED' },
+    renewedCookie: null,
+    cacheControl,
+  };
+  const exchange = authSnap.config.allowTokenExchange;
+  if (!found || (!found.bearer && !exchange)) return unauthorized;
+
+  try {
+    const { session, renewedToken, renewedCookie, token, bearer } = await authSnap.sessionManager.validateFound(
+      exchange ? found : { ...found, cookieToken: null },
+      { renewBearer: true }
+    );
+    return {
+      status: 200,
+      json: {
+        token: renewedToken || token,
+        tokenType: 'Bearer',
+        expiresAt: session.expiresAt,
+      },
+      renewedCookie: bearer ? null : renewedCookie,
+      cacheControl,
+    };
+  } catch {
+    return unauthorized;
+  }
+}
+
+/**
+ * Handle a provider's token-login route — sign in with a credential the
+ * client got from the provider itself, with no redirect (Google One Tap, the
+ * native Apple and Google SDKs, Discord's embedded app SDK). An `id_token`
+ * is verified against the provider's JWKS and must be issued to `clientId`
+ * or one of the provider's `audiences`. An `access_token` is only used
+ * with the provider's `accessTokenLogin` opt-in, and then checked by
+ * fetching the profile with it. The rest runs as in a callback — token storage, `onSuccess`, the
+ * `success` event — but `onSuccess`'s `redirect` has nothing to apply to.
+ *
+ * The session is set as a cookie unless `session.tokenSource` is 'header',
+ * and returned as a bearer token unless it is 'cookie'.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {string} providerName
+ * @param {{ id_token?: string, access_token?: string }} [body] - Parsed JSON request body
+ * @returns {Promise<{ status: number, json: Object, sessionCookie: string[] | null, cacheControl: string }>}
+ */
+export async function handleTokenLogin(authSnap, providerName, body = {}) {
+  const cacheControl = 'no-store';
+  const { config, sessionManager } = authSnap;
+
+  try {
+    const { id_token: idToken, access_token: accessToken } = body;
+    const provider = authSnap.providers.get(providerName);
+    const tokens = {
+      accessToken: typeof accessToken === 'string' && acceptsAccessToken(provider) ? accessToken : null,
+      refreshToken: null,
+      expiresAt: null,
+      tokenType: 'Bearer',
+      scope: null,
+      idToken: typeof idToken === 'string' ? idToken : null,
+    };
+
+    const user = await tokenLoginProfile(provider, providerName, tokens);
+    const { jwt } = await signIn(authSnap, providerName, user, tokens);
+    const { user: sessionUser, session } = await sessionManager.validateSession(jwt, { renew: false });
+
+    const json = { user: sessionUser, expiresAt: session.expiresAt };
+    if (sessionManager.tokenSource !== 'cookie') {
+      Object.assign(json, { token: jwt, tokenType: 'Bearer' });
+    }
+    return {
+      status: 200,
+      json,
+      sessionCookie: sessionManager.tokenSource !== 'header' ? sessionManager.buildCookieHeader(jwt) : null,
+      cacheControl,
+    };
+  } catch (err) {
+    if (config.callbacks.onError) config.callbacks.onError(err, providerName);
+    authSnap.emit('error', { error: err, provider: providerName });
+    return {
+      status: err.statusCode || 500,
+      json: { error: err.message, code: err.code },
+      sessionCookie: null,
+      cacheControl,
+    };
+  }
+}
+
+/**
+ * Handle the providers route — the configured providers, for building a
+ * login page.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @returns {{ providers: Array<{ id: string, name: string, loginURL: string }> }}
+ */
+export function handleProviders(authSnap) {
+  const { basePath } = authSnap.config;
+  const providers = [...authSnap.providers].map(([id, provider]) => ({
+    id,
+    name: provider.displayName,
+    loginURL: `${basePath}/${id}`,
+  }));
+  return { providers };
+}
+
+/**
+ * Handle the CSRF route — the token for the POST logout route, or null
+ * without a session.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {string | null} sessionToken
+ * @returns {{ csrfToken: string | null, cacheControl: string }}
+ */
+export function handleCsrf(authSnap, sessionToken) {
+  return {
+    csrfToken: sessionToken
+      ? createCsrfToken(authSnap.config.session.secret, authSnap.sessionManager.sessionId(sessionToken))
+      : null,
+    cacheControl: 'no-store',
   };
 }
 
 /**
  * Handle logout — return the cookie-clearing header.
  * @param {import('./authsnap.js').AuthSnap} authSnap
- * @returns {{ clearCookie: string }}
+ * @param {import('./config.js').AuthUser} [user] - The user being logged out, if known
+ * @returns {{ clearCookie: string[] }}
  */
-export function handleLogout(authSnap) {
-  authSnap.emit('logout', {});
+export function handleLogout(authSnap, user) {
+  authSnap.emit('logout', user ? { user } : {});
 
   return {
     clearCookie: authSnap.sessionManager.buildClearCookieHeader(),
@@ -146,46 +616,268 @@ export function handleLogout(authSnap) {
 }
 
 /**
- * Validate a redirect URL to prevent open redirect attacks.
- * - Relative paths (starting with /) are always allowed
- * - Absolute URLs are only allowed if their origin is in the allowedRedirects list
- * - Falls back to '/' if the redirect is not safe
+ * @typedef {Object} LogoutRequest
+ * @property {string | null} [sessionToken] - The session cookie value
+ * @property {string} [csrfToken] - Submitted `_csrf` field / `X-CSRF-Token` header
+ * @property {string} [returnTo] - Where to send the user afterwards
+ * @property {string} baseURL - Origin of the app, for an absolute `post_logout_redirect_uri`
+ */
+
+/**
+ * Handle the POST logout route — check the CSRF token, end the session
+ * (deleting it from the store with the `'cookie'` strategy), clear the cookie and,
+ * for providers with `singleLogout: true` and an `end_session_endpoint`, redirect
+ * through the provider (RP-initiated logout) with `id_token_hint` so the user is
+ * signed out there too.
  *
- * @param {string} redirect - The redirect URL to validate
- * @param {string[]} [allowedRedirects] - List of allowed origins/URLs
- * @returns {string} A safe redirect URL
+ * A request without a valid session needs no CSRF token — there is nothing to
+ * protect — and just clears the cookie. With `revokeOnLogout`, the user's
+ * provider tokens are revoked too.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {LogoutRequest} request
+ * @returns {Promise<{ clearCookie: string[], redirectURL: string }>}
+ * @throws {CsrfError} If the user has a session and the CSRF token doesn't match it
  */
-function validateRedirect(redirect, allowedRedirects) {
-  // Relative paths are always safe
-  if (redirect.startsWith('/') && !redirect.startsWith('//')) {
-    return redirect;
+export async function handleLogoutRequest(authSnap, { sessionToken, csrfToken, returnTo, baseURL }) {
+  const { config, sessionManager } = authSnap;
+
+  let user = null;
+  if (sessionToken) {
+    try {
+      user = await sessionManager.verifyToken(sessionToken);
+    } catch {
+      // Expired or invalid session — nothing to protect, just clear it
+    }
   }
 
-  // If no allowlist is configured, only allow relative paths
-  if (!allowedRedirects || allowedRedirects.length === 0) {
-    // Block absolute URLs when no allowlist is set — fall back to /
-    if (redirect.startsWith('http://') || redirect.startsWith('https://') || redirect.startsWith('//')) {
-      return '/';
+  if (user && !verifyCsrfToken(config.session.hmacSecrets, sessionManager.sessionId(sessionToken), csrfToken)) {
+    throw new CsrfError('Invalid CSRF token');
+  }
+
+  await sessionManager.destroySession(sessionToken);
+
+  let redirectURL = validateRedirect(returnTo || '/', config.allowedRedirects);
+  if (user) {
+    redirectURL = (await buildEndSessionURL(authSnap, user, redirectURL, baseURL)) || redirectURL;
+
+    // After building the end-session URL — it needs the stored id_token
+    if (config.revokeOnLogout) {
+      try {
+        await authSnap.revokeTokens(user.provider, user.id);
+      } catch (error) {
+        // A provider outage must not stop the user from logging out
+        authSnap.emit('error', { error, provider: user.provider });
+      }
     }
-    return redirect;
   }
 
-  // Check against the allowlist
+  return { ...handleLogout(authSnap, user || undefined), redirectURL };
+}
+
+/**
+ * Build the provider's RP-initiated logout URL for a user, or null unless
+ * the provider config opts in with `singleLogout: true` and the provider has
+ * an end-session endpoint. Opt-in because it ends the user's whole IdP
+ * session, and the IdP shows an error for an unregistered
+ * `post_logout_redirect_uri`.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {import('./config.js').AuthUser} user
+ * @param {string} returnTo - Validated post-logout redirect
+ * @param {string} baseURL
+ * @returns {Promise<string | null>}
+ */
+async function buildEndSessionURL(authSnap, user, returnTo, baseURL) {
+  const provider = authSnap.providers.get(user.provider);
+  if (!provider || provider.config.singleLogout !== true) return null;
+
   try {
-    const url = new URL(redirect);
-    const origin = url.origin;
-
-    for (const allowed of allowedRedirects) {
-      // Exact URL match
-      if (redirect === allowed) return redirect;
-      // Origin match (e.g., 'https://myapp.com' matches 'https://myapp.com/dashboard')
-      if (origin === allowed) return redirect;
+    await provider.ready();
+  } catch {
+    return null; // Discovery failed — fall back to a local logout
+  }
+  if (!provider.endpoints.endSession) return null;
+
+  const url = new URL(provider.endpoints.endSession);
+  url.searchParams.set('client_id', provider.config.clientId);
+  url.searchParams.set(
+    'post_logout_redirect_uri',
+    provider.config.postLogoutRedirectURL || new URL(returnTo, baseURL).href
+  );
+
+  if (authSnap.tokenStore) {
+    const { TokenStore } = await import('../session/token-store.js');
+    const tokens = await authSnap.tokenStore.get(TokenStore.key(user.provider, user.id));
+    if (tokens?.idToken) {
+      url.searchParams.set('id_token_hint', tokens.idToken);
     }
+  }
+
+  return url.href;
+}
+
+/**
+ * Add `error=<code>` to a (relative or absolute) redirect URL.
+ * @param {string} redirectURL
+ * @param {string} code
+ * @returns {string}
+ */
+function appendErrorCode(redirectURL, code) {
+  const url = new URL(redirectURL, 'http://localhost');
+  if (url.searchParams.has('error')) return redirectURL;
+  url.searchParams.set('error', code);
+
+  const isAbsolute = /^https?:\/\//.test(redirectURL);
+  return isAbsolute ? url.href : `${url.pathname}${url.search}${url.hash}`;
+}
+
+/**
+ * Whether a provider's flow state lives in the server-side state store rather
+ * than a cookie: always when a custom `stateStore` is configured, and for
+ * `form_post` providers, whose cross-site POST callback has no Lax cookies.
+ * Either way a cookie still binds the flow to the browser.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {import('../providers/base.js').BaseProvider} provider
+ * @returns {boolean}
+ */
+function usesStateStore(authSnap, provider) {
+  return Boolean(authSnap.config.stateStore) || provider.responseMode === 'form_post';
+}
+
+/**
+ * Look up and delete a stored flow (or mobile login code). Only the caller
+ * whose delete succeeds gets it, so a replayed or concurrent callback with the
+ * same state — or a second redemption of a code — fails.
+ * @param {import('../session/state-store.js').StateStore} store
+ * @param {string | undefined} state - Store key
+ * @returns {Promise<any | null>}
+ */
+async function consumeStoredFlow(store, state) {
+  if (!state) return null;
+  const flow = await store.get(state);
+  if (!flow) return null;
+  return (await store.delete(state)) ? flow : null;
+}
+
+/**
+ * Check a mobile login request against `mobile.redirectURIs` (exact match)
+ * and require the app's S256 PKCE challenge.
+ * @param {import('./config.js').AuthSnapConfig} config
+ * @param {LoginOptions} options
+ * @returns {{ redirectURI: string, codeChallenge: string, state?: string }}
+ * @throws {MobileLoginError}
+ */
+function mobileLogin(config, { redirectURI, codeChallenge, codeChallengeMethod, appState }) {
+  if (!config.mobile?.redirectURIs.includes(redirectURI)) {
+    throw new MobileLoginError(`redirect_uri "${redirectURI}" is not in mobile.redirectURIs`, 'INVALID_REQUEST');
+  }
+  if (codeChallengeMethod !== 'S256' || !/^[A-Za-z0-9_-]{43}$/.test(codeChallenge || '')) {
+    throw new MobileLoginError('Mobile login requires an S256 code_challenge', 'INVALID_REQUEST');
+  }
+  return { redirectURI, codeChallenge, state: appState };
+}
+
+/**
+ * Build the redirect back to the app: its redirect URI plus `params` and the
+ * app's `state`.
+ * @param {{ redirectURI: string, state?: string }} mobile
+ * @param {Record<string, string>} params
+ * @returns {string}
+ */
+function appRedirectURL(mobile, params) {
+  const url = new URL(mobile.redirectURI);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  if (mobile.state) url.searchParams.set('state', mobile.state);
+  return url.href;
+}
+
+/**
+ * @param {string} code
+ * @returns {string} State store key for a mobile login code
+ */
+function mobileCodeKey(code) {
+  return `mobile_code:${code}`;
+}
+
+/**
+ * Redeem a mobile login code: single use, and only with the PKCE verifier
+ * and redirect URI of the login that issued it.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {{ code?: string, code_verifier?: string, redirect_uri?: string }} body
+ * @returns {Promise<string>} The session token
+ * @throws {MobileLoginError}
+ */
+async function redeemMobileCode(authSnap, { code, code_verifier: codeVerifier, redirect_uri: redirectURI }) {
+  if (!code || !codeVerifier || !redirectURI) {
+    throw new MobileLoginError('code, code_verifier and redirect_uri are required', 'INVALID_REQUEST');
+  }
+
+  // Deleted on lookup, so a wrong verifier burns the code too
+  const grant = await consumeStoredFlow(authSnap.stateStore, mobileCodeKey(code));
+  if (!grant) {
+    throw new MobileLoginError('Invalid or expired code', 'INVALID_GRANT');
+  }
+  if (grant.redirectURI !== redirectURI || createCodeChallenge(codeVerifier) !== grant.codeChallenge) {
+    throw new MobileLoginError('code_verifier or redirect_uri does not match the login', 'INVALID_GRANT');
+  }
+  return grant.token;
+}
+
+/**
+ * Parse the JSON `user` field Apple posts to the callback on first login.
+ * @param {string | Object | undefined} value
+ * @returns {Object | undefined}
+ */
+function parseUserParam(value) {
+  if (!value) return undefined;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
   } catch {
-    // Not a valid URL — treat as relative
-    return redirect;
+    return undefined;
+  }
+}
+
+/** Placeholder origin that relative redirects are resolved against */
+const SAME_ORIGIN = 'http://authsnap.invalid';
+
+/**
+ * Validate a redirect URL to prevent open redirect attacks. Redirects can come
+ * from the user (`?returnTo=`), so the value is parsed the way a browser would
+ * resolve it rather than matched by prefix.
+ * - Paths (starting with /) are allowed when they resolve to the same origin
+ * - Absolute http(s) URLs are only allowed if their origin (or the exact URL) is in allowedRedirects
+ * - Non-strings, backslashes and anything else fall back to '/'
+ *
+ * @param {unknown} redirect - The redirect URL to validate
+ * @param {string[]} [allowedRedirects] - List of allowed origins/URLs
+ * @returns {string} A safe redirect URL
+ */
+function validateRedirect(redirect, allowedRedirects) {
+  // Browsers read `\` as `/`, so `/\evil.com` would be protocol-relative
+  if (typeof redirect !== 'string' || redirect.includes('\\')) {
+    return '/';
+  }
+
+  let url;
+  try {
+    url = new URL(redirect, SAME_ORIGIN);
+  } catch {
+    return '/';
+  }
+
+  // Same-origin path — returned as parsed, so tabs and newlines the browser
+  // would strip can't turn it into `//evil.com`
+  if (redirect.startsWith('/') && url.origin === SAME_ORIGIN) {
+    return `${url.pathname}${url.search}${url.hash}`;
+  }
+
+  // Absolute URL — must be http(s) and on the allowlist
+  const absolute = url.origin !== SAME_ORIGIN && (url.protocol === 'https:' || url.protocol === 'http:');
+  if (absolute && allowedRedirects?.some((allowed) => allowed === url.origin || allowed === url.href)) {
+    return url.href;
   }
 
-  // Not in allowlist — block it
   return '/';
 }
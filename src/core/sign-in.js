@@ -0,0 +1,144 @@
+import {
+  ConfigError,
+  ProviderError,
+  AccessDeniedError,
+  TokenExchangeError,
+  ProfileFetchError,
+} from './errors.js';
+
+/**
+ * Completing a login once the provider has vouched for the user — shared by
+ * the HTTP routes (callback, token-login), `auth.deviceFlow()` and
+ * `auth.loopbackLogin()`.
+ */
+
+/**
+ * Exchange an authorization code and fetch the profile, as typed errors:
+ * TokenExchangeError or ProfileFetchError (original error as `cause`). The
+ * id_token from the token endpoint is preferred over one posted to the callback.
+ * @param {import('../providers/base.js').BaseProvider} provider
+ * @param {string} providerName
+ * @param {string} code
+ * @param {string} callbackURL - The redirect_uri used at login
+ * @param {Object} [extra]
+ * @param {string} [extra.codeVerifier] - PKCE verifier from login
+ * @param {string} [extra.nonce] - Nonce sent at login
+ * @param {string} [extra.idToken] - id_token posted to the callback
+ * @param {Object} [extra.user] - Apple's first-login `user` field
+ * @returns {Promise<{ tokens: import('./config.js').TokenSet, user: import('./config.js').AuthUser }>}
+ */
+export async function redeemCode(provider, providerName, code, callbackURL, { codeVerifier, nonce, idToken, user } = {}) {
+  let tokens;
+  try {
+    tokens = await provider.exchangeCode(code, callbackURL, codeVerifier);
+  } catch (err) {
+    throw wrapError(err, TokenExchangeError, providerName);
+  }
+
+  try {
+    const profile = await provider.getProfile(tokens.accessToken, {
+      idToken: tokens.idToken || idToken,
+      nonce,
+      user,
+    });
+    return { tokens, user: profile };
+  } catch (err) {
+    throw wrapError(err, ProfileFetchError, providerName);
+  }
+}
+
+/**
+ * The part of a login shared by the callback, token-login and the device flow: store the
+ * provider tokens, run `onSuccess`, emit `success` and create the session
+ * (with roles/permissions from `onSuccess`, if it returned any).
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {string} providerName
+ * @param {import('./config.js').AuthUser} user
+ * @param {import('./config.js').TokenSet} tokens
+ * @returns {Promise<{ jwt: string, result: Object }>} The session token and what `onSuccess` returned
+ */
+export async function signIn(authSnap, providerName, user, tokens) {
+  const { config, sessionManager } = authSnap;
+
+  // Store tokens if tokenStore is configured — unless there are none (a
+  // token-login with only an id_token), which would wipe the stored ones
+  if (authSnap.tokenStore && tokens.accessToken) {
+    const { TokenStore } = await import('../session/token-store.js');
+    const key = TokenStore.key(providerName, user.id);
+    // Keep the refresh token from an earlier login if the provider didn't issue a new one
+    const previous = tokens.refreshToken ? null : await authSnap.tokenStore.get(key);
+    await authSnap.tokenStore.set(key, previous?.refreshToken ? { ...tokens, refreshToken: previous.refreshToken } : tokens);
+  }
+
+  // Fire onSuccess callback
+  let result = {};
+  if (config.callbacks.onSuccess) {
+    result = (await config.callbacks.onSuccess(user, tokens, providerName)) || {};
+  }
+
+  authSnap.emit('success', { user, tokens, provider: providerName });
+
+  const extra = {};
+  if (result.roles) extra.roles = result.roles;
+  if (result.permissions) extra.permissions = result.permissions;
+  const sessionUser = await shapeSessionUser(authSnap, user, tokens, providerName);
+  const jwt = await sessionManager.createToken(sessionUser, extra);
+
+  return { jwt, result };
+}
+
+/**
+ * Decide what goes into the session for a signed-in user: the result of
+ * `callbacks.session`, or by default the AuthUser without the provider's
+ * `raw` profile (which alone can push a JWT cookie past 4KB). `id` and
+ * `provider` are always kept unless the hook sets them — logout, token
+ * revocation and session revocation look the user up by them.
+ * @param {import('./authsnap.js').AuthSnap} authSnap
+ * @param {import('./config.js').AuthUser} user
+ * @param {import('./config.js').TokenSet} tokens
+ * @param {string} provider
+ * @returns {Promise<Object>}
+ */
+async function shapeSessionUser(authSnap, user, tokens, provider) {
+  const hook = authSnap.config.callbacks.session;
+  if (!hook) {
+    const { raw, ...sessionUser } = user;
+    return sessionUser;
+  }
+
+  const shaped = await hook({ user, tokens, provider });
+  if (!shaped || typeof shaped !== 'object') {
+    throw new ConfigError('callbacks.session must return an object of session claims');
+  }
+  return { id: user.id, provider: user.provider, ...shaped };
+}
+
+/**
+ * Wrap a failure from a provider call in the typed error for that step,
+ * keeping the original as `cause`. Errors already of that type pass through.
+ * @param {Error} err
+ * @param {new (message: string, provider: string) => Error} ErrorClass - e.g. TokenExchangeError, ProfileFetchError
+ * @param {string} providerName
+ * @returns {Error}
+ */
+export function wrapError(err, ErrorClass, providerName) {
+  if (err instanceof ErrorClass) return err;
+  const wrapped = new ErrorClass(err.message, providerName);
+  wrapped.cause = err;
+  return wrapped;
+}
+
+/**
+ * Build the error for an OAuth error response on the callback.
+ * @param {string} providerName
+ * @param {string} error - The `error` param (e.g. `access_denied`)
+ * @param {string} [description] - The `error_description` param
+ * @returns {import('./errors.js').AuthSnapError}
+ */
+export function callbackParamError(providerName, error, description) {
+  const detail = description ? `: ${description}` : '';
+  if (error === 'access_denied') {
+    return new AccessDeniedError(`User denied access${detail}`, providerName, description);
+  }
+  return new ProviderError(`Provider returned error "${error}"${detail}`, providerName);
+}
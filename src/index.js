@@ -1,5 +1,18 @@
 export { AuthSnap } from './core/authsnap.js';
-export { AuthSnapError, ConfigError, ProviderError, TokenError, SessionError } from './core/errors.js';
+export {
+  AuthSnapError,
+  ConfigError,
+  ProviderError,
+  TokenError,
+  SessionError,
+  AccessDeniedError,
+  StateMismatchError,
+  CsrfError,
+  MobileLoginError,
+  TokenLoginError,
+  TokenExchangeError,
+  ProfileFetchError,
+} from './core/errors.js';
 export { BaseProvider } from './providers/base.js';
 export { GoogleProvider } from './providers/google.js';
 export { GitHubProvider } from './providers/github.js';
@@ -9,8 +22,13 @@ export { AppleProvider } from './providers/apple.js';
 export { MicrosoftProvider } from './providers/microsoft.js';
 export { LinkedInProvider } from './providers/linkedin.js';
 export { SpotifyProvider } from './providers/spotify.js';
+export { OIDCProvider } from './providers/oidc.js';
+export { OAuth2Provider } from './providers/oauth2.js';
 export { SessionManager } from './session/session-manager.js';
 export { TokenStore } from './session/token-store.js';
+export { StateStore } from './session/state-store.js';
+export { SessionStore } from './session/session-store.js';
+export { RevocationStore } from './session/revocation-store.js';
 export { TokenRefresher } from './session/token-refresh.js';
 export { createProtectMiddleware } from './middleware/protect.js';
 export { createRateLimiter } from './middleware/rate-limit.js';
@@ -18,6 +18,9 @@
  *     linker.link(appUserId, user.provider, user.id);
  *   }
  * });
+ *
+ * // Revoke a provider's tokens when it is unlinked
+ * const linker = new AccountLinker(null, { authSnap: auth, revokeTokens: true });
  */
 
 /**
@@ -86,9 +89,14 @@ class InMemoryLinkStore {
 export class AccountLinker {
   /**
    * @param {Object} [store] - Pluggable store with link/unlink/getLinkedAccounts/findByProvider/isLinked methods
+   * @param {Object} [options]
+   * @param {import('../core/authsnap.js').AuthSnap} [options.authSnap] - Needed to revoke tokens on unlink
+   * @param {boolean} [options.revokeTokens=false] - Revoke the provider's stored tokens on unlink
    */
-  constructor(store) {
+  constructor(store, options = {}) {
     this.store = store || new InMemoryLinkStore();
+    this.authSnap = options.authSnap || null;
+    this.revokeTokens = Boolean(options.revokeTokens && options.authSnap);
   }
 
   /**
@@ -102,13 +110,28 @@ export class AccountLinker {
   }
 
   /**
-   * Unlink a provider from an application user.
+   * Unlink a provider from an application user. With `revokeTokens`, the
+   * provider account's stored tokens are revoked at the provider too.
    * @param {string} userId
    * @param {string} provider
    * @returns {Promise<boolean>} Whether the unlink was successful
    */
   async unlink(userId, provider) {
-    return this.store.unlink(userId, provider);
+    const providerId = this.revokeTokens
+      ? (await this.store.getLinkedAccounts(userId))[provider]
+      : undefined;
+
+    const unlinked = await this.store.unlink(userId, provider);
+
+    if (unlinked && providerId) {
+      try {
+        await this.authSnap.revokeTokens(provider, providerId);
+      } catch (error) {
+        // The link is already gone — report the revocation failure, don't undo it
+        this.authSnap.emit('error', { error, provider });
+      }
+    }
+    return unlinked;
   }
 
   /**
@@ -1,27 +1,59 @@
+import { prefersJSON } from '../core/negotiate.js';
+
 /**
  * Creates middleware that protects routes — only authenticated users pass through.
  * Supports role-based and permission-based access control.
  *
+ * Responses are content-negotiated: API clients (`Accept: application/json` or
+ * XHR) get JSON with an error `code` and `loginURL`; browser navigations get the
+ * redirect, the `errorPage`, or a plain JSON body, in that order.
+ *
+ * Sets `req.user` and `req.authSession` (`{ jti, authTime, expiresAt }`). A
+ * session that needs re-issuing — a rolling session past its renewal
+ * threshold, or a JWT signed with a rotated-out key — gets its fresh cookie
+ * set on the response before the route handler runs. Revoked sessions are
+ * treated like expired ones.
+ *
+ * The session token may come from the cookie or an `Authorization: Bearer`
+ * header (`session.tokenSource`, or `options.tokenSource` per route); with
+ * `'both'`, a bearer token that isn't a valid session falls back to the
+ * cookie. Bearer sessions are never re-issued here — there is no cookie to
+ * update — and failures always get the JSON 401 / 403, since the client is
+ * an API client.
+ *
  * @param {import('../session/session-manager.js').SessionManager} sessionManager
  * @param {Object} [options]
  * @param {string} [options.redirect] - URL to redirect unauthenticated users to
+ * @param {boolean} [options.returnTo=true] - Append `?returnTo=<original URL>` to the redirect
  * @param {string[]} [options.roles] - Required roles (user must have at least one)
  * @param {string[]} [options.permissions] - Required permissions (user must have at least one)
  * @param {string} [options.forbiddenRedirect] - URL to redirect users who lack roles/permissions
+ * @param {import('../core/config.js').ErrorPageRenderer} [options.errorPage] - HTML page for browser navigations without a redirect
+ * @param {'cookie' | 'header' | 'both'} [options.tokenSource] - Where to read the session (defaults to `session.tokenSource`)
  * @returns {Function} Express-compatible middleware
  */
 export function createProtectMiddleware(sessionManager, options = {}) {
   return async (req, res, next) => {
-    const token = sessionManager.getTokenFromRequest(req);
+    const found = sessionManager.readTokenFromRequest(req, options.tokenSource);
 
-    if (!token) {
-      return handleUnauthorized(res, options);
+    if (!found) {
+      return handleUnauthorized(req, res, options);
     }
 
+    let bearer = found.bearer;
     try {
-      req.user = await sessionManager.verifyToken(token);
+      const result = await sessionManager.validateFound(found);
+      const { user, session, renewedToken, renewedCookie } = result;
+      bearer = result.bearer;
+      req.user = user;
+      req.authSession = session;
+      if (renewedCookie) {
+        // Later reads in this request (e.g. auth.csrfToken(req)) see the new session
+        req._authsnapRenewedToken = renewedToken;
+        appendSetCookie(res, renewedCookie);
+      }
     } catch {
-      return handleUnauthorized(res, options);
+      return handleUnauthorized(req, res, options, bearer);
     }
 
     // RBAC: check roles
@@ -29,7 +61,7 @@ export function createProtectMiddleware(sessionManager, options = {}) {
       const userRoles = req.user.roles || [];
       const hasRole = options.roles.some((r) => userRoles.includes(r));
       if (!hasRole) {
-        return handleForbidden(res, options);
+        return handleForbidden(req, res, options, bearer);
       }
     }
 
@@ -38,7 +70,7 @@ export function createProtectMiddleware(sessionManager, options = {}) {
       const userPerms = req.user.permissions || [];
       const hasPerm = options.permissions.some((p) => userPerms.includes(p));
       if (!hasPerm) {
-        return handleForbidden(res, options);
+        return handleForbidden(req, res, options, bearer);
       }
     }
 
@@ -47,23 +79,93 @@ export function createProtectMiddleware(sessionManager, options = {}) {
 }
 
 /**
+ * @param {Object} req
  * @param {Object} res
  * @param {Object} options
+ * @param {boolean} [bearer] - The request sent a bearer token
  */
-function handleUnauthorized(res, options) {
-  if (options.redirect) {
-    return res.redirect(options.redirect);
+async function handleUnauthorized(req, res, options, bearer = false) {
+  const loginURL = options.redirect ? withReturnTo(options.redirect, req, options) : null;
+
+  if (bearer || prefersJSON(req.headers)) {
+    return res.status(401).json({ error: 'Unauthorized', code: 'UNAUTHORIZED', loginURL });
+  }
+  if (loginURL) {
+    return res.redirect(loginURL);
+  }
+  if (options.errorPage) {
+    return sendErrorPage(req, res, options, { status: 401, code: 'UNAUTHORIZED', message: 'Unauthorized' });
   }
   return res.status(401).json({ error: 'Unauthorized' });
 }
 
 /**
+ * @param {Object} req
  * @param {Object} res
  * @param {Object} options
+ * @param {boolean} [bearer] - The request sent a bearer token
  */
-function handleForbidden(res, options) {
+async function handleForbidden(req, res, options, bearer = false) {
+  if (bearer || prefersJSON(req.headers)) {
+    return res.status(403).json({ error: 'Forbidden', code: 'FORBIDDEN' });
+  }
   if (options.forbiddenRedirect) {
     return res.redirect(options.forbiddenRedirect);
   }
+  if (options.errorPage) {
+    return sendErrorPage(req, res, options, { status: 403, code: 'FORBIDDEN', message: 'Forbidden' });
+  }
   return res.status(403).json({ error: 'Forbidden' });
 }
+
+/**
+ * Add a Set-Cookie header without dropping ones already set on the response.
+ * Express has `res.append`; Fastify's `reply.header` appends Set-Cookie itself.
+ * @param {Object} res
+ * @param {string | string[]} cookie - One header, or several for a chunked session
+ */
+function appendSetCookie(res, cookie) {
+  if (typeof res.append === 'function') {
+    res.append('Set-Cookie', cookie);
+  } else if (typeof res.header === 'function') {
+    res.header('Set-Cookie', cookie);
+  } else {
+    const existing = res.getHeader?.('Set-Cookie');
+    res.setHeader('Set-Cookie', existing ? [].concat(existing, cookie) : cookie);
+  }
+}
+
+/**
+ * Render the configured error page as an HTML response, or the plain JSON
+ * body if the renderer throws.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options
+ * @param {import('../core/config.js').ErrorPageContext} context
+ */
+async function sendErrorPage(req, res, options, context) {
+  let html;
+  try {
+    html = await options.errorPage(context, req);
+  } catch {
+    return res.status(context.status).json({ error: context.message });
+  }
+  return res.status(context.status).type('text/html; charset=utf-8').send(html);
+}
+
+/**
+ * Append the URL the user originally asked for as `returnTo`, so the login
+ * route can send them back there after authenticating.
+ * @param {string} redirect
+ * @param {Object} req
+ * @param {Object} options
+ * @returns {string}
+ */
+function withReturnTo(redirect, req, options) {
+  const originalURL = req.originalUrl || req.url;
+  if (options.returnTo === false || !originalURL) {
+    return redirect;
+  }
+  const separator = redirect.includes('?') ? '&' : '?';
+  return `${redirect}${separator}returnTo=${encodeURIComponent(originalURL)}`;
+}
@@ -6,6 +6,9 @@ const APPLE_ENDPOINTS = {
   authorization: 'https://appleid.apple.com/auth/authorize',
   token: 'https://appleid.apple.com/auth/token',
   userinfo: null, // Apple doesn't have a userinfo endpoint — data comes from the id_token
+  issuer: 'https://appleid.apple.com',
+  jwks: 'https://appleid.apple.com/auth/keys',
+  revocation: 'https://appleid.apple.com/auth/revoke',
 };
 
 const DEFAULT_SCOPES = ['name', 'email'];
@@ -30,23 +33,18 @@ export class AppleProvider extends BaseProvider {
   /** @param {import('../core/config.js').ProviderConfig} config */
   constructor(config) {
     super('apple', config, APPLE_ENDPOINTS, DEFAULT_SCOPES);
+    this.displayName = config.displayName || 'Apple';
+    this.responseMode = 'form_post';
   }
 
   /**
    * Apple requires `response_mode=form_post` and `response_type=code id_token`.
    * @override
    */
-  getAuthorizationURL(callbackURL, state) {
-    const params = new URLSearchParams({
-      client_id: this.config.clientId,
-      redirect_uri: callbackURL,
-      response_type: 'code',
-      scope: this.scopes.join(' '),
-      state,
+  getAuthorizationURL(callbackURL, state, options = {}) {
+    return this._buildAuthorizationURL(callbackURL, state, options, {
       response_mode: 'form_post',
     });
-
-    return `${this.endpoints.authorization}?${params.toString()}`;
   }
 
   /**
@@ -86,10 +84,39 @@ export class AppleProvider extends BaseProvider {
       expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
       tokenType: data.token_type || 'Bearer',
       scope: null,
-      idToken: data.id_token, // Apple-specific: JWT containing user claims
+      idToken: data.id_token, // JWT containing user claims — verified in getProfile
     };
   }
 
+  /**
+   * Revoke tokens at Apple's `/auth/revoke`. Like the token exchange, this
+   * authenticates with the generated client_secret JWT.
+   * @override
+   */
+  async revokeToken(tokens) {
+    const body = new URLSearchParams({
+      client_id: this.config.clientId,
+      client_secret: await this._getClientSecret(),
+      token: tokens.refreshToken || tokens.accessToken,
+      token_type_hint: tokens.refreshToken ? 'refresh_token' : 'access_token',
+    });
+
+    const response = await fetch(this.endpoints.revocation, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString(),
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new ProviderError(
+        `Token revocation failed (${response.status}): ${text}`,
+        this.name
+      );
+    }
+    return true;
+  }
+
   /**
    * Apple doesn't have a userinfo endpoint. Profile data comes from the id_token.
    * The id_token is a JWT issued by Apple containing: sub, email, email_verified.
@@ -98,7 +125,7 @@ export class AppleProvider extends BaseProvider {
    * `user` POST parameter in the callback — it is NOT in the id_token.
    *
    * @param {string} accessToken
-   * @param {Object} [extra] - Extra data (e.g., id_token, user from form POST)
+   * @param {Object} [extra] - Extra data (id_token, nonce, user from form POST)
    * @returns {Promise<import('../core/config.js').AuthUser>}
    * @override
    */
@@ -112,8 +139,9 @@ export class AppleProvider extends BaseProvider {
       );
     }
 
-    // Decode the id_token (we trust it since it came directly from Apple's token endpoint)
-    const claims = jose.decodeJwt(idToken);
+    // Verify signature, issuer, audience, expiry and nonce against Apple's JWKS —
+    // the id_token may have been posted by the browser, so it is never just decoded.
+    const claims = await this.verifyIdToken(idToken, { nonce: extra.nonce });
 
     // The `user` object is only sent on the FIRST authorization
     // It comes from the form POST body, not the id_token
@@ -1,5 +1,19 @@
+import * as jose from 'jose';
 import { ProviderError } from '../core/errors.js';
 
+/**
+ * Remote JWKS resolvers keyed by jwks_uri. Shared across provider instances so
+ * each issuer's keys are fetched once and re-fetched only on an unknown `kid`.
+ * @type {Map<string, ReturnType<typeof jose.createRemoteJWKSet>>}
+ */
+const remoteJWKSets = new Map();
+
+/** `grant_type` for polling the token endpoint with a device code (RFC 8628 §3.4) */
+const DEVICE_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+
+/** Device code lifetime (seconds) assumed when the provider sends no `expires_in` */
+const DEFAULT_DEVICE_CODE_LIFETIME = 900;
+
 /**
  * Base class for all OAuth providers.
  * Each provider must implement: getAuthorizationURL, exchangeCode, getProfile.
@@ -12,6 +26,11 @@ export class BaseProvider {
    * @param {string} endpoints.authorization - Authorization URL
    * @param {string} endpoints.token - Token exchange URL
    * @param {string} endpoints.userinfo - User profile URL
+   * @param {string | string[]} [endpoints.issuer] - Expected id_token `iss` (OIDC providers)
+   * @param {string} [endpoints.jwks] - JWKS URI used to verify id_tokens (OIDC providers)
+   * @param {string} [endpoints.endSession] - RP-initiated logout endpoint (OIDC `end_session_endpoint`)
+   * @param {string} [endpoints.revocation] - Token revocation endpoint (RFC 7009)
+   * @param {string} [endpoints.deviceAuthorization] - Device authorization endpoint (RFC 8628)
    * @param {string[]} [defaultScopes=[]] - Default scopes if none specified
    */
   constructor(name, config, endpoints, defaultScopes = []) {
@@ -19,77 +38,350 @@ export class BaseProvider {
     this.config = config;
     this.endpoints = endpoints;
     this.scopes = config.scopes || defaultScopes;
+
+    /** Human-readable name for login buttons (`GET {basePath}/providers`) */
+    this.displayName = config.displayName || name;
+
+    /** Whether login sends an S256 PKCE challenge. Subclasses opt in; `config.pkce` overrides. */
+    this.pkce = config.pkce ?? false;
+
+    /**
+     * How client credentials reach the token endpoint: 'body' (client_secret_post)
+     * or 'basic' (HTTP Basic Auth, client_secret_basic).
+     */
+    this.tokenAuthStyle = config.tokenAuthStyle || 'body';
+
+    /**
+     * How the provider returns the callback: 'query' (GET redirect) or
+     * 'form_post' (cross-site POST — flow state is kept in the state store).
+     */
+    this.responseMode = 'query';
   }
 
+  /**
+   * Resolve any endpoint metadata the provider needs before use. Providers with
+   * static endpoints are always ready; OIDCProvider fetches its discovery document.
+   * @returns {Promise<void>}
+   */
+  async ready() {}
+
   /**
    * Build the authorization URL that the user's browser will be redirected to.
    * @param {string} callbackURL - Full callback URL
    * @param {string} state - CSRF state token
+   * @param {Object} [options]
+   * @param {string} [options.codeChallenge] - PKCE S256 code_challenge
+   * @param {string} [options.nonce] - OIDC nonce, echoed back in the id_token
    * @returns {string} Authorization URL
    */
-  getAuthorizationURL(callbackURL, state) {
-    const params = new URLSearchParams({
-      client_id: this.config.clientId,
-      redirect_uri: callbackURL,
-      response_type: 'code',
-      scope: this.scopes.join(' '),
-      state,
-    });
-
-    return `${this.endpoints.authorization}?${params.toString()}`;
+  getAuthorizationURL(callbackURL, state, options = {}) {
+    return this._buildAuthorizationURL(callbackURL, state, options);
   }
 
   /**
    * Exchange an authorization code for tokens.
    * @param {string} code - Authorization code from callback
    * @param {string} callbackURL - The redirect_uri used during authorization
+   * @param {string} [codeVerifier] - PKCE code_verifier generated at login
    * @returns {Promise<import('../core/config.js').TokenSet>}
    */
-  async exchangeCode(code, callbackURL) {
-    const body = new URLSearchParams({
-      client_id: this.config.clientId,
-      client_secret: this.config.clientSecret,
+  async exchangeCode(code, callbackURL, codeVerifier) {
+    const params = {
       code,
       redirect_uri: callbackURL,
       grant_type: 'authorization_code',
+    };
+    if (codeVerifier) params.code_verifier = codeVerifier;
+
+    const data = await this._tokenRequest(params);
+    return this._toTokenSet(data);
+  }
+
+  /**
+   * Whether this provider supports the device authorization grant (has a
+   * device authorization endpoint), used by `auth.deviceFlow()`.
+   * @returns {boolean}
+   */
+  supportsDeviceFlow() {
+    return Boolean(this.endpoints.deviceAuthorization);
+  }
+
+  /**
+   * Start a device authorization (RFC 8628 §3.1): get the code the user
+   * enters at the verification URI, and the device code to poll with.
+   * @returns {Promise<{ deviceCode: string, userCode: string, verificationURI: string, verificationURIComplete: string | null, expiresIn: number, interval: number }>}
+   */
+  async requestDeviceCode() {
+    if (!this.supportsDeviceFlow()) {
+      throw new ProviderError(`Provider "${this.name}" does not support the device flow`, this.name);
+    }
+
+    const response = await this._clientPost(
+      this.endpoints.deviceAuthorization,
+      { scope: this.scopes.join(' ') },
+      'Device authorization'
+    );
+    const data = await response.json();
+    const expiresIn = Number(data.expires_in);
+
+    return {
+      deviceCode: data.device_code,
+      userCode: data.user_code,
+      // Google still uses the draft's `verification_url`
+      verificationURI: data.verification_uri || data.verification_url,
+      verificationURIComplete: data.verification_uri_complete || null,
+      // Required by RFC 8628, but without it polling would never time out
+      expiresIn: expiresIn > 0 ? expiresIn : DEFAULT_DEVICE_CODE_LIFETIME,
+      interval: data.interval || 5,
+    };
+  }
+
+  /**
+   * Poll the token endpoint once with a device code (RFC 8628 §3.4). Until
+   * the user approves, the provider answers with an error such as
+   * `authorization_pending` or `slow_down` — returned, not thrown, for the
+   * caller to act on. (GitHub sends these with a 200, others with a 400.)
+   * @param {string} deviceCode
+   * @returns {Promise<{ tokens: import('../core/config.js').TokenSet } | { error: string, description?: string }>}
+   */
+  async pollDeviceToken(deviceCode) {
+    const response = await this._clientRequest(this.endpoints.token, {
+      grant_type: DEVICE_CODE_GRANT,
+      device_code: deviceCode,
     });
+    const data = await response.json().catch(() => ({}));
 
-    const response = await fetch(this.endpoints.token, {
-      method: 'POST',
-      headers: { Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: body.toString(),
+    if (data.error) {
+      return { error: data.error, description: data.error_description };
+    }
+    if (!response.ok || !data.access_token) {
+      throw new ProviderError(`Device token request failed (${response.status})`, this.name);
+    }
+    return { tokens: this._toTokenSet(data) };
+  }
+
+  /**
+   * Revoke tokens at the provider (RFC 7009) so they stop working once the
+   * user logs out or unlinks the account. The refresh token is revoked when
+   * there is one — providers drop its access tokens with it.
+   * @param {import('../core/config.js').TokenSet} tokens
+   * @returns {Promise<boolean>} false if the provider has no revocation endpoint
+   */
+  async revokeToken(tokens) {
+    if (!this.endpoints.revocation) return false;
+
+    await this._clientPost(this.endpoints.revocation, {
+      token: tokens.refreshToken || tokens.accessToken,
+      token_type_hint: tokens.refreshToken ? 'refresh_token' : 'access_token',
+    }, 'Token revocation');
+    return true;
+  }
+
+  /**
+   * Fetch the user's profile from the provider.
+   * Subclasses must implement this to map provider data to AuthUser shape.
+   * @param {string} accessToken
+   * @param {Object} [extra]
+   * @param {string} [extra.idToken] - id_token from the token response (OIDC providers)
+   * @param {string} [extra.nonce] - Nonce sent at login, checked against the id_token
+   * @returns {Promise<import('../core/config.js').AuthUser>}
+   * @abstract
+   */
+  async getProfile(accessToken, extra) {
+    throw new ProviderError('getProfile() must be implemented by subclass', this.name);
+  }
+
+  /**
+   * Whether this provider issues id_tokens that can be verified (has a JWKS).
+   * Login sends a nonce to these providers.
+   * @returns {boolean}
+   */
+  supportsIdToken() {
+    return Boolean(this.config.jwks || this.endpoints.jwks);
+  }
+
+  /**
+   * Verify an id_token's signature against the provider's JWKS and check
+   * `iss`, `aud` (clientId, or one of `config.audiences`), `exp` and, when
+   * given, `nonce`.
+   *
+   * Keys come from `config.jwks` (a local JWK Set, e.g. a test fixture) or
+   * are fetched from `endpoints.jwks` and cached per URI.
+   *
+   * @param {string} idToken
+   * @param {Object} [options]
+   * @param {string} [options.nonce] - Expected nonce (required to match if given)
+   * @returns {Promise<Record<string, any>>} Verified claims
+   */
+  async verifyIdToken(idToken, options = {}) {
+    const keySet = this._getJWKS();
+    if (!keySet) {
+      throw new ProviderError('Cannot verify id_token — no JWKS configured', this.name);
+    }
+
+    let claims;
+    try {
+      ({ payload: claims } = await jose.jwtVerify(idToken, keySet, {
+        audience: [this.config.clientId, ...(this.config.audiences || [])],
+      }));
+    } catch (err) {
+      throw new ProviderError(`id_token verification failed: ${err.message}`, this.name);
+    }
+
+    const issuers = [].concat(this._expectedIssuer(claims) || []);
+    if (!issuers.includes(claims.iss)) {
+      throw new ProviderError(`id_token verification failed: unexpected issuer "${claims.iss}"`, this.name);
+    }
+
+    if (options.nonce !== undefined && claims.nonce !== options.nonce) {
+      throw new ProviderError('id_token verification failed: nonce mismatch', this.name);
+    }
+
+    return claims;
+  }
+
+  /**
+   * The `iss` value(s) an id_token must carry. Overridden by providers whose
+   * issuer depends on the token (e.g. Microsoft's multi-tenant endpoints).
+   * @param {Record<string, any>} claims - Signature-verified, not yet issuer-checked claims
+   * @returns {string | string[] | undefined}
+   * @protected
+   */
+  _expectedIssuer(claims) {
+    return this.endpoints.issuer;
+  }
+
+  /**
+   * Resolve the key set used to verify id_tokens.
+   * @returns {Function | null}
+   * @private
+   */
+  _getJWKS() {
+    if (this.config.jwks) {
+      this._localJWKS ??= jose.createLocalJWKSet(this.config.jwks);
+      return this._localJWKS;
+    }
+
+    const uri = this.endpoints.jwks;
+    if (!uri) return null;
+
+    if (!remoteJWKSets.has(uri)) {
+      remoteJWKSets.set(uri, jose.createRemoteJWKSet(new URL(uri)));
+    }
+    return remoteJWKSets.get(uri);
+  }
+
+  /**
+   * Helper: build an authorization URL from the standard OAuth params plus
+   * provider-specific extras. Appends the PKCE challenge when one is given.
+   * @param {string} callbackURL
+   * @param {string} state
+   * @param {Object} [options] - Same options as getAuthorizationURL
+   * @param {Record<string, string>} [extraParams] - Provider-specific query params
+   * @returns {string}
+   * @protected
+   */
+  _buildAuthorizationURL(callbackURL, state, options = {}, extraParams = {}) {
+    const params = new URLSearchParams({
+      client_id: this.config.clientId,
+      redirect_uri: callbackURL,
+      response_type: 'code',
+      scope: this.scopes.join(' '),
+      state,
+      ...extraParams,
     });
 
+    if (options.codeChallenge) {
+      params.set('code_challenge', options.codeChallenge);
+      params.set('code_challenge_method', 'S256');
+    }
+
+    if (options.nonce) {
+      params.set('nonce', options.nonce);
+    }
+
+    return `${this.endpoints.authorization}?${params.toString()}`;
+  }
+
+  /**
+   * Helper: POST to the token endpoint, authenticating the client according to
+   * `tokenAuthStyle`. Returns the parsed JSON response.
+   * @param {Record<string, string>} params - Grant-specific form params
+   * @returns {Promise<Record<string, any>>}
+   * @protected
+   */
+  async _tokenRequest(params) {
+    const response = await this._clientPost(this.endpoints.token, params, 'Token exchange');
+    return response.json();
+  }
+
+  /**
+   * Helper: POST a form to a client-authenticated endpoint (token, revocation).
+   * @param {string} url
+   * @param {Record<string, string>} params
+   * @param {string} action - Used in the error message, e.g. 'Token exchange'
+   * @returns {Promise<Response>}
+   * @protected
+   */
+  async _clientPost(url, params, action) {
+    const response = await this._clientRequest(url, params);
+
     if (!response.ok) {
       const text = await response.text();
       throw new ProviderError(
-        `Token exchange failed (${response.status}): ${text}`,
+        `${action} failed (${response.status}): ${text}`,
         this.name
       );
     }
 
-    const data = await response.json();
+    return response;
+  }
+
+  /**
+   * Helper: the client-authenticated form POST behind `_clientPost`, without
+   * the status check — for callers that read OAuth error responses themselves.
+   * @param {string} url
+   * @param {Record<string, string>} params
+   * @returns {Promise<Response>}
+   * @protected
+   */
+  async _clientRequest(url, params) {
+    const body = new URLSearchParams({ client_id: this.config.clientId, ...params });
+    const headers = { Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (this.tokenAuthStyle === 'basic') {
+      const credentials = Buffer.from(
+        `${this.config.clientId}:${this.config.clientSecret}`
+      ).toString('base64');
+      headers.Authorization = `Basic ${credentials}`;
+    } else {
+      body.set('client_secret', this.config.clientSecret);
+    }
 
+    return fetch(url, {
+      method: 'POST',
+      headers,
+      body: body.toString(),
+    });
+  }
+
+  /**
+   * Helper: map a token endpoint response to a TokenSet.
+   * @param {Record<string, any>} data
+   * @returns {import('../core/config.js').TokenSet}
+   * @protected
+   */
+  _toTokenSet(data) {
     return {
       accessToken: data.access_token,
       refreshToken: data.refresh_token || null,
       expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
       tokenType: data.token_type || 'Bearer',
       scope: data.scope || null,
+      idToken: data.id_token || null,
     };
   }
 
-  /**
-   * Fetch the user's profile from the provider.
-   * Subclasses must implement this to map provider data to AuthUser shape.
-   * @param {string} accessToken
-   * @returns {Promise<import('../core/config.js').AuthUser>}
-   * @abstract
-   */
-  async getProfile(accessToken) {
-    throw new ProviderError('getProfile() must be implemented by subclass', this.name);
-  }
-
   /**
    * Helper: perform a GET request to the provider's API.
    * @param {string} url
@@ -4,6 +4,7 @@ const DISCORD_ENDPOINTS = {
   authorization: 'https://discord.com/api/oauth2/authorize',
   token: 'https://discord.com/api/oauth2/token',
   userinfo: 'https://discord.com/api/users/@me',
+  revocation: 'https://discord.com/api/oauth2/token/revoke',
 };
 
 const DEFAULT_SCOPES = ['identify', 'email'];
@@ -18,23 +19,17 @@ export class DiscordProvider extends BaseProvider {
   /** @param {import('../core/config.js').ProviderConfig} config */
   constructor(config) {
     super('discord', config, DISCORD_ENDPOINTS, DEFAULT_SCOPES);
+    this.displayName = config.displayName || 'Discord';
   }
 
   /**
    * Discord supports `prompt=consent` to force re-showing the authorization screen.
    * @override
    */
-  getAuthorizationURL(callbackURL, state) {
-    const params = new URLSearchParams({
-      client_id: this.config.clientId,
-      redirect_uri: callbackURL,
-      response_type: 'code',
-      scope: this.scopes.join(' '),
-      state,
+  getAuthorizationURL(callbackURL, state, options = {}) {
+    return this._buildAuthorizationURL(callbackURL, state, options, {
       prompt: this.config.prompt || 'consent',
     });
-
-    return `${this.endpoints.authorization}?${params.toString()}`;
   }
 
   /**
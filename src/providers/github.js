@@ -1,9 +1,11 @@
 import { BaseProvider } from './base.js';
+import { ProviderError } from '../core/errors.js';
 
 const GITHUB_ENDPOINTS = {
   authorization: 'https://github.com/login/oauth/authorize',
   token: 'https://github.com/login/oauth/access_token',
   userinfo: 'https://api.github.com/user',
+  deviceAuthorization: 'https://github.com/login/device/code',
 };
 
 const DEFAULT_SCOPES = ['read:user', 'user:email'];
@@ -19,23 +21,47 @@ export class GitHubProvider extends BaseProvider {
   /** @param {import('../core/config.js').ProviderConfig} config */
   constructor(config) {
     super('github', config, GITHUB_ENDPOINTS, DEFAULT_SCOPES);
+    this.displayName = config.displayName || 'GitHub';
   }
 
   /**
    * GitHub supports `prompt=select_account` to show the account picker.
    * @override
    */
-  getAuthorizationURL(callbackURL, state) {
-    const params = new URLSearchParams({
-      client_id: this.config.clientId,
-      redirect_uri: callbackURL,
-      response_type: 'code',
-      scope: this.scopes.join(' '),
-      state,
+  getAuthorizationURL(callbackURL, state, options = {}) {
+    return this._buildAuthorizationURL(callbackURL, state, options, {
       prompt: this.config.prompt || 'select_account',
     });
+  }
+
+  /**
+   * GitHub has no RFC 7009 endpoint — revoke by deleting the app's grant for
+   * the user, which invalidates all of its tokens for this OAuth app.
+   * @override
+   */
+  async revokeToken(tokens) {
+    const credentials = Buffer.from(
+      `${this.config.clientId}:${this.config.clientSecret}`
+    ).toString('base64');
+
+    const response = await fetch(`https://api.github.com/applications/${this.config.clientId}/grant`, {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        Accept: 'application/vnd.github+json',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ access_token: tokens.accessToken }),
+    });
 
-    return `${this.endpoints.authorization}?${params.toString()}`;
+    if (!response.ok) {
+      const text = await response.text();
+      throw new ProviderError(
+        `Token revocation failed (${response.status}): ${text}`,
+        this.name
+      );
+    }
+    return true;
   }
 
   /**
@@ -4,6 +4,10 @@ const GOOGLE_ENDPOINTS = {
   authorization: 'https://accounts.google.com/o/oauth2/v2/auth',
   token: 'https://oauth2.googleapis.com/token',
   userinfo: 'https://www.googleapis.com/oauth2/v2/userinfo',
+  issuer: ['https://accounts.google.com', 'accounts.google.com'],
+  jwks: 'https://www.googleapis.com/oauth2/v3/certs',
+  revocation: 'https://oauth2.googleapis.com/revoke',
+  deviceAuthorization: 'https://oauth2.googleapis.com/device/code',
 };
 
 const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
@@ -17,6 +21,8 @@ export class GoogleProvider extends BaseProvider {
   /** @param {import('../core/config.js').ProviderConfig} config */
   constructor(config) {
     super('google', config, GOOGLE_ENDPOINTS, DEFAULT_SCOPES);
+    this.displayName = config.displayName || 'Google';
+    this.pkce = config.pkce ?? true;
   }
 
   /**
@@ -24,36 +30,36 @@ export class GoogleProvider extends BaseProvider {
    * Uses `prompt=select_account consent` to show the account picker AND consent screen.
    * @override
    */
-  getAuthorizationURL(callbackURL, state) {
-    const params = new URLSearchParams({
-      client_id: this.config.clientId,
-      redirect_uri: callbackURL,
-      response_type: 'code',
-      scope: this.scopes.join(' '),
-      state,
+  getAuthorizationURL(callbackURL, state, options = {}) {
+    return this._buildAuthorizationURL(callbackURL, state, options, {
       access_type: 'offline',
       prompt: this.config.prompt || 'select_account consent',
     });
-
-    return `${this.endpoints.authorization}?${params.toString()}`;
   }
 
   /**
    * Fetch and normalize the Google user profile to AuthUser shape.
+   * When an id_token is available, its verified claims take precedence over
+   * the userinfo response for identity fields. With an id_token and no access
+   * token (token-login from One Tap or a native SDK), the claims are the profile.
    * @param {string} accessToken
+   * @param {Object} [extra] - `idToken` and `nonce` from the callback
    * @returns {Promise<import('../core/config.js').AuthUser>}
    * @override
    */
-  async getProfile(accessToken) {
-    const raw = await this._apiGet(this.endpoints.userinfo, accessToken);
+  async getProfile(accessToken, extra = {}) {
+    const claims = extra.idToken
+      ? await this.verifyIdToken(extra.idToken, { nonce: extra.nonce })
+      : null;
+    const raw = claims && !accessToken ? {} : await this._apiGet(this.endpoints.userinfo, accessToken);
 
     return {
-      id: raw.id,
-      email: raw.email,
-      name: raw.name,
-      avatar: raw.picture || null,
+      id: claims?.sub ?? raw.id,
+      email: claims?.email ?? raw.email,
+      name: raw.name ?? claims?.name,
+      avatar: raw.picture || claims?.picture || null,
       provider: 'google',
-      emailVerified: raw.verified_email ?? false,
+      emailVerified: claims ? claims.email_verified === true : raw.verified_email ?? false,
       raw,
     };
   }
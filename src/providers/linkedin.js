@@ -4,6 +4,9 @@ const LINKEDIN_ENDPOINTS = {
   authorization: 'https://www.linkedin.com/oauth/v2/authorization',
   token: 'https://www.linkedin.com/oauth/v2/accessToken',
   userinfo: 'https://api.linkedin.com/v2/userinfo',
+  issuer: 'https://www.linkedin.com/oauth',
+  jwks: 'https://www.linkedin.com/oauth/openid/jwks',
+  revocation: 'https://www.linkedin.com/oauth/v2/revoke',
 };
 
 const DEFAULT_SCOPES = ['openid', 'profile', 'email'];
@@ -19,24 +22,33 @@ const DEFAULT_SCOPES = ['openid', 'profile', 'email'];
 export class LinkedInProvider extends BaseProvider {
   constructor(config) {
     super('linkedin', config, LINKEDIN_ENDPOINTS, DEFAULT_SCOPES);
+    this.displayName = config.displayName || 'LinkedIn';
+    this.pkce = config.pkce ?? true;
   }
 
   /**
    * Fetch and normalize the LinkedIn user profile.
-   * LinkedIn's OIDC userinfo endpoint returns sub, name, email, picture, email_verified.
+   * LinkedIn's OIDC userinfo endpoint returns sub, name, email, picture, email_verified;
+   * verified id_token claims take precedence when an id_token is available,
+   * and are used alone when there is no access token.
    * @param {string} accessToken
+   * @param {Object} [extra] - `idToken` and `nonce` from the callback
    * @returns {Promise<import('../core/config.js').AuthUser>}
    */
-  async getProfile(accessToken) {
-    const raw = await this._apiGet(this.endpoints.userinfo, accessToken);
+  async getProfile(accessToken, extra = {}) {
+    const claims = extra.idToken
+      ? await this.verifyIdToken(extra.idToken, { nonce: extra.nonce })
+      : {};
+    const raw = extra.idToken && !accessToken ? {} : await this._apiGet(this.endpoints.userinfo, accessToken);
+    const profile = { ...raw, ...claims };
 
     return {
-      id: raw.sub,
-      email: raw.email || '',
-      name: raw.name || '',
-      avatar: raw.picture || null,
+      id: profile.sub,
+      email: profile.email || '',
+      name: profile.name || '',
+      avatar: profile.picture || null,
       provider: 'linkedin',
-      emailVerified: raw.email_verified ?? false,
+      emailVerified: profile.email_verified ?? false,
       raw,
     };
   }
@@ -1,13 +1,11 @@
 import { BaseProvider } from './base.js';
-
-const MICROSOFT_ENDPOINTS = {
-  authorization: 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize',
-  token: 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
-  userinfo: 'https://graph.microsoft.com/v1.0/me',
-};
+import { ProviderError } from '../core/errors.js';
 
 const DEFAULT_SCOPES = ['openid', 'email', 'profile', 'User.Read'];
 
+/** Tenant IDs are GUIDs; anything else ('common', a domain name) resolves to the token's `tid`. */
+const TENANT_GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * Microsoft OAuth 2.0 provider (Azure AD / Microsoft Entra ID).
  *
@@ -20,6 +18,11 @@ const DEFAULT_SCOPES = ['openid', 'email', 'profile', 'User.Read'];
  *   - clientId: Application (client) ID from Azure Portal
  *   - clientSecret: Client secret from Azure Portal
  *   - tenant: Optional. 'common' (default), 'consumers', 'organizations', or a specific tenant ID
+ *
+ * Microsoft has no per-app token revocation endpoint (Graph's revokeSignInSessions
+ * signs the user out of every app), so `revokeToken()` resolves false. With
+ * `singleLogout: true`, POST logout ends the Microsoft session through the
+ * end-session endpoint instead.
  */
 export class MicrosoftProvider extends BaseProvider {
   /** @param {import('../core/config.js').ProviderConfig} config */
@@ -30,46 +33,71 @@ export class MicrosoftProvider extends BaseProvider {
       authorization: `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/authorize`,
       token: `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/token`,
       userinfo: 'https://graph.microsoft.com/v1.0/me',
+      jwks: `https://login.microsoftonline.com/${tenant}/discovery/v2.0/keys`,
+      endSession: `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/logout`,
+      deviceAuthorization: `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/devicecode`,
     };
 
     super('microsoft', config, endpoints, DEFAULT_SCOPES);
+    this.displayName = config.displayName || 'Microsoft';
+    this.pkce = config.pkce ?? true;
+    this.tenant = tenant;
+  }
+
+  /**
+   * Microsoft's issuer embeds the tenant ID. For multi-tenant endpoints
+   * (`common`, `organizations`, `consumers`) it is taken from the token's `tid`.
+   * @override
+   */
+  _expectedIssuer(claims) {
+    const tenantId = TENANT_GUID.test(this.tenant) ? this.tenant : claims.tid;
+    return `https://login.microsoftonline.com/${tenantId}/v2.0`;
   }
 
   /**
    * Microsoft needs `response_mode=query` for code flow.
    * @override
    */
-  getAuthorizationURL(callbackURL, state) {
-    const params = new URLSearchParams({
-      client_id: this.config.clientId,
-      redirect_uri: callbackURL,
-      response_type: 'code',
-      scope: this.scopes.join(' '),
-      state,
+  getAuthorizationURL(callbackURL, state, options = {}) {
+    return this._buildAuthorizationURL(callbackURL, state, options, {
       response_mode: 'query',
       prompt: this.config.prompt || 'select_account',
     });
-
-    return `${this.endpoints.authorization}?${params.toString()}`;
   }
 
   /**
    * Fetch and normalize the Microsoft user profile to AuthUser shape.
-   * Uses Microsoft Graph API (v1.0/me).
+   * Uses Microsoft Graph API (v1.0/me), with verified id_token claims filling gaps
+   * — or standing alone when there is an id_token but no access token.
+   *
+   * The user ID is the id_token's `oid` whenever there is one: Graph's `id`
+   * differs from it for personal accounts, so a login with and one without an
+   * access token would otherwise be two users. Only Graph's `mail` / UPN
+   * counts as a verified email; the id_token `email` claim is user-editable.
    * @param {string} accessToken
+   * @param {Object} [extra] - `idToken` and `nonce` from the callback
    * @returns {Promise<import('../core/config.js').AuthUser>}
    * @override
    */
-  async getProfile(accessToken) {
-    const raw = await this._apiGet(this.endpoints.userinfo, accessToken);
+  async getProfile(accessToken, extra = {}) {
+    const claims = extra.idToken
+      ? await this.verifyIdToken(extra.idToken, { nonce: extra.nonce })
+      : {};
+    const raw = extra.idToken && !accessToken ? {} : await this._apiGet(this.endpoints.userinfo, accessToken);
+
+    const id = claims.oid ?? raw.id;
+    if (!id) {
+      throw new ProviderError('Microsoft id_token has no oid claim (request the profile scope)', this.name);
+    }
+    const graphEmail = raw.mail || raw.userPrincipalName;
 
     return {
-      id: raw.id,
-      email: raw.mail || raw.userPrincipalName || '',
-      name: raw.displayName || '',
+      id,
+      email: graphEmail || claims.email || '',
+      name: raw.displayName || claims.name || '',
       avatar: null, // Graph API photo requires a separate call to /me/photo/$value
       provider: 'microsoft',
-      emailVerified: true, // Microsoft verifies emails for all account types
+      emailVerified: Boolean(graphEmail), // Graph's mail / UPN are managed by the account's tenant
       raw,
     };
   }
@@ -0,0 +1,114 @@
+import { BaseProvider } from './base.js';
+import { ConfigError, ProviderError } from '../core/errors.js';
+
+/** Field paths used when no `profile` mapping is configured */
+const DEFAULT_PROFILE_MAP = {
+  id: 'id',
+  email: 'email',
+  name: 'name',
+  avatar: 'picture',
+  emailVerified: 'email_verified',
+};
+
+/**
+ * Declarative OAuth 2.0 provider — a plain (non-OIDC) OAuth service described
+ * entirely by config instead of a BaseProvider subclass.
+ *
+ * Config options:
+ *   - endpoints: { authorization, token, userinfo } URLs, plus optional
+ *     `revocation` and `deviceAuthorization` (for `auth.deviceFlow()`)
+ *   - defaultScopes: Scopes requested when `scopes` is not set
+ *   - authorizationParams: Extra query params for the authorization URL
+ *   - tokenAuthStyle: 'body' (default) or 'basic'
+ *   - profile: `(raw) => Partial<AuthUser>`, or a map of AuthUser field → dotted
+ *     path into the userinfo response (e.g. `{ id: 'data.id', name: 'data.username' }`)
+ *
+ * @example
+ * providers: {
+ *   gitlab: {
+ *     type: 'oauth2',
+ *     clientId: 'xxx',
+ *     clientSecret: 'xxx',
+ *     endpoints: {
+ *       authorization: 'https://gitlab.com/oauth/authorize',
+ *       token: 'https://gitlab.com/oauth/token',
+ *       userinfo: 'https://gitlab.com/api/v4/user',
+ *     },
+ *     defaultScopes: ['read_user'],
+ *     profile: { id: 'id', email: 'email', name: 'name', avatar: 'avatar_url' },
+ *   }
+ * }
+ */
+export class OAuth2Provider extends BaseProvider {
+  /** @param {import('../core/config.js').ProviderConfig & { name?: string }} config */
+  constructor(config) {
+    const name = config.name || 'oauth2';
+    const endpoints = config.endpoints || {};
+
+    for (const key of ['authorization', 'token', 'userinfo']) {
+      if (!endpoints[key]) {
+        throw new ConfigError(`OAuth2 provider "${name}" is missing endpoints.${key}`);
+      }
+    }
+
+    const profile = config.profile || DEFAULT_PROFILE_MAP;
+    if (typeof profile !== 'function' && typeof profile !== 'object') {
+      throw new ConfigError(
+        `OAuth2 provider "${name}" has an invalid "profile" value — must be a function or a field map`
+      );
+    }
+
+    super(name, config, { ...endpoints }, config.defaultScopes || []);
+    this._profile = profile;
+  }
+
+  /**
+   * Add the configured `authorizationParams` to the authorization URL.
+   * @override
+   */
+  getAuthorizationURL(callbackURL, state, options = {}) {
+    return this._buildAuthorizationURL(callbackURL, state, options, this.config.authorizationParams);
+  }
+
+  /**
+   * Fetch the userinfo response and map it to AuthUser via the `profile` config.
+   * @param {string} accessToken
+   * @returns {Promise<import('../core/config.js').AuthUser>}
+   * @override
+   */
+  async getProfile(accessToken) {
+    const raw = await this._apiGet(this.endpoints.userinfo, accessToken);
+
+    const mapped = typeof this._profile === 'function'
+      ? await this._profile(raw)
+      : mapFields(raw, this._profile);
+
+    if (mapped?.id === undefined || mapped.id === null || mapped.id === '') {
+      throw new ProviderError('Profile mapping did not produce an id', this.name);
+    }
+
+    return {
+      id: String(mapped.id),
+      email: mapped.email || '',
+      name: mapped.name || '',
+      avatar: mapped.avatar || null,
+      provider: this.name,
+      emailVerified: mapped.emailVerified === true || mapped.emailVerified === 'true',
+      raw,
+    };
+  }
+}
+
+/**
+ * Resolve each AuthUser field from a dotted path into the raw profile.
+ * @param {Record<string, any>} raw
+ * @param {Record<string, string>} fieldMap
+ * @returns {Record<string, any>}
+ */
+function mapFields(raw, fieldMap) {
+  const result = {};
+  for (const [field, path] of Object.entries(fieldMap)) {
+    result[field] = path.split('.').reduce((value, key) => value?.[key], raw);
+  }
+  return result;
+}
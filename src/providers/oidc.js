@@ -0,0 +1,154 @@
+import { BaseProvider } from './base.js';
+import { ConfigError, ProviderError } from '../core/errors.js';
+
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+
+/**
+ * Generic OpenID Connect provider, configured from the issuer's discovery document.
+ *
+ * Works with any compliant IdP (Keycloak, Okta, Auth0, Authentik, ...). Endpoints
+ * are read from `{issuer}/.well-known/openid-configuration` on first use, and
+ * standard claims are mapped to AuthUser without any provider-specific code.
+ *
+ * @example
+ * providers: {
+ *   keycloak: {
+ *     type: 'oidc',
+ *     issuer: 'https://sso.example.com/realms/main',
+ *     clientId: 'xxx',
+ *     clientSecret: 'xxx',
+ *   }
+ * }
+ */
+export class OIDCProvider extends BaseProvider {
+  /** @param {import('../core/config.js').ProviderConfig & { issuer: string, name?: string }} config */
+  constructor(config) {
+    if (!config.issuer) {
+      throw new ConfigError(`OIDC provider "${config.name || 'oidc'}" is missing issuer`);
+    }
+
+    const issuer = config.issuer.replace(/\/+$/, '');
+
+    // Endpoints are filled in by discovery (see ready())
+    const endpoints = {
+      authorization: null,
+      token: null,
+      userinfo: null,
+      endSession: null,
+      issuer,
+      jwks: null,
+    };
+
+    super(config.name || 'oidc', config, endpoints, DEFAULT_SCOPES);
+    this.issuer = issuer;
+
+    /** @type {Promise<void> | null} */
+    this._discovery = null;
+  }
+
+  /**
+   * Fetch the discovery document once. A failed discovery is retried on the next call.
+   * @override
+   */
+  async ready() {
+    if (!this._discovery) {
+      this._discovery = this._discover().catch((err) => {
+        this._discovery = null;
+        throw err;
+      });
+    }
+    await this._discovery;
+  }
+
+  /**
+   * OIDC providers always issue id_tokens.
+   * @override
+   */
+  supportsIdToken() {
+    return true;
+  }
+
+  /**
+   * Map the verified id_token claims (plus userinfo, when the IdP exposes it)
+   * to AuthUser using the standard OIDC claim names. Userinfo is skipped for an
+   * id_token without an access token.
+   * @param {string} accessToken
+   * @param {Object} [extra] - `idToken` and `nonce` from the callback
+   * @returns {Promise<import('../core/config.js').AuthUser>}
+   * @override
+   */
+  async getProfile(accessToken, extra = {}) {
+    await this.ready();
+
+    const claims = extra.idToken
+      ? await this.verifyIdToken(extra.idToken, { nonce: extra.nonce })
+      : {};
+
+    let userinfo = {};
+    if (this.endpoints.userinfo && (accessToken || !extra.idToken)) {
+      userinfo = await this._apiGet(this.endpoints.userinfo, accessToken);
+      // OIDC Core 5.3.2 — userinfo must describe the same subject as the id_token
+      if (claims.sub && userinfo.sub !== claims.sub) {
+        throw new ProviderError('userinfo subject does not match id_token', this.name);
+      }
+    }
+
+    const profile = { ...claims, ...userinfo };
+    if (!profile.sub) {
+      throw new ProviderError('No id_token or userinfo subject returned', this.name);
+    }
+
+    const fullName = [profile.given_name, profile.family_name].filter(Boolean).join(' ');
+
+    return {
+      id: String(profile.sub),
+      email: profile.email || '',
+      name: profile.name || fullName || profile.preferred_username || profile.email || '',
+      avatar: profile.picture || null,
+      provider: this.name,
+      emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+      raw: profile,
+    };
+  }
+
+  /**
+   * Load endpoints from the issuer's discovery document.
+   * @private
+   */
+  async _discover() {
+    const url = `${this.issuer}/.well-known/openid-configuration`;
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+
+    if (!response.ok) {
+      throw new ProviderError(
+        `OIDC discovery failed (${response.status}) for ${url}`,
+        this.name
+      );
+    }
+
+    const doc = await response.json();
+
+    if (doc.issuer?.replace(/\/+$/, '') !== this.issuer) {
+      throw new ProviderError(
+        `OIDC discovery issuer mismatch: expected "${this.issuer}", got "${doc.issuer}"`,
+        this.name
+      );
+    }
+
+    this.endpoints = {
+      authorization: doc.authorization_endpoint,
+      token: doc.token_endpoint,
+      userinfo: doc.userinfo_endpoint || null,
+      endSession: doc.end_session_endpoint || null,
+      revocation: doc.revocation_endpoint || null,
+      deviceAuthorization: doc.device_authorization_endpoint || null,
+      issuer: doc.issuer,
+      jwks: doc.jwks_uri,
+    };
+
+    // Use PKCE whenever the IdP advertises S256, unless configured explicitly
+    if (this.config.pkce === undefined) {
+      this.pkce = (doc.code_challenge_methods_supported || []).includes('S256');
+    }
+  }
+}
@@ -11,6 +11,9 @@ const DEFAULT_SCOPES = ['user-read-private', 'user-read-email'];
 /**
  * Spotify OAuth 2.0 provider.
  *
+ * Spotify has no token revocation API — `revokeToken()` resolves false; users
+ * remove access from their Spotify account settings.
+ *
  * @example
  * providers: {
  *   spotify: { clientId: 'xxx', clientSecret: 'xxx' }
@@ -19,6 +22,8 @@ const DEFAULT_SCOPES = ['user-read-private', 'user-read-email'];
 export class SpotifyProvider extends BaseProvider {
   constructor(config) {
     super('spotify', config, SPOTIFY_ENDPOINTS, DEFAULT_SCOPES);
+    this.displayName = config.displayName || 'Spotify';
+    this.pkce = config.pkce ?? true;
   }
 
   /**
@@ -0,0 +1,116 @@
+import { createPrivateKey, createPublicKey, hkdfSync } from 'node:crypto';
+import { ConfigError } from '../core/errors.js';
+
+/** Algorithms a session key may use */
+export const SESSION_ALGORITHMS = ['HS256', 'RS256', 'ES256', 'EdDSA'];
+
+/**
+ * @typedef {Object} SessionKey
+ * @property {string | null} kid - Key ID, sent in the JWT header
+ * @property {string} alg - JWS algorithm
+ * @property {Uint8Array | import('node:crypto').KeyObject | null} signingKey - HMAC secret or private key; null for verify-only keys
+ * @property {Uint8Array | import('node:crypto').KeyObject} verificationKey - HMAC secret or public key
+ * @property {Uint8Array | null} encryptionKey - A256GCM key derived from an HMAC secret (for `session.encrypt`); null for key pairs
+ */
+
+/**
+ * Ordered set of session signing keys, for rotating the session secret
+ * without logging everyone out, and for signing with key pairs.
+ *
+ * The first key is current: new JWTs are signed with it and carry its `kid`
+ * in the header. The rest are only accepted for verification. A token with
+ * a `kid` is checked against that key alone; a token without one (issued
+ * under a single `session.secret`) is checked against each key in turn.
+ *
+ * Entries are either HMAC secrets (`{ kid, secret }`, HS256) or key pairs
+ * (`{ kid, alg, privateKey }` for RS256 / ES256 / EdDSA, PEM or JWK). A key
+ * pair's public half is published by `jwks()`; a retired pair can be kept
+ * as `{ kid, alg, publicKey }` to verify without being able to sign.
+ *
+ * Each HMAC secret also yields a separate 256-bit encryption key (HKDF), used
+ * for encrypted (`dir` / `A256GCM`) session tokens.
+ *
+ * @example
+ * const keyring = new Keyring([
+ *   { kid: '2024-06', alg: 'ES256', privateKey: process.env.SESSION_KEY_PEM },
+ *   { kid: '2024-01', secret: process.env.SESSION_SECRET_OLD },
+ * ]);
+ * keyring.current.kid;                   // '2024-06'
+ * keyring.candidates('2024-01', 'HS256'); // [the old key]
+ */
+export class Keyring {
+  /**
+   * @param {Array<{ kid?: string | null, alg?: string, secret?: string, privateKey?: string | Object, publicKey?: string | Object }>} entries - Newest first
+   * @throws {ConfigError} If a key can't be parsed
+   */
+  constructor(entries) {
+    /** @type {SessionKey[]} */
+    this._keys = entries.map(toSessionKey);
+  }
+
+  /**
+   * The key new tokens are signed with.
+   * @returns {SessionKey}
+   */
+  get current() {
+    return this._keys[0];
+  }
+
+  /**
+   * Keys a token with the given header may have been signed (or, for
+   * `alg: 'dir'`, encrypted) with.
+   * @param {string | undefined} kid
+   * @param {string} alg
+   * @returns {SessionKey[]}
+   */
+  candidates(kid, alg) {
+    const usable = alg === 'dir' ? (k) => k.encryptionKey !== null : (k) => k.alg === alg;
+    return this._keys.filter((k) => usable(k) && (!kid || k.kid === kid));
+  }
+
+  /**
+   * Public JWK Set of the key pairs, for services that verify sessions
+   * without the HMAC secret. HMAC keys are never included.
+   * @returns {{ keys: Object[] }}
+   */
+  jwks() {
+    const keys = this._keys
+      .filter((k) => k.alg !== 'HS256')
+      .map((k) => ({ ...k.verificationKey.export({ format: 'jwk' }), kid: k.kid, alg: k.alg, use: 'sig' }));
+    return { keys };
+  }
+}
+
+/**
+ * @param {{ kid?: string | null, alg?: string, secret?: string, privateKey?: string | Object, publicKey?: string | Object }} entry
+ * @returns {SessionKey}
+ */
+function toSessionKey({ kid = null, alg = 'HS256', secret, privateKey, publicKey }) {
+  if (alg === 'HS256') {
+    // jose needs the HMAC key as a Uint8Array
+    const key = new TextEncoder().encode(secret);
+    // Never encrypt with the signing secret itself — derive a dedicated key
+    const encryptionKey = new Uint8Array(hkdfSync('sha256', secret, '', 'authsnap session encryption', 32));
+    return { kid, alg, signingKey: key, verificationKey: key, encryptionKey };
+  }
+
+  try {
+    const signingKey = privateKey ? toKeyObject(privateKey, 'private', createPrivateKey) : null;
+    const verificationKey = signingKey ? createPublicKey(signingKey) : toKeyObject(publicKey, 'public', createPublicKey);
+    return { kid, alg, signingKey, verificationKey, encryptionKey: null };
+  } catch (err) {
+    throw new ConfigError(`Invalid ${alg} key "${kid}" in session.secrets: ${err.message}`);
+  }
+}
+
+/**
+ * Accept a KeyObject of the right type as-is; parse PEM strings and JWKs.
+ * @param {string | Object} key
+ * @param {'private' | 'public'} type
+ * @param {Function} create - `createPrivateKey` or `createPublicKey`
+ * @returns {import('node:crypto').KeyObject}
+ */
+function toKeyObject(key, type, create) {
+  if (key?.type === type && typeof key.export === 'function') return key;
+  return create(typeof key === 'string' ? key : { key, format: 'jwk' });
+}
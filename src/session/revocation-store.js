@@ -0,0 +1,98 @@
+/**
+ * In-memory revocation store for sessions.
+ *
+ * Holds two things `SessionManager` checks on every verification:
+ * - a denylist of revoked session IDs (`jti`), each kept only until the
+ *   session would have expired anyway;
+ * - a per-user session generation counter, keyed by `{provider}:{userId}`
+ *   (`TokenStore.key`). Sessions carry the generation they were issued under
+ *   (`gen`), so bumping it revokes every session the user has ("log out
+ *   everywhere") without tracking them individually.
+ *
+ * For multi-instance deployments, replace with a shared store (e.g. Redis:
+ * `SET PX` / `EXISTS` for the denylist, `GET` / `INCR` for generations) by
+ * implementing the same interface.
+ *
+ * @example
+ * const store = new RevocationStore();
+ * await store.revoke(jti, 86_400_000);
+ * await store.isRevoked(jti); // true
+ * await store.incrementGeneration('github:42');
+ */
+export class RevocationStore {
+  constructor() {
+    /** @type {Map<string, number>} jti → expiresAt */
+    this._revoked = new Map();
+
+    /** @type {Map<string, number>} `{provider}:{userId}` → generation */
+    this._generations = new Map();
+
+    // Periodically drop denylist entries for sessions that have expired anyway (every 5 minutes)
+    this._cleanupInterval = setInterval(() => this._prune(), 5 * 60_000);
+
+    // Don't prevent process from exiting
+    if (this._cleanupInterval.unref) {
+      this._cleanupInterval.unref();
+    }
+  }
+
+  /**
+   * Add a session ID to the denylist.
+   * @param {string} jti
+   * @param {number} ttlMs - How long to remember it (the longest the session could still be valid)
+   */
+  async revoke(jti, ttlMs) {
+    this._revoked.set(jti, Date.now() + ttlMs);
+  }
+
+  /**
+   * Check whether a session ID has been revoked.
+   * @param {string} jti
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(jti) {
+    const expiresAt = this._revoked.get(jti);
+    if (expiresAt === undefined) return false;
+    if (Date.now() > expiresAt) {
+      this._revoked.delete(jti);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Current session generation for a user (0 if never bumped).
+   * @param {string} userKey - `{provider}:{userId}`
+   * @returns {Promise<number>}
+   */
+  async getGeneration(userKey) {
+    return this._generations.get(userKey) || 0;
+  }
+
+  /**
+   * Bump a user's session generation, revoking every session issued before.
+   * @param {string} userKey - `{provider}:{userId}`
+   * @returns {Promise<number>} The new generation
+   */
+  async incrementGeneration(userKey) {
+    const generation = (this._generations.get(userKey) || 0) + 1;
+    this._generations.set(userKey, generation);
+    return generation;
+  }
+
+  /**
+   * Clear the denylist and all generations.
+   */
+  async clear() {
+    this._revoked.clear();
+    this._generations.clear();
+  }
+
+  /** @private */
+  _prune() {
+    const now = Date.now();
+    for (const [jti, expiresAt] of this._revoked) {
+      if (now > expiresAt) this._revoked.delete(jti);
+    }
+  }
+}
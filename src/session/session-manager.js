@@ -1,75 +1,363 @@
+import { randomBytes, randomUUID } from 'node:crypto';
 import * as jose from 'jose';
 import { SessionError } from '../core/errors.js';
+import { SessionStore } from './session-store.js';
+import { RevocationStore } from './revocation-store.js';
+import { TokenStore } from './token-store.js';
+import { Keyring } from './keyring.js';
+
+/** Browsers drop cookies whose name + value exceed ~4KB; larger tokens are split */
+const MAX_COOKIE_VALUE = 4000;
+
+/**
+ * Upper bound on chunks — the request's Cookie header, with the app's other
+ * cookies, must still fit Node's default 16KB header limit
+ */
+const MAX_COOKIE_CHUNKS = 3;
+
+/** Base cookie value marking a chunked session: `chunks:<count>` */
+const CHUNK_MARKER = /^chunks:(\d+)$/;
 
 /**
- * Manages JWT-based sessions for AuthSnap.
- * Creates signed JWTs containing the AuthUser payload, sets/reads them from cookies.
+ * Manages sessions for AuthSnap, sets/reads them from cookies.
+ *
+ * Two strategies:
+ * - `'jwt'` (default) — the cookie holds a signed JWT containing the AuthUser payload.
+ * - `'cookie'` — the cookie holds an opaque random session ID and the same
+ *   claims live server-side in a `SessionStore`, so a session can be revoked
+ *   instantly by deleting it.
+ *
+ * With `rolling: true`, a verified session older than `updateAge` is re-issued
+ * with a fresh expiry (see `validateSession`), so active users stay signed in
+ * while idle ones expire after `idleTimeout`. `absoluteTimeout` caps the total
+ * lifetime from sign-in (the `auth_time` claim), however active the user is.
+ *
+ * With `encrypt: true`, JWTs are encrypted (JWE, `dir` / `A256GCM`) rather
+ * than just signed, so the user's profile can't be read from the cookie.
+ *
+ * Every session carries a `jti` (kept across renewals) and the user's session
+ * generation (`gen`, counted per provider account, keyed like the token store),
+ * both checked against a `RevocationStore` on each verification — so a single session, or all of a user's sessions, can be
+ * revoked before they expire.
+ *
+ * API and mobile clients can send the session token as
+ * `Authorization: Bearer <token>` instead of a cookie (`tokenSource`).
  */
 export class SessionManager {
   /**
    * @param {import('../core/config.js').SessionConfig} config
+   * @param {Object} [options]
+   * @param {RevocationStore} [options.revocationStore] - Denylist and session generations (default in-memory)
    */
-  constructor(config) {
+  constructor(config, { revocationStore } = {}) {
     this.config = config;
     this.cookieName = config.cookieName || 'authsnap_session';
     this.maxAge = config.maxAge || 86400;
     this.secure = config.secure ?? true;
+    this.rolling = config.rolling ?? false;
+    this.idleTimeout = config.idleTimeout || this.maxAge;
+    this.updateAge = config.updateAge ?? Math.floor(this.idleTimeout / 2);
+    this.absoluteTimeout = config.absoluteTimeout || null;
+    this.strategy = config.strategy || 'jwt';
+    this.encrypt = config.encrypt ?? false;
+    this.tokenSource = config.tokenSource || 'both';
 
-    // Encode secret for jose (needs Uint8Array)
-    this._secret = new TextEncoder().encode(config.secret);
+    /** @type {SessionStore | null} */
+    this.store = this.strategy === 'cookie' ? config.store || new SessionStore() : null;
+
+    /** @type {RevocationStore} */
+    this.revocationStore = revocationStore || new RevocationStore();
+
+    /** @type {Keyring} JWT signing keys — `secrets` for rotation, or the single `secret` */
+    this.keyring = new Keyring(config.secrets || [{ secret: config.secret }]);
   }
 
   /**
-   * Create a signed JWT from an AuthUser payload.
+   * Create a session for an AuthUser: a signed JWT, or with the `'cookie'`
+   * strategy a stored session and its ID.
    * @param {import('../core/config.js').AuthUser} user
-   * @param {Object} [extra] - Additional claims to include in the JWT
+   * @param {Object} [extra] - Additional claims to include in the session
    * @param {string[]} [extra.roles] - User roles for RBAC
    * @param {string[]} [extra.permissions] - User permissions for RBAC
-   * @returns {Promise<string>} Signed JWT
+   * @param {number} [extra.authTime] - Sign-in time (Unix seconds); defaults to now
+   * @returns {Promise<string>} Session token (JWT or session ID) for the cookie
    */
   async createToken(user, extra = {}) {
-    const payload = { user };
-    if (extra.roles) payload.roles = extra.roles;
-    if (extra.permissions) payload.permissions = extra.permissions;
-
-    const jwt = await new jose.SignJWT(payload)
-      .setProtectedHeader({ alg: 'HS256' })
-      .setIssuedAt()
-      .setExpirationTime(`${this.maxAge}s`)
-      .setIssuer('authsnap')
-      .sign(this._secret);
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      user,
+      auth_time: extra.authTime ?? now,
+      jti: randomUUID(),
+      gen: await this.revocationStore.getGeneration(TokenStore.key(user.provider, user.id)),
+    };
+    if (extra.roles) claims.roles = extra.roles;
+    if (extra.permissions) claims.permissions = extra.permissions;
 
-    return jwt;
+    return this._issue(claims, now, this._expiresAt(claims.auth_time, now));
   }
 
   /**
-   * Verify and decode a JWT, returning the AuthUser payload.
+   * Verify a session token, returning the AuthUser payload.
    * @param {string} token
    * @returns {Promise<import('../core/config.js').AuthUser>}
    */
   async verifyToken(token) {
+    return toUser(await this._verify(token));
+  }
+
+  /**
+   * Verify a session and re-issue it when needed: rolling sessions past
+   * `updateAge` get a fresh expiry, and JWTs issued with a retired key from
+   * `session.secrets` (or before `encrypt` was switched) are re-issued with
+   * the current one. The caller sends
+   * `renewedCookie` with its response.
+   *
+   * Pass `renew: false` for bearer tokens: they have no cookie to update, so
+   * their clients renew through the token route instead.
+   * @param {string} token
+   * @param {Object} [options]
+   * @param {boolean} [options.renew=true] - Re-issue the session when needed
+   * @returns {Promise<{ user: import('../core/config.js').AuthUser, session: SessionInfo, renewedToken: string | null, renewedCookie: string[] | null }>}
+   * @throws {SessionError} If the token is invalid, expired, revoked or past `absoluteTimeout`
+   */
+  async validateSession(token, { renew = true } = {}) {
+    const payload = await this._verify(token);
+    const user = toUser(payload);
+    const authTime = payload.auth_time ?? payload.iat;
+    const session = { jti: payload.jti ?? null, authTime, expiresAt: payload.exp };
+    const now = Math.floor(Date.now() / 1000);
+    const { iat, exp, iss, ...claims } = payload;
+
+    let nextIat;
+    let nextExp;
+    if (!renew) {
+      return { user, session, renewedToken: null, renewedCookie: null };
+    } else if (this.rolling && now - iat >= this.updateAge && this._expiresAt(authTime, now) > exp) {
+      // Rolling renewal — only when it actually pushes the expiry out
+      nextIat = now;
+      nextExp = this._expiresAt(authTime, now);
+    } else if (!this.store && this._issuedWithRetiredKey(token)) {
+      // Secret rotation or `encrypt` switched — same session and expiry, re-issued with the current key
+      nextIat = iat;
+      nextExp = exp;
+    } else {
+      return { user, session, renewedToken: null, renewedCookie: null };
+    }
+
+    // Stored sessions keep their ID — only the server-side expiry moves
+    const renewedToken = await this._issue(claims, nextIat, nextExp, this.store ? token : undefined);
+    const renewedCookie = this.buildCookieHeader(renewedToken, nextExp - now);
+    return { user, session: { ...session, expiresAt: nextExp }, renewedToken, renewedCookie };
+  }
+
+  /**
+   * Validate the session found by `readTokenFromRequest`. With `'both'`, a
+   * bearer token that isn't a valid session falls back to the session
+   * cookie, so an unrelated `Authorization` header (another API's token)
+   * doesn't lock a signed-in browser out. `token` and `bearer` tell which
+   * one was used.
+   * @param {{ token: string, bearer: boolean, cookieToken?: string | null }} found
+   * @param {Object} [options]
+   * @param {boolean} [options.renewBearer=false] - Also re-issue bearer sessions (the token route)
+   * @returns {Promise<{ user: import('../core/config.js').AuthUser, session: SessionInfo, renewedToken: string | null, renewedCookie: string[] | null, token: string, bearer: boolean }>}
+   * @throws {SessionError} If neither token is a valid session
+   */
+  async validateFound(found, { renewBearer = false } = {}) {
     try {
-      const { payload } = await jose.jwtVerify(token, this._secret, {
-        issuer: 'authsnap',
-      });
-      const user = payload.user;
-      if (payload.roles) user.roles = payload.roles;
-      if (payload.permissions) user.permissions = payload.permissions;
-      return user;
+      const result = await this.validateSession(found.token, { renew: !found.bearer || renewBearer });
+      return { ...result, token: found.token, bearer: found.bearer };
     } catch (err) {
-      throw new SessionError(`Invalid or expired session: ${err.message}`);
+      if (!found.bearer || !found.cookieToken) throw err;
+      return { ...(await this.validateSession(found.cookieToken)), token: found.cookieToken, bearer: false };
+    }
+  }
+
+  /**
+   * End a session server-side, so the token stops working immediately. With
+   * the `'cookie'` strategy the stored session is deleted; a JWT's `jti` is
+   * added to the denylist. Invalid or expired tokens are ignored.
+   * @param {string | null} token
+   * @returns {Promise<boolean>} true if a live session was ended
+   */
+  async destroySession(token) {
+    if (!token) return false;
+    if (this.store) return this.store.delete(token);
+
+    let payload;
+    try {
+      payload = await this._verify(token);
+    } catch {
+      return false;
     }
+    if (!payload.jti) return false;
+    await this.revokeSession(payload.jti);
+    return true;
   }
 
   /**
-   * Build a Set-Cookie header string for the session.
-   * @param {string} token - JWT string
-   * @returns {string} Set-Cookie header value
+   * Revoke a session by its `jti`, for both strategies. The denylist entry
+   * outlives any token the session can still hold: each renewal needs a
+   * verification that now fails, so the last one expires within `idleTimeout`.
+   * @param {string} jti
    */
-  buildCookieHeader(token) {
+  async revokeSession(jti) {
+    await this.revocationStore.revoke(jti, this.idleTimeout * 1000);
+  }
+
+  /**
+   * Revoke every session a user has now, by bumping their session generation.
+   * Sessions created afterwards are unaffected. User IDs are the provider's,
+   * so the provider is part of the key — GitHub user 42 isn't Discord user 42.
+   * @param {string} provider - AuthUser.provider
+   * @param {string} userId - AuthUser.id
+   * @returns {Promise<number>} The new generation
+   */
+  async revokeAllSessions(provider, userId) {
+    return this.revocationStore.incrementGeneration(TokenStore.key(provider, userId));
+  }
+
+  /**
+   * Build the Set-Cookie header(s) for the session.
+   *
+   * A token too large for one cookie is split into `<cookieName>.0`, `.1`, …
+   * and the base cookie holds `chunks:<count>`; `getTokenFromRequest`
+   * reassembles it. Chunk cookies the token doesn't use are expired, so a
+   * previous, larger session doesn't leave them behind in the browser.
+   * @param {string} token - Session token (JWT or session ID)
+   * @param {number} [maxAge] - Cookie lifetime in seconds (defaults to `idleTimeout`)
+   * @returns {string[]} Set-Cookie header values: the session cookie(s), then the expired chunk slots
+   * @throws {SessionError} If the token needs more than 3 chunks
+   */
+  buildCookieHeader(token, maxAge = this.idleTimeout) {
+    if (token.length <= MAX_COOKIE_VALUE) {
+      return [this._cookie(this.cookieName, token, maxAge), ...this._clearChunks(0)];
+    }
+
+    const count = Math.ceil(token.length / MAX_COOKIE_VALUE);
+    if (count > MAX_COOKIE_CHUNKS) {
+      throw new SessionError(
+        `Session token is ${token.length} bytes, too large even for ${MAX_COOKIE_CHUNKS} cookies. ` +
+          "Trim it with callbacks.session or use session.strategy: 'cookie'."
+      );
+    }
+
+    const headers = [this._cookie(this.cookieName, `chunks:${count}`, maxAge)];
+    for (let i = 0; i < count; i++) {
+      const chunk = token.slice(i * MAX_COOKIE_VALUE, (i + 1) * MAX_COOKIE_VALUE);
+      headers.push(this._cookie(`${this.cookieName}.${i}`, chunk, maxAge));
+    }
+    return [...headers, ...this._clearChunks(count)];
+  }
+
+  /**
+   * Extract the session token from a request — an `Authorization: Bearer`
+   * header or the session cookie, as `source` allows. With `'both'` the
+   * header wins, and the cookie comes along as `cookieToken` for
+   * `validateFound` to fall back to. Works with pre-parsed cookies (Express
+   * cookie-parser) or the raw Cookie header, and reassembles chunked cookies.
+   * @param {Object} req - HTTP request object
+   * @param {'cookie' | 'header' | 'both'} [source] - Defaults to `tokenSource`
+   * @returns {{ token: string, bearer: boolean, cookieToken?: string | null } | null} `bearer` is true if it came from the header
+   */
+  readTokenFromRequest(req, source = this.tokenSource) {
+    // Renewed earlier in this request (rolling sessions) — newer than the cookie sent
+    if (req._authsnapRenewedToken) {
+      return { token: req._authsnapRenewedToken, bearer: false };
+    }
+
+    const bearer = source !== 'cookie' ? readBearer(req) : null;
+    if (source === 'header') return bearer ? { token: bearer, bearer: true } : null;
+
+    const token = this._readCookieToken(req);
+    if (bearer) return { token: bearer, bearer: true, cookieToken: token };
+    return token ? { token, bearer: false } : null;
+  }
+
+  /**
+   * Extract the session token from a request (see `readTokenFromRequest`).
+   * @param {Object} req - HTTP request object
+   * @param {'cookie' | 'header' | 'both'} [source] - Defaults to `tokenSource`
+   * @returns {string | null}
+   */
+  getTokenFromRequest(req, source) {
+    return this.readTokenFromRequest(req, source)?.token ?? null;
+  }
+
+  /**
+   * The stable ID of a session: the stored session's ID, or a JWT's `jti`.
+   * Unlike the token, it survives rolling renewal and key rotation, so
+   * values bound to it (CSRF tokens) stay valid. Read without verifying —
+   * verify the token first where it matters. Falls back to the token itself
+   * for sessions issued without a readable `jti`.
+   * @param {string} token
+   * @returns {string}
+   */
+  sessionId(token) {
+    if (this.store) return token;
+    try {
+      const header = jose.decodeProtectedHeader(token);
+      // Encrypted sessions carry their jti in the (integrity-protected) header
+      const jti = header.enc !== undefined ? header.jti : jose.decodeJwt(token).jti;
+      return typeof jti === 'string' ? jti : token;
+    } catch {
+      return token;
+    }
+  }
+
+  /**
+   * Build the Set-Cookie headers that clear the session, including any chunk cookies.
+   * @returns {string[]}
+   */
+  buildClearCookieHeader() {
+    return [clearCookie(this.cookieName), ...this._clearChunks(0)];
+  }
+
+  /**
+   * Set-Cookie headers expiring the chunk cookies from index `from` on.
+   * @private
+   * @param {number} from
+   * @returns {string[]}
+   */
+  _clearChunks(from) {
+    const headers = [];
+    for (let i = from; i < MAX_COOKIE_CHUNKS; i++) {
+      headers.push(clearCookie(`${this.cookieName}.${i}`));
+    }
+    return headers;
+  }
+
+  /**
+   * Read the session cookie, reassembling a chunked token.
+   * @private
+   * @param {Object} req
+   * @returns {string | null}
+   */
+  _readCookieToken(req) {
+    const value = readCookie(req, this.cookieName);
+    const chunked = value && CHUNK_MARKER.exec(value);
+    if (!chunked) return value;
+
+    // A missing chunk means no usable session
+    const chunks = [];
+    for (let i = 0; i < Number(chunked[1]); i++) {
+      const chunk = readCookie(req, `${this.cookieName}.${i}`);
+      if (!chunk) return null;
+      chunks.push(chunk);
+    }
+    return chunks.join('');
+  }
+
+  /**
+   * @private
+   * @param {string} name
+   * @param {string} value
+   * @param {number} maxAge
+   * @returns {string}
+   */
+  _cookie(name, value, maxAge) {
     const parts = [
-      `${this.cookieName}=${token}`,
-      `Max-Age=${this.maxAge}`,
+      `${name}=${value}`,
+      `Max-Age=${maxAge}`,
       'Path=/',
       'HttpOnly',
       'SameSite=Lax',
@@ -83,34 +371,203 @@ export class SessionManager {
   }
 
   /**
-   * Extract the session token from a request's cookies.
-   * Works with pre-parsed cookies (Express cookie-parser) or raw Cookie header.
-   * @param {Object} req - HTTP request object
-   * @returns {string | null}
+   * Sign (or encrypt) a JWT for the claims with the current key, or store them under a session ID.
+   * @private
+   * @param {Object} claims - `user`, `auth_time`, `jti`, `gen` and optional RBAC claims
+   * @param {number} iat - Issued-at (Unix seconds)
+   * @param {number} exp - Expiry (Unix seconds)
+   * @param {string} [sessionId] - Existing stored session to renew
+   * @returns {Promise<string>}
    */
-  getTokenFromRequest(req) {
-    // If cookies are already parsed (e.g. Express cookie-parser)
-    if (req.cookies && req.cookies[this.cookieName]) {
-      return req.cookies[this.cookieName];
+  async _issue(claims, iat, exp, sessionId) {
+    if (this.store) {
+      const id = sessionId || randomBytes(32).toString('base64url');
+      await this.store.set(id, { ...claims, iat, exp }, (exp - Math.floor(Date.now() / 1000)) * 1000);
+      return id;
     }
 
-    // Fallback: parse the raw Cookie header
-    const cookieHeader = req.headers?.cookie;
-    if (!cookieHeader) return null;
+    const { kid, alg, signingKey, encryptionKey } = this.keyring.current;
+    if (this.encrypt) {
+      // jti in the header too, so `sessionId` can read it without decrypting
+      const header = { alg: 'dir', enc: 'A256GCM', jti: claims.jti };
+      return new jose.EncryptJWT(claims)
+        .setProtectedHeader(kid ? { ...header, kid } : header)
+        .setIssuedAt(iat)
+        .setExpirationTime(exp)
+        .setIssuer('authsnap')
+        .encrypt(encryptionKey);
+    }
+
+    return new jose.SignJWT(claims)
+      .setProtectedHeader(kid ? { alg, kid } : { alg })
+      .setIssuedAt(iat)
+      .setExpirationTime(exp)
+      .setIssuer('authsnap')
+      .sign(signingKey);
+  }
+
+  /**
+   * Verify a session token and return its claims.
+   * @private
+   * @param {string} token
+   * @returns {Promise<Object>}
+   */
+  async _verify(token) {
+    const payload = this.store ? await this._load(token) : await this._verifyJWT(token);
 
-    const match = cookieHeader
-      .split(';')
-      .map((c) => c.trim())
-      .find((c) => c.startsWith(`${this.cookieName}=`));
+    if (payload.jti && (await this.revocationStore.isRevoked(payload.jti))) {
+      throw new SessionError('Invalid or expired session: session revoked');
+    }
+    const generation = await this.revocationStore.getGeneration(TokenStore.key(payload.user?.provider, payload.user?.id));
+    if ((payload.gen ?? 0) < generation) {
+      throw new SessionError('Invalid or expired session: session revoked');
+    }
 
-    return match ? match.split('=')[1] : null;
+    const authTime = payload.auth_time ?? payload.iat;
+    if (this.absoluteTimeout && Date.now() / 1000 > authTime + this.absoluteTimeout) {
+      throw new SessionError('Invalid or expired session: absolute timeout reached');
+    }
+    return payload;
   }
 
   /**
-   * Build a Set-Cookie header that clears the session.
-   * @returns {string}
+   * @private
+   * @param {string} token
+   * @returns {Promise<Object>}
    */
-  buildClearCookieHeader() {
-    return `${this.cookieName}=; Max-Age=0; Path=/; HttpOnly; SameSite=Lax`;
+  async _verifyJWT(token) {
+    let header;
+    try {
+      header = jose.decodeProtectedHeader(token);
+    } catch (err) {
+      throw new SessionError(`Invalid or expired session: ${err.message}`);
+    }
+
+    // Signed and encrypted tokens are both accepted, so `encrypt` can be
+    // switched either way without logging anyone out
+    const encrypted = header.enc !== undefined;
+
+    let lastError = new Error(`unknown key ID "${header.kid}"`);
+    for (const { alg, verificationKey, encryptionKey } of this.keyring.candidates(header.kid, header.alg)) {
+      try {
+        // Pin the algorithm to the key, so a token can't pick how it's checked
+        const { payload } = encrypted
+          ? await jose.jwtDecrypt(token, encryptionKey, {
+              issuer: 'authsnap',
+              keyManagementAlgorithms: ['dir'],
+              contentEncryptionAlgorithms: ['A256GCM'],
+            })
+          : await jose.jwtVerify(token, verificationKey, {
+              issuer: 'authsnap',
+              algorithms: [alg],
+            });
+        return payload;
+      } catch (err) {
+        lastError = err;
+        // A wrong key is worth another try; an expired or malformed token isn't
+        const wrongKey =
+          err instanceof jose.errors.JWSSignatureVerificationFailed || err instanceof jose.errors.JWEDecryptionFailed;
+        if (!wrongKey) break;
+      }
+    }
+    throw new SessionError(`Invalid or expired session: ${lastError.message}`);
+  }
+
+  /**
+   * Whether a (verified) JWT was issued with a key other than the current
+   * one, or signed when `encrypt` is on (or encrypted when it's off).
+   * @private
+   * @param {string} token
+   * @returns {boolean}
+   */
+  _issuedWithRetiredKey(token) {
+    const { kid, enc } = jose.decodeProtectedHeader(token);
+    return (kid ?? null) !== this.keyring.current.kid || (enc !== undefined) !== this.encrypt;
+  }
+
+  /**
+   * Look up a stored session. Missing and expired sessions are rejected the
+   * same way, whatever the store's own expiry granularity.
+   * @private
+   * @param {string} sessionId
+   * @returns {Promise<Object>}
+   */
+  async _load(sessionId) {
+    const session = await this.store.get(sessionId);
+    if (!session || Date.now() / 1000 >= session.exp) {
+      throw new SessionError('Invalid or expired session: session not found');
+    }
+    return session;
+  }
+
+  /**
+   * Expiry (Unix seconds) for a token issued now: `idleTimeout` from now,
+   * but never past `absoluteTimeout` from sign-in.
+   * @private
+   * @param {number} authTime
+   * @param {number} now
+   * @returns {number}
+   */
+  _expiresAt(authTime, now) {
+    const idleExpiry = now + this.idleTimeout;
+    return this.absoluteTimeout ? Math.min(idleExpiry, authTime + this.absoluteTimeout) : idleExpiry;
+  }
+}
+
+/**
+ * Read a cookie from pre-parsed cookies (Express cookie-parser) or the raw Cookie header.
+ * @param {Object} req
+ * @param {string} name
+ * @returns {string | null}
+ */
+function readCookie(req, name) {
+  if (req.cookies && req.cookies[name]) {
+    return req.cookies[name];
   }
+
+  const cookieHeader = req.headers?.cookie;
+  if (!cookieHeader) return null;
+
+  const match = cookieHeader
+    .split(';')
+    .map((c) => c.trim())
+    .find((c) => c.startsWith(`${name}=`));
+
+  return match ? match.slice(name.length + 1) : null;
+}
+
+/**
+ * @param {string} name
+ * @returns {string} Set-Cookie header value that deletes the cookie
+ */
+function clearCookie(name) {
+  return `${name}=; Max-Age=0; Path=/; HttpOnly; SameSite=Lax`;
+}
+
+/**
+ * Read an `Authorization: Bearer <token>` header.
+ * @param {Object} req
+ * @returns {string | null}
+ */
+function readBearer(req) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers?.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * @typedef {Object} SessionInfo
+ * @property {string | null} jti - Session ID for `revokeSession` (null for sessions issued before jti support)
+ * @property {number} authTime - Sign-in time (Unix seconds)
+ * @property {number} expiresAt - Current expiry (Unix seconds)
+ */
+
+/**
+ * @param {Object} payload - Verified JWT claims
+ * @returns {import('../core/config.js').AuthUser}
+ */
+function toUser(payload) {
+  const user = { ...payload.user };
+  if (payload.roles) user.roles = payload.roles;
+  if (payload.permissions) user.permissions = payload.permissions;
+  return user;
 }
@@ -0,0 +1,88 @@
+/**
+ * In-memory store for server-side sessions (`session.strategy: 'cookie'`).
+ *
+ * The session cookie holds only an opaque random ID; the session data lives
+ * here, keyed by that ID. Deleting an entry revokes the session instantly.
+ * Entries expire after a TTL and are garbage-collected periodically.
+ *
+ * For multi-instance deployments, replace with a shared store (e.g. Redis
+ * with `SET key value PX ttl`) by implementing the same interface
+ * (get, set, delete).
+ *
+ * @example
+ * const store = new SessionStore();
+ * await store.set(sessionId, session, 1_800_000);
+ * const session = await store.get(sessionId);
+ * await store.delete(sessionId); // revoke
+ */
+export class SessionStore {
+  constructor() {
+    /** @type {Map<string, { value: any, expiresAt: number }>} */
+    this._store = new Map();
+
+    // Periodically drop expired sessions (every minute)
+    this._cleanupInterval = setInterval(() => this._prune(), 60_000);
+
+    // Don't prevent process from exiting
+    if (this._cleanupInterval.unref) {
+      this._cleanupInterval.unref();
+    }
+  }
+
+  /**
+   * Store a session, replacing any existing one with the same ID.
+   * @param {string} id - Session ID
+   * @param {any} value - Session data
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  async set(id, value, ttlMs) {
+    this._store.set(id, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Retrieve a session. Expired entries are treated as missing.
+   * @param {string} id
+   * @returns {Promise<any | null>}
+   */
+  async get(id) {
+    const entry = this._store.get(id);
+    if (!entry) return null;
+    if (Date.now() > entry.expiresAt) {
+      this._store.delete(id);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Delete a session.
+   * @param {string} id
+   * @returns {Promise<boolean>} true if the session existed
+   */
+  async delete(id) {
+    return this._store.delete(id);
+  }
+
+  /**
+   * Get the number of stored sessions (including not-yet-collected expired ones).
+   * @returns {number}
+   */
+  get size() {
+    return this._store.size;
+  }
+
+  /**
+   * Clear all stored sessions.
+   */
+  async clear() {
+    this._store.clear();
+  }
+
+  /** @private */
+  _prune() {
+    const now = Date.now();
+    for (const [id, entry] of this._store) {
+      if (now > entry.expiresAt) this._store.delete(id);
+    }
+  }
+}
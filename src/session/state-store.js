@@ -0,0 +1,90 @@
+/**
+ * In-memory store for in-flight login state (CSRF state, PKCE verifier, nonce).
+ *
+ * Holds the flow instead of the signed state cookie when a callback arrives
+ * without the user's Lax cookies — e.g. Apple's `form_post` callback, a
+ * cross-site POST. Entries are keyed by the `state` value, expire after a TTL,
+ * and are deleted on use so a state can't be replayed. A cookie with a hash of
+ * the state still binds each entry to the browser that started the login.
+ *
+ * For multi-instance deployments, replace with a shared store (e.g. Redis) by
+ * implementing the same interface (get, set, delete). `delete` must resolve to
+ * true only for the caller that actually removed the entry.
+ *
+ * @example
+ * const store = new StateStore();
+ * await store.set(state, flow, 600_000);
+ * const flow = await store.get(state);
+ * if (await store.delete(state)) { ... } // first use wins
+ */
+export class StateStore {
+  constructor() {
+    /** @type {Map<string, { value: any, expiresAt: number }>} */
+    this._store = new Map();
+
+    // Periodically drop abandoned logins (every 5 minutes)
+    this._cleanupInterval = setInterval(() => this._prune(), 5 * 60_000);
+
+    // Don't prevent process from exiting
+    if (this._cleanupInterval.unref) {
+      this._cleanupInterval.unref();
+    }
+  }
+
+  /**
+   * Store a value for a limited time.
+   * @param {string} key
+   * @param {any} value
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  async set(key, value, ttlMs) {
+    this._store.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Retrieve a value. Expired entries are treated as missing.
+   * @param {string} key
+   * @returns {Promise<any | null>}
+   */
+  async get(key) {
+    const entry = this._store.get(key);
+    if (!entry) return null;
+    if (Date.now() > entry.expiresAt) {
+      this._store.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Delete a value.
+   * @param {string} key
+   * @returns {Promise<boolean>} true if the entry existed
+   */
+  async delete(key) {
+    return this._store.delete(key);
+  }
+
+  /**
+   * Get the number of stored entries (including not-yet-pruned expired ones).
+   * @returns {number}
+   */
+  get size() {
+    return this._store.size;
+  }
+
+  /**
+   * Clear all stored entries.
+   */
+  async clear() {
+    this._store.clear();
+  }
+
+  /** @private */
+  _prune() {
+    const now = Date.now();
+    for (const [key, entry] of this._store) {
+      if (now > entry.expiresAt) this._store.delete(key);
+    }
+  }
+}
@@ -1,5 +1,4 @@
 import { TokenStore } from './token-store.js';
-import { ProviderError } from '../core/errors.js';
 
 /**
  * Handles automatic token refresh for OAuth providers.
@@ -81,6 +80,11 @@ export class TokenRefresher {
         newTokens.refreshToken = currentTokens.refreshToken;
       }
 
+      // Likewise keep the id_token, which logout still needs as id_token_hint
+      if (!newTokens.idToken && currentTokens.idToken) {
+        newTokens.idToken = currentTokens.idToken;
+      }
+
       // Update the store
       await tokenStore.set(key, newTokens);
 
@@ -107,38 +111,14 @@ export class TokenRefresher {
    * @returns {Promise<import('../core/config.js').TokenSet>}
    */
   async _exchangeRefreshToken(provider, refreshToken) {
-    const body = new URLSearchParams({
-      client_id: provider.config.clientId,
-      client_secret: provider.config.clientSecret,
-      refresh_token: refreshToken,
-      grant_type: 'refresh_token',
-    });
+    await provider.ready?.();
 
-    const response = await fetch(provider.endpoints.token, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: body.toString(),
+    // Client authentication (tokenAuthStyle) is handled by the provider
+    const data = await provider._tokenRequest({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
     });
 
-    if (!response.ok) {
-      const text = await response.text();
-      throw new ProviderError(
-        `Token refresh failed (${response.status}): ${text}`,
-        provider.name
-      );
-    }
-
-    const data = await response.json();
-
-    return {
-      accessToken: data.access_token,
-      refreshToken: data.refresh_token || null,
-      expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
-      tokenType: data.token_type || 'Bearer',
-      scope: data.scope || null,
-    };
+    return provider._toTokenSet(data);
   }
 }
@@ -0,0 +1,593 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createHash, generateKeyPairSync, randomBytes } from 'node:crypto';
+import Fastify from 'fastify';
+import fastifyCookie from '@fastify/cookie';
+import { AuthSnap } from '../src/index.js';
+
+const mockUser = { id: 'apple-1', email: 'a@b.com', name: 'Jane Doe', avatar: null, provider: 'apple', emailVerified: true, raw: {} };
+
+const makeAuth = (overrides = {}) =>
+  new AuthSnap({
+    providers: {
+      apple: { clientId: 'com.example.auth', clientSecret: 'apple-secret' },
+      github: { clientId: 'gh-id', clientSecret: 'gh-secret' },
+    },
+    session: { secret: 'test-secret-at-least-32-characters-long!', secure: false },
+    ...overrides,
+  });
+
+/** Start a login on the Fastify app and return the state + state cookie (if any) it issued. */
+async function startLogin(app, provider = 'apple') {
+  const res = await app.inject({ method: 'GET', url: `/auth/${provider}` });
+  const state = new URL(res.headers.location).searchParams.get('state');
+  const setCookie = [].concat(res.headers['set-cookie'] || []).find((c) => c.startsWith('authsnap_state_'));
+  return { state, cookie: setCookie?.split(';')[0] };
+}
+
+describe('Fastify adapter — form_post callback', () => {
+  it('should accept a POST callback and pass id_token + user to getProfile', async () => {
+    const auth = makeAuth();
+    const provider = auth.getProvider('apple');
+    vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at', idToken: 'token-endpoint-id-token' });
+    const getProfile = vi.spyOn(provider, 'getProfile').mockResolvedValue(mockUser);
+
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const login = await app.inject({ method: 'GET', url: '/auth/apple' });
+    const state = new URL(login.headers.location).searchParams.get('state');
+    // Flow kept server-side; the cookie only binds it to this browser, and is
+    // SameSite=None so the cross-site POST carries it
+    const setCookie = [].concat(login.headers['set-cookie']).find((c) => c.startsWith('authsnap_state_'));
+    expect(setCookie).toContain('SameSite=None');
+    expect(setCookie).toContain('Secure');
+    const cookie = setCookie.split(';')[0];
+
+    const user = JSON.stringify({ name: { firstName: 'Jane', lastName: 'Doe' } });
+    const res = await app.inject({
+      method: 'POST',
+      url: '/auth/apple/callback',
+      headers: { 'content-type': 'application/x-www-form-urlencoded', cookie },
+      payload: new URLSearchParams({ code: 'c1', state, id_token: 'posted-id-token', user }).toString(),
+    });
+
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.location).toBe('/');
+    expect(getProfile).toHaveBeenCalledWith('at', {
+      idToken: 'token-endpoint-id-token',
+      nonce: expect.any(String),
+      user: { name: { firstName: 'Jane', lastName: 'Doe' } },
+    });
+    await app.close();
+  });
+
+  it('should fall back to the posted id_token when the token response has none', async () => {
+    const auth = makeAuth();
+    const provider = auth.getProvider('apple');
+    vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    const getProfile = vi.spyOn(provider, 'getProfile').mockResolvedValue(mockUser);
+
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const { state, cookie } = await startLogin(app);
+    await app.inject({
+      method: 'POST',
+      url: '/auth/apple/callback',
+      headers: { 'content-type': 'application/x-www-form-urlencoded', cookie },
+      payload: new URLSearchParams({ code: 'c1', state, id_token: 'posted-id-token' }).toString(),
+    });
+
+    expect(getProfile).toHaveBeenCalledWith('at', expect.objectContaining({ idToken: 'posted-id-token' }));
+    await app.close();
+  });
+
+  it('should reject a replayed form_post callback', async () => {
+    const auth = makeAuth();
+    const provider = auth.getProvider('apple');
+    vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    vi.spyOn(provider, 'getProfile').mockResolvedValue(mockUser);
+
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const { state, cookie } = await startLogin(app);
+    const post = () => app.inject({
+      method: 'POST',
+      url: '/auth/apple/callback',
+      headers: { 'content-type': 'application/x-www-form-urlencoded', cookie },
+      payload: new URLSearchParams({ code: 'c1', state }).toString(),
+    });
+
+    expect((await post()).headers.location).toBe('/');
+    expect((await post()).headers.location).toBe('/auth/error?error=STATE_MISMATCH');
+    await app.close();
+  });
+
+  it('should reject a form_post callback without the binding cookie', async () => {
+    const auth = makeAuth();
+    const provider = auth.getProvider('apple');
+    const exchangeCode = vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    // An attacker's state and code, posted from the victim's browser
+    const { state } = await startLogin(app);
+    const res = await app.inject({
+      method: 'POST',
+      url: '/auth/apple/callback',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      payload: new URLSearchParams({ code: 'c1', state }).toString(),
+    });
+
+    expect(res.headers.location).toBe('/auth/error?error=STATE_MISMATCH');
+    expect(exchangeCode).not.toHaveBeenCalled();
+    await app.close();
+  });
+});
+
+describe('Fastify adapter — form parser', () => {
+  it('should keep its urlencoded parser to the auth routes', async () => {
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(makeAuth().fastify());
+    // What @fastify/formbody does — must not clash with AuthSnap's parser
+    app.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, (_request, body, done) =>
+      done(null, { raw: body })
+    );
+    app.post('/api/form', async (request) => request.body);
+
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/form',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      payload: 'a=1&a=2',
+    });
+    expect(res.json()).toEqual({ raw: 'a=1&a=2' });
+    await app.close();
+  });
+
+  it('should not add a form parser to the app when none is registered', async () => {
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(makeAuth().fastify());
+    app.post('/api/form', async (request) => request.body);
+
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/form',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      payload: 'a=1',
+    });
+    expect(res.statusCode).toBe(415);
+    await app.close();
+  });
+});
+
+describe('Fastify adapter — parallel logins', () => {
+  it('should complete two logins started in different tabs', async () => {
+    const auth = makeAuth();
+    const provider = auth.getProvider('github');
+    vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    vi.spyOn(provider, 'getProfile').mockResolvedValue(mockUser);
+
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const first = await startLogin(app, 'github');
+    const second = await startLogin(app, 'github');
+    const bothCookies = `${first.cookie}; ${second.cookie}`;
+
+    for (const { state } of [first, second]) {
+      const res = await app.inject({
+        method: 'GET',
+        url: `/auth/github/callback?code=c1&state=${state}`,
+        headers: { cookie: bothCookies },
+      });
+      expect(res.statusCode).toBe(302);
+      expect(res.headers.location).toBe('/');
+    }
+    await app.close();
+  });
+});
+
+describe('Fastify adapter — error route', () => {
+  const makeApp = async (overrides = {}) => {
+    const auth = new AuthSnap({
+      providers: { github: { clientId: 'gh-id', clientSecret: 'gh-secret' } },
+      session: { secret: 'test-secret-at-least-32-characters-long!', secure: false },
+      ...overrides,
+    });
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+    return app;
+  };
+
+  it('should render the errorPage as HTML for browsers', async () => {
+    const app = await makeApp({ errorPage: ({ code }) => `<h1>Sign-in failed: ${code}</h1>` });
+    const res = await app.inject({
+      method: 'GET',
+      url: '/auth/error?error=ACCESS_DENIED',
+      headers: { accept: 'text/html' },
+    });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['content-type']).toContain('text/html');
+    expect(res.body).toBe('<h1>Sign-in failed: ACCESS_DENIED</h1>');
+    await app.close();
+  });
+
+  it('should answer with JSON when the errorPage throws', async () => {
+    const app = await makeApp({ errorPage: () => { throw new Error('template bug'); } });
+    const res = await app.inject({
+      method: 'GET',
+      url: '/auth/error?error=ACCESS_DENIED',
+      headers: { accept: 'text/html' },
+    });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.json()).toEqual({ error: 'Authentication failed', code: 'ACCESS_DENIED' });
+    await app.close();
+  });
+
+  it('should return JSON with the code for API clients', async () => {
+    const app = await makeApp({ errorPage: () => '<h1>nope</h1>' });
+    const res = await app.inject({
+      method: 'GET',
+      url: '/auth/error?error=ACCESS_DENIED',
+      headers: { accept: 'application/json' },
+    });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.json()).toEqual({ error: 'Authentication failed', code: 'ACCESS_DENIED' });
+    await app.close();
+  });
+});
+
+describe('Fastify adapter — POST logout', () => {
+  it('should clear the session and 303 to returnTo with a valid CSRF token', async () => {
+    const auth = makeAuth();
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const session = await auth.sessionManager.createToken({ ...mockUser, provider: 'github' });
+    const cookie = `authsnap_session=${session}`;
+    const csrf = auth.csrfToken({ headers: { cookie } });
+
+    const res = await app.inject({
+      method: 'POST',
+      url: '/auth/logout',
+      headers: { 'content-type': 'application/x-www-form-urlencoded', cookie },
+      payload: new URLSearchParams({ _csrf: csrf, returnTo: '/goodbye' }).toString(),
+    });
+
+    expect(res.statusCode).toBe(303);
+    expect(res.headers.location).toBe('/goodbye');
+    expect(res.headers['set-cookie'][0]).toContain('authsnap_session=; Max-Age=0');
+    await app.close();
+  });
+
+  it('should reject a cross-site logout without a CSRF token', async () => {
+    const auth = makeAuth();
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const session = await auth.sessionManager.createToken(mockUser);
+    const res = await app.inject({
+      method: 'POST',
+      url: '/auth/logout',
+      headers: { cookie: `authsnap_session=${session}` },
+    });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.json().code).toBe('CSRF_INVALID');
+    await app.close();
+  });
+
+  it('should only redirect a session-less logout to a safe returnTo from the body', async () => {
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(makeAuth().fastify());
+
+    const post = (url, payload = '') => app.inject({
+      method: 'POST',
+      url,
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      payload,
+    });
+
+    expect((await post('/auth/logout?returnTo=/elsewhere')).headers.location).toBe('/');
+    expect((await post('/auth/logout', 'returnTo=HTTPS://evil.com')).headers.location).toBe('/');
+    expect((await post('/auth/logout', 'returnTo=/bye')).headers.location).toBe('/bye');
+    await app.close();
+  });
+
+  it('should only mount the GET logout route with allowGetLogout', async () => {
+    const get = async (auth) => {
+      const app = Fastify();
+      await app.register(fastifyCookie);
+      await app.register(auth.fastify());
+      const res = await app.inject({ method: 'GET', url: '/auth/logout' });
+      await app.close();
+      return res;
+    };
+
+    expect((await get(makeAuth())).statusCode).toBe(404);
+
+    const legacy = new AuthSnap({
+      providers: { github: { clientId: 'gh-id', clientSecret: 'gh-secret' } },
+      session: { secret: 'test-secret-at-least-32-characters-long!' },
+      allowGetLogout: true,
+    });
+    const res = await get(legacy);
+    expect(res.statusCode).toBe(302);
+    expect(res.headers['set-cookie'][0]).toContain('authsnap_session=; Max-Age=0');
+  });
+});
+
+describe('Fastify adapter — JWKS route', () => {
+  it('should publish the public session keys', async () => {
+    const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const auth = new AuthSnap({
+      providers: { github: { clientId: 'gh-id', clientSecret: 'gh-secret' } },
+      session: {
+        secret: 'test-secret-at-least-32-characters-long!',
+        secrets: [{ kid: 'k1', alg: 'ES256', privateKey }],
+        secure: false,
+      },
+    });
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const res = await app.inject({ method: 'GET', url: '/auth/.well-known/jwks.json' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('public, max-age=300');
+    expect(res.json().keys).toEqual([expect.objectContaining({ kid: 'k1', alg: 'ES256', kty: 'EC' })]);
+    await app.close();
+  });
+
+  it('should publish an empty set for HMAC-only sessions', async () => {
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(makeAuth().fastify());
+
+    const res = await app.inject({ method: 'GET', url: '/auth/.well-known/jwks.json' });
+    expect(res.json()).toEqual({ keys: [] });
+    await app.close();
+  });
+});
+
+describe('Fastify adapter — SPA routes', () => {
+  const makeApp = async (auth) => {
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+    return app;
+  };
+
+  it('should return the current session with a CSRF token that logout accepts', async () => {
+    const auth = makeAuth();
+    const app = await makeApp(auth);
+    const session = await auth.sessionManager.createToken(mockUser, { roles: ['admin'] });
+    const cookie = `authsnap_session=${session}`;
+
+    const res = await app.inject({ method: 'GET', url: '/auth/session', headers: { cookie } });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+
+    const body = res.json();
+    expect(body.user).toMatchObject({ id: 'apple-1', email: 'a@b.com', roles: ['admin'] });
+    expect(body.expiresAt).toBeGreaterThan(Date.now() / 1000);
+    expect(body.csrfToken).toBe(auth.csrfToken({ headers: { cookie } }));
+    await app.close();
+  });
+
+  it('should answer 401 without a valid session', async () => {
+    const app = await makeApp(makeAuth());
+
+    const none = await app.inject({ method: 'GET', url: '/auth/session' });
+    expect(none.statusCode).toBe(401);
+    expect(none.json()).toEqual({ error: 'Unauthorized', code: 'UNAUTHORIZED' });
+
+    const forged = await app.inject({ method: 'GET', url: '/auth/session', headers: { cookie: 'authsnap_session=forged' } });
+    expect(forged.statusCode).toBe(401);
+    await app.close();
+  });
+
+  it('should renew a rolling session', async () => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+    try {
+      const auth = new AuthSnap({
+        providers: { github: { clientId: 'gh-id', clientSecret: 'gh-secret' } },
+        session: { secret: 'test-secret-at-least-32-characters-long!', secure: false, rolling: true, idleTimeout: 600, updateAge: 60 },
+      });
+      const app = await makeApp(auth);
+      const session = await auth.sessionManager.createToken(mockUser);
+
+      vi.setSystemTime(new Date('2026-01-01T00:05:00Z'));
+      const res = await app.inject({ method: 'GET', url: '/auth/session', headers: { cookie: `authsnap_session=${session}` } });
+      expect(res.headers['set-cookie'][0]).toContain('Max-Age=600');
+      expect(res.json().expiresAt).toBe(Date.parse('2026-01-01T00:15:00Z') / 1000);
+      await app.close();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should list the configured providers with display names and login URLs', async () => {
+    const auth = new AuthSnap({
+      providers: {
+        github: { clientId: 'gh-id', clientSecret: 'gh-secret' },
+        twitter: { clientId: 'tw-id', clientSecret: 'tw-secret', displayName: 'Twitter' },
+      },
+      session: { secret: 'test-secret-at-least-32-characters-long!' },
+    });
+    const app = await makeApp(auth);
+
+    const res = await app.inject({ method: 'GET', url: '/auth/providers' });
+    expect(res.json()).toEqual({
+      providers: [
+        { id: 'github', name: 'GitHub', loginURL: '/auth/github' },
+        { id: 'twitter', name: 'Twitter', loginURL: '/auth/twitter' },
+      ],
+    });
+    await app.close();
+  });
+
+  it('should issue a CSRF token only for a session', async () => {
+    const auth = makeAuth();
+    const app = await makeApp(auth);
+    const cookie = `authsnap_session=${await auth.sessionManager.createToken(mockUser)}`;
+
+    const res = await app.inject({ method: 'GET', url: '/auth/csrf', headers: { cookie } });
+    expect(res.json()).toEqual({ csrfToken: auth.csrfToken({ headers: { cookie } }) });
+
+    const anonymous = await app.inject({ method: 'GET', url: '/auth/csrf' });
+    expect(anonymous.json()).toEqual({ csrfToken: null });
+    await app.close();
+  });
+});
+
+describe('Fastify adapter — bearer token route', () => {
+  it('should hand a cookie session to the client as a bearer token that protect() accepts', async () => {
+    const auth = makeAuth({ allowTokenExchange: true });
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+    app.get('/api/me', { preHandler: auth.protect() }, async (request) => ({ id: request.user.id }));
+
+    const session = await auth.sessionManager.createToken(mockUser);
+    const res = await app.inject({ method: 'POST', url: '/auth/token', headers: { cookie: `authsnap_session=${session}` } });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    const { token, tokenType, expiresAt } = res.json();
+    expect(tokenType).toBe('Bearer');
+    expect(expiresAt).toBeGreaterThan(Date.now() / 1000);
+
+    const me = await app.inject({ method: 'GET', url: '/api/me', headers: { authorization: `Bearer ${token}` } });
+    expect(me.json()).toEqual({ id: 'apple-1' });
+
+    const anonymous = await app.inject({ method: 'POST', url: '/auth/token' });
+    expect(anonymous.statusCode).toBe(401);
+    await app.close();
+  });
+
+  it('should not exchange a cookie session for a bearer token by default', async () => {
+    const auth = makeAuth();
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const session = await auth.sessionManager.createToken(mockUser);
+    const exchange = await app.inject({ method: 'POST', url: '/auth/token', headers: { cookie: `authsnap_session=${session}` } });
+    expect(exchange.statusCode).toBe(401);
+    expect(exchange.json().token).toBeUndefined();
+
+    // A bearer session is still renewed there
+    const renew = await app.inject({ method: 'POST', url: '/auth/token', headers: { authorization: `Bearer ${session}` } });
+    expect(renew.statusCode).toBe(200);
+    expect(renew.json().token).toBe(session);
+    await app.close();
+  });
+
+  it("should not mount the route when tokenSource is 'cookie'", async () => {
+    const auth = new AuthSnap({
+      providers: { github: { clientId: 'gh-id', clientSecret: 'gh-secret' } },
+      session: { secret: 'test-secret-at-least-32-characters-long!', tokenSource: 'cookie' },
+    });
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const res = await app.inject({ method: 'POST', url: '/auth/token' });
+    expect(res.statusCode).toBe(404);
+    await app.close();
+  });
+});
+
+describe('Fastify adapter — token login', () => {
+  it('should sign in from a JSON access_token and set the session cookie', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ id: 7, login: 'octo', email: 'o@example.com' })));
+    const auth = makeAuth({
+      providers: { github: { clientId: 'gh-id', clientSecret: 'gh-secret', accessTokenLogin: true } },
+    });
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const res = await app.inject({ method: 'POST', url: '/auth/github/token-login', payload: { access_token: 'gho_abc' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.json().user.id).toBe('7');
+    expect(res.headers['set-cookie'][0]).toContain(`authsnap_session=${res.json().token}`);
+
+    // A cross-site form can't post a credential to sign the browser in
+    const form = await app.inject({
+      method: 'POST',
+      url: '/auth/github/token-login',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      payload: 'access_token=gho_abc',
+    });
+    expect(form.statusCode).toBe(415);
+    expect(form.headers['set-cookie']).toBeUndefined();
+
+    vi.unstubAllGlobals();
+    await app.close();
+  });
+});
+
+describe('Fastify adapter — mobile login', () => {
+  it('should hand the session to the app by code and exchange it at the token route', async () => {
+    const auth = new AuthSnap({
+      providers: { github: { clientId: 'gh-id', clientSecret: 'gh-secret' } },
+      session: { secret: 'test-secret-at-least-32-characters-long!', secure: false },
+      mobile: { redirectURIs: ['https://app.example.com/oauth'] },
+    });
+    const provider = auth.getProvider('github');
+    vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    vi.spyOn(provider, 'getProfile').mockResolvedValue({ ...mockUser, provider: 'github' });
+
+    const app = Fastify();
+    await app.register(fastifyCookie);
+    await app.register(auth.fastify());
+
+    const verifier = randomBytes(32).toString('base64url');
+    const query = new URLSearchParams({
+      redirect_uri: 'https://app.example.com/oauth',
+      code_challenge: createHash('sha256').update(verifier).digest('base64url'),
+      code_challenge_method: 'S256',
+    });
+    const login = await app.inject({ method: 'GET', url: `/auth/github?${query}` });
+    const state = new URL(login.headers.location).searchParams.get('state');
+    const cookie = [].concat(login.headers['set-cookie']).find((c) => c.startsWith('authsnap_state_')).split(';')[0];
+
+    const callback = await app.inject({ method: 'GET', url: `/auth/github/callback?code=c&state=${state}`, headers: { cookie } });
+    const redirect = new URL(callback.headers.location);
+    expect(redirect.origin + redirect.pathname).toBe('https://app.example.com/oauth');
+    expect([].concat(callback.headers['set-cookie']).some((c) => c.startsWith('authsnap_session='))).toBe(false);
+
+    const res = await app.inject({
+      method: 'POST',
+      url: '/auth/token',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      payload: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: redirect.searchParams.get('code'),
+        code_verifier: verifier,
+        redirect_uri: 'https://app.example.com/oauth',
+      }).toString(),
+    });
+    expect(res.statusCode).toBe(200);
+    expect((await auth.sessionManager.verifyToken(res.json().token)).id).toBe('apple-1');
+    await app.close();
+  });
+});
@@ -79,4 +79,71 @@ describe('validateConfig', () => {
     const result = validateConfig({ ...validConfig, basePath: '/api/auth' });
     expect(result.basePath).toBe('/api/auth');
   });
+
+  it('should reject unknown session strategies', () => {
+    expect(() =>
+      validateConfig({ ...validConfig, session: { secret: 's', strategy: 'redis' } })
+    ).toThrow('Unknown session strategy');
+  });
+
+  it('should validate mobile redirect URIs', () => {
+    expect(() => validateConfig({ ...validConfig, mobile: { redirectURIs: [] } })).toThrow('mobile.redirectURIs');
+    expect(() => validateConfig({ ...validConfig, mobile: { redirectURIs: ['/relative'] } })).toThrow('not an absolute URI');
+    expect(() =>
+      validateConfig({ ...validConfig, session: { secret: 's', tokenSource: 'cookie' }, mobile: { redirectURIs: ['com.example.app:/oauth'] } })
+    ).toThrow("tokenSource: 'cookie'");
+    expect(() => validateConfig({ ...validConfig, mobile: { redirectURIs: ['com.example.app:/oauth'] } })).not.toThrow();
+  });
+
+  it('should reject unknown token sources', () => {
+    expect(validateConfig({ ...validConfig, session: { secret: 's' } }).session.tokenSource).toBe('both');
+    expect(() =>
+      validateConfig({ ...validConfig, session: { secret: 's', tokenSource: 'query' } })
+    ).toThrow('Unknown session.tokenSource "query"');
+  });
+
+  it("should only accept a session store with strategy 'cookie'", () => {
+    const store = { get() {}, set() {}, delete() {} };
+    expect(() => validateConfig({ ...validConfig, session: { secret: 's', store } })).toThrow(ConfigError);
+    const result = validateConfig({ ...validConfig, session: { secret: 's', strategy: 'cookie', store } });
+    expect(result.session.store).toBe(store);
+  });
+
+  it('should accept session.secrets and derive the current secret from it', () => {
+    const secrets = [{ kid: 'v2', secret: 'new' }, { kid: 'v1', secret: 'old' }];
+    const result = validateConfig({ ...validConfig, session: { secrets } });
+    expect(result.session.secret).toBe('new');
+    expect(result.session.secrets).toBe(secrets);
+  });
+
+  it('should reject invalid session.secrets', () => {
+    const withSecrets = (session) => () => validateConfig({ ...validConfig, session });
+    expect(withSecrets({ secrets: [] })).toThrow(ConfigError);
+    expect(withSecrets({ secrets: [{ secret: 'no-kid' }] })).toThrow('string kid');
+    expect(withSecrets({ secrets: [{ kid: 'a', secret: 'x' }, { kid: 'a', secret: 'y' }] })).toThrow('Duplicate kid');
+    expect(withSecrets({ secrets: [{ kid: 'a', alg: 'HS512', secret: 'x' }] })).toThrow('Unsupported alg');
+    expect(withSecrets({ secrets: [{ kid: 'a', alg: 'ES256' }] })).toThrow('needs a privateKey');
+    expect(withSecrets({ secrets: [{ kid: 'a', alg: 'ES256', publicKey: 'pem' }] })).toThrow('signs new sessions');
+  });
+
+  it('should require session.secret for flow state when session.secrets has only key pairs', () => {
+    const secrets = [{ kid: 'k1', alg: 'ES256', privateKey: 'pem' }];
+    expect(() => validateConfig({ ...validConfig, session: { secrets } })).toThrow('Session secret is required');
+
+    const result = validateConfig({ ...validConfig, session: { secret: 's', secrets } });
+    expect(result.session.secret).toBe('s');
+  });
+
+  it('should only allow session.encrypt for HMAC-signed JWT sessions', () => {
+    expect(() =>
+      validateConfig({ ...validConfig, session: { secret: 's', strategy: 'cookie', encrypt: true } })
+    ).toThrow("strategy 'jwt' only");
+    expect(() =>
+      validateConfig({
+        ...validConfig,
+        session: { secret: 's', encrypt: true, secrets: [{ kid: 'k', alg: 'ES256', privateKey: 'pem' }] },
+      })
+    ).toThrow('needs an HMAC secret');
+    expect(validateConfig({ ...validConfig, session: { secret: 's', encrypt: true } }).session.encrypt).toBe(true);
+  });
 });
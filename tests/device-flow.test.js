@@ -0,0 +1,202 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { AuthSnap, AccessDeniedError, ConfigError, TokenExchangeError } from '../src/index.js';
+
+const makeAuth = (overrides = {}) =>
+  new AuthSnap({
+    providers: {
+      github: { clientId: 'ghid', clientSecret: 'ghsec' },
+      google: { clientId: 'gid', clientSecret: 'gsec' },
+      spotify: { clientId: 'sid', clientSecret: 'ssec' },
+    },
+    session: { secret: 'test-secret-at-least-32-characters-long!' },
+    ...overrides,
+  });
+
+const DEVICE_CODE = {
+  device_code: 'dev-123',
+  user_code: 'WDJB-MJHT',
+  verification_uri: 'https://github.com/login/device',
+  expires_in: 900,
+  interval: 5,
+};
+
+/**
+ * Stub fetch with GitHub's device endpoints: the device code, then one token
+ * endpoint response per poll from `polls`, then the user profile.
+ */
+const stubGitHub = (polls, deviceCode = DEVICE_CODE) => {
+  const queue = [...polls];
+  const fetchMock = vi.fn(async (url) => {
+    if (url === 'https://github.com/login/device/code') return Response.json(deviceCode);
+    if (url === 'https://github.com/login/oauth/access_token') return Response.json(queue.shift());
+    if (url === 'https://api.github.com/user') return Response.json({ id: 7, login: 'octo', email: 'o@example.com' });
+    throw new Error(`Unexpected fetch ${url}`);
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+};
+
+const tokenPolls = (fetchMock) =>
+  fetchMock.mock.calls.filter(([url]) => url === 'https://github.com/login/oauth/access_token');
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('BaseProvider device authorization', () => {
+  it('should request a device code with the client ID and scopes', async () => {
+    const fetchMock = stubGitHub([]);
+    const github = makeAuth().getProvider('github');
+
+    const device = await github.requestDeviceCode();
+    expect(device).toEqual({
+      deviceCode: 'dev-123',
+      userCode: 'WDJB-MJHT',
+      verificationURI: 'https://github.com/login/device',
+      verificationURIComplete: null,
+      expiresIn: 900,
+      interval: 5,
+    });
+
+    const body = new URLSearchParams(fetchMock.mock.calls[0][1].body);
+    expect(body.get('client_id')).toBe('ghid');
+    expect(body.get('scope')).toBe('read:user user:email');
+  });
+
+  it("should read Google's verification_url", async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({
+      device_code: 'd', user_code: 'U', verification_url: 'https://www.google.com/device', expires_in: 1800,
+    })));
+    const device = await makeAuth().getProvider('google').requestDeviceCode();
+    expect(device.verificationURI).toBe('https://www.google.com/device');
+    expect(device.interval).toBe(5);
+  });
+
+  it('should return OAuth errors from a poll, whether sent as 200 or 400', async () => {
+    const github = makeAuth().getProvider('github');
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ error: 'authorization_pending' })));
+    expect(await github.pollDeviceToken('dev-123')).toEqual({ error: 'authorization_pending', description: undefined });
+
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ error: 'slow_down' }, { status: 400 })));
+    expect(await github.pollDeviceToken('dev-123')).toMatchObject({ error: 'slow_down' });
+  });
+
+  it('should only be supported by providers with a device authorization endpoint', () => {
+    const auth = makeAuth();
+    expect(auth.getProvider('github').supportsDeviceFlow()).toBe(true);
+    expect(auth.getProvider('spotify').supportsDeviceFlow()).toBe(false);
+  });
+});
+
+describe('auth.deviceFlow()', () => {
+  it('should show the code, poll until approved and complete the login', async () => {
+    vi.useFakeTimers();
+    const fetchMock = stubGitHub([
+      { error: 'authorization_pending' },
+      { access_token: 'gho_abc', token_type: 'bearer', scope: 'read:user' },
+    ]);
+    const onSuccess = vi.fn(async () => ({ roles: ['dev'] }));
+    const auth = makeAuth({ callbacks: { onSuccess } });
+    const success = vi.fn();
+    auth.on('success', success);
+    const onCode = vi.fn();
+
+    const flow = auth.deviceFlow('github', { onCode });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onCode).toHaveBeenCalledWith(expect.objectContaining({
+      userCode: 'WDJB-MJHT',
+      verificationURI: 'https://github.com/login/device',
+    }));
+    expect(tokenPolls(fetchMock)).toHaveLength(0);
+
+    await vi.advanceTimersByTimeAsync(10_000);
+    const { user, tokens, token } = await flow;
+
+    const body = new URLSearchParams(tokenPolls(fetchMock)[0][1].body);
+    expect(body.get('grant_type')).toBe('urn:ietf:params:oauth:grant-type:device_code');
+    expect(body.get('device_code')).toBe('dev-123');
+
+    expect(user.id).toBe('7');
+    expect(tokens.accessToken).toBe('gho_abc');
+    expect(await auth.tokenStore.get('github:7')).toMatchObject(tokens);
+    expect(onSuccess).toHaveBeenCalledWith(user, tokens, 'github');
+    expect(success).toHaveBeenCalledOnce();
+    expect((await auth.sessionManager.verifyToken(token)).roles).toEqual(['dev']);
+  });
+
+  it('should poll 5 seconds slower after each slow_down', async () => {
+    vi.useFakeTimers();
+    const fetchMock = stubGitHub([
+      { error: 'slow_down' },
+      { access_token: 'gho_abc' },
+    ]);
+    const flow = makeAuth().deviceFlow('github', { onCode: () => {} });
+
+    await vi.advanceTimersByTimeAsync(5_000);
+    expect(tokenPolls(fetchMock)).toHaveLength(1);
+    await vi.advanceTimersByTimeAsync(9_999);
+    expect(tokenPolls(fetchMock)).toHaveLength(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(tokenPolls(fetchMock)).toHaveLength(2);
+    await expect(flow).resolves.toMatchObject({ user: { id: '7' } });
+  });
+
+  it('should reject with AccessDeniedError when the user declines', async () => {
+    vi.useFakeTimers();
+    stubGitHub([{ error: 'access_denied', error_description: 'The user has denied your application access.' }]);
+    const onError = vi.fn();
+    const auth = makeAuth({ callbacks: { onError } });
+
+    const flow = auth.deviceFlow('github', { onCode: () => {} });
+    const assertion = expect(flow).rejects.toThrow(AccessDeniedError);
+    await vi.advanceTimersByTimeAsync(5_000);
+    await assertion;
+    expect(onError).toHaveBeenCalledWith(expect.any(AccessDeniedError), 'github');
+  });
+
+  it('should give up once the device code expires', async () => {
+    vi.useFakeTimers();
+    stubGitHub(Array(200).fill({ error: 'authorization_pending' }));
+
+    const flow = makeAuth().deviceFlow('github', { onCode: () => {} });
+    const assertion = expect(flow).rejects.toThrow(TokenExchangeError);
+    await vi.advanceTimersByTimeAsync(900_000);
+    await assertion;
+  });
+
+  it('should give up after 15 minutes when the provider sends no expires_in', async () => {
+    vi.useFakeTimers();
+    const fetchMock = stubGitHub(Array(200).fill({ error: 'authorization_pending' }), { ...DEVICE_CODE, expires_in: undefined });
+    const onCode = vi.fn();
+    const start = Date.now();
+
+    const flow = makeAuth().deviceFlow('github', { onCode });
+    const assertion = expect(flow).rejects.toThrow('Device code expired');
+    await vi.advanceTimersByTimeAsync(900_000);
+    await assertion;
+    expect(onCode).toHaveBeenCalledWith(expect.objectContaining({ expiresAt: start + 900_000 }));
+    expect(tokenPolls(fetchMock).length).toBeLessThan(180);
+  });
+
+  it('should stop polling when the signal aborts', async () => {
+    vi.useFakeTimers();
+    const fetchMock = stubGitHub(Array(10).fill({ error: 'authorization_pending' }));
+    const controller = new AbortController();
+
+    const flow = makeAuth().deviceFlow('github', { onCode: () => {}, signal: controller.signal });
+    const assertion = expect(flow).rejects.toThrow('cancelled');
+    await vi.advanceTimersByTimeAsync(5_000);
+    controller.abort(new Error('cancelled'));
+    await assertion;
+
+    await vi.advanceTimersByTimeAsync(60_000);
+    expect(tokenPolls(fetchMock)).toHaveLength(1);
+  });
+
+  it('should require onCode and a provider that supports the device flow', async () => {
+    const auth = makeAuth();
+    await expect(auth.deviceFlow('github', {})).rejects.toThrow(ConfigError);
+    await expect(auth.deviceFlow('spotify', { onCode: () => {} })).rejects.toThrow('does not support the device flow');
+  });
+});
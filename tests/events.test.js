@@ -26,12 +26,12 @@ describe('Event System', () => {
     expect(result).toBe(auth);
   });
 
-  it('should emit "login" event from handleLogin', () => {
+  it('should emit "login" event from handleLogin', async () => {
     const auth = makeAuth();
     const listener = vi.fn();
     auth.on('login', listener);
 
-    handleLogin(auth, 'google', 'http://localhost:3000/auth/google/callback', {});
+    await handleLogin(auth, 'google', 'http://localhost:3000/auth/google/callback', {});
 
     expect(listener).toHaveBeenCalledOnce();
     expect(listener).toHaveBeenCalledWith(
@@ -84,16 +84,16 @@ describe('Event System', () => {
     expect(listener).not.toHaveBeenCalled();
   });
 
-  it('should not break auth flow when listener throws', () => {
+  it('should not break auth flow when listener throws', async () => {
     const auth = makeAuth();
     auth.on('login', () => {
       throw new Error('listener boom');
     });
 
     // Should not throw
-    expect(() =>
+    await expect(
       handleLogin(auth, 'google', 'http://localhost:3000/auth/google/callback', {})
-    ).not.toThrow();
+    ).resolves.toBeDefined();
   });
 
   it('emit() should not throw when no listeners are registered', () => {
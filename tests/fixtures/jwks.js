@@ -0,0 +1,25 @@
+import * as jose from 'jose';
+
+/**
+ * Local JWKS fixture for id_token tests — a throwaway RS256 key pair plus a
+ * helper that signs id_tokens with it. Pass `jwks` as a provider's `jwks`
+ * config so verification never touches the network.
+ *
+ * @param {string} [kid='test-key']
+ * @returns {Promise<{ jwks: { keys: Object[] }, sign: (claims: Object, options?: { expiresIn?: string }) => Promise<string> }>}
+ */
+export async function createJWKSFixture(kid = 'test-key') {
+  const { publicKey, privateKey } = await jose.generateKeyPair('RS256');
+  const jwk = { ...(await jose.exportJWK(publicKey)), kid, alg: 'RS256', use: 'sig' };
+
+  return {
+    jwks: { keys: [jwk] },
+    sign(claims, options = {}) {
+      return new jose.SignJWT(claims)
+        .setProtectedHeader({ alg: 'RS256', kid })
+        .setIssuedAt()
+        .setExpirationTime(options.expiresIn || '5m')
+        .sign(privateKey);
+    },
+  };
+}
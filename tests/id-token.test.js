@@ -0,0 +1,311 @@
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import { GoogleProvider } from '../src/providers/google.js';
+import { MicrosoftProvider } from '../src/providers/microsoft.js';
+import { LinkedInProvider } from '../src/providers/linkedin.js';
+import { GitHubProvider } from '../src/providers/github.js';
+import { ProviderError } from '../src/core/errors.js';
+import { AuthSnap } from '../src/index.js';
+import { handleLogin, handleTokenLogin } from '../src/core/route-handler.js';
+import { decodeFlowState } from '../src/core/flow-state.js';
+import { createJWKSFixture } from './fixtures/jwks.js';
+
+let fixture;
+let otherFixture;
+
+beforeAll(async () => {
+  fixture = await createJWKSFixture();
+  otherFixture = await createJWKSFixture('other-key');
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+const googleClaims = (overrides = {}) => ({
+  iss: 'https://accounts.google.com',
+  aud: 'google-id',
+  sub: 'google-sub-1',
+  email: 'jane@example.com',
+  email_verified: true,
+  nonce: 'n-123',
+  ...overrides,
+});
+
+describe('BaseProvider.verifyIdToken', () => {
+  const makeGoogle = () => new GoogleProvider({ clientId: 'google-id', clientSecret: 'sec', jwks: fixture.jwks });
+
+  it('should return the claims of a valid id_token', async () => {
+    const idToken = await fixture.sign(googleClaims());
+    const claims = await makeGoogle().verifyIdToken(idToken, { nonce: 'n-123' });
+    expect(claims.sub).toBe('google-sub-1');
+  });
+
+  it('should reject a token signed by an unknown key', async () => {
+    const idToken = await otherFixture.sign(googleClaims());
+    await expect(makeGoogle().verifyIdToken(idToken)).rejects.toThrow(ProviderError);
+  });
+
+  it('should reject a wrong audience', async () => {
+    const idToken = await fixture.sign(googleClaims({ aud: 'someone-else' }));
+    await expect(makeGoogle().verifyIdToken(idToken)).rejects.toThrow('id_token verification failed');
+  });
+
+  it('should accept the extra client IDs in audiences', async () => {
+    const google = new GoogleProvider({
+      clientId: 'google-id', clientSecret: 'sec', jwks: fixture.jwks, audiences: ['ios-client-id'],
+    });
+    const idToken = await fixture.sign(googleClaims({ aud: 'ios-client-id' }));
+    await expect(google.verifyIdToken(idToken)).resolves.toMatchObject({ sub: 'google-sub-1' });
+  });
+
+  it('should reject a wrong issuer', async () => {
+    const idToken = await fixture.sign(googleClaims({ iss: 'https://evil.example' }));
+    await expect(makeGoogle().verifyIdToken(idToken)).rejects.toThrow('unexpected issuer');
+  });
+
+  it('should reject an expired token', async () => {
+    const idToken = await fixture.sign(googleClaims(), { expiresIn: '-1m' });
+    await expect(makeGoogle().verifyIdToken(idToken)).rejects.toThrow('id_token verification failed');
+  });
+
+  it('should reject a nonce mismatch', async () => {
+    const idToken = await fixture.sign(googleClaims());
+    await expect(makeGoogle().verifyIdToken(idToken, { nonce: 'other' })).rejects.toThrow('nonce mismatch');
+  });
+
+  it('should throw when the provider has no JWKS', async () => {
+    const github = new GitHubProvider({ clientId: 'id', clientSecret: 'sec' });
+    expect(github.supportsIdToken()).toBe(false);
+    await expect(github.verifyIdToken('x.y.z')).rejects.toThrow('no JWKS configured');
+  });
+});
+
+describe('Profile normalization from verified claims', () => {
+  it('Google should prefer verified id_token claims over userinfo', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({
+      id: 'legacy-id', email: 'jane@example.com', name: 'Jane', verified_email: false,
+    })));
+    const google = new GoogleProvider({ clientId: 'google-id', clientSecret: 'sec', jwks: fixture.jwks });
+    const idToken = await fixture.sign(googleClaims());
+
+    const user = await google.getProfile('at', { idToken, nonce: 'n-123' });
+    expect(user.id).toBe('google-sub-1');
+    expect(user.emailVerified).toBe(true);
+    expect(user.name).toBe('Jane');
+  });
+
+  it('Google should build the profile from the id_token alone when there is no access token', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    const google = new GoogleProvider({ clientId: 'google-id', clientSecret: 'sec', jwks: fixture.jwks });
+    const idToken = await fixture.sign(googleClaims({ name: 'Jane' }));
+
+    const user = await google.getProfile(null, { idToken });
+    expect(user).toMatchObject({ id: 'google-sub-1', name: 'Jane', emailVerified: true });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('Google should fail the login when the id_token is forged', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ id: '1' })));
+    const google = new GoogleProvider({ clientId: 'google-id', clientSecret: 'sec', jwks: fixture.jwks });
+    const idToken = await otherFixture.sign(googleClaims());
+
+    await expect(google.getProfile('at', { idToken, nonce: 'n-123' })).rejects.toThrow(ProviderError);
+  });
+
+  it('LinkedIn should map verified claims', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ sub: 'li-1', name: 'Li' })));
+    const linkedin = new LinkedInProvider({ clientId: 'li-id', clientSecret: 'sec', jwks: fixture.jwks });
+    const idToken = await fixture.sign({
+      iss: 'https://www.linkedin.com/oauth', aud: 'li-id', sub: 'li-1', email: 'li@example.com', email_verified: true,
+    });
+
+    const user = await linkedin.getProfile('at', { idToken });
+    expect(user.email).toBe('li@example.com');
+    expect(user.emailVerified).toBe(true);
+  });
+
+  it('Microsoft should accept the tenant issuer from the token on multi-tenant endpoints', async () => {
+    const tid = '9188040d-6c67-4c5b-b112-36a304b66dad';
+    const microsoft = new MicrosoftProvider({ clientId: 'ms-id', clientSecret: 'sec', jwks: fixture.jwks });
+    const idToken = await fixture.sign({
+      iss: `https://login.microsoftonline.com/${tid}/v2.0`, aud: 'ms-id', sub: 's', tid,
+    });
+    await expect(microsoft.verifyIdToken(idToken)).resolves.toMatchObject({ tid });
+  });
+
+  it('Microsoft should key the user by oid with or without an access token', async () => {
+    const tid = '9188040d-6c67-4c5b-b112-36a304b66dad';
+    const microsoft = new MicrosoftProvider({ clientId: 'ms-id', clientSecret: 'sec', jwks: fixture.jwks });
+    const idToken = await fixture.sign({
+      iss: `https://login.microsoftonline.com/${tid}/v2.0`, aud: 'ms-id', sub: 's', tid,
+      oid: '00000000-0000-0000-66f3-3332eca7ea81', email: 'jane@outlook.com',
+    });
+    // Graph's id for a personal account is not the oid
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ id: '66f33332eca7ea81', displayName: 'Jane', userPrincipalName: 'jane@outlook.com' })));
+
+    const withGraph = await microsoft.getProfile('at', { idToken });
+    const idTokenOnly = await microsoft.getProfile(null, { idToken });
+    expect(withGraph.id).toBe('00000000-0000-0000-66f3-3332eca7ea81');
+    expect(idTokenOnly.id).toBe(withGraph.id);
+    expect(withGraph.emailVerified).toBe(true);
+    // The id_token email claim is user-editable
+    expect(idTokenOnly).toMatchObject({ email: 'jane@outlook.com', emailVerified: false });
+  });
+
+  it('Microsoft should pin the issuer for a specific tenant', async () => {
+    const microsoft = new MicrosoftProvider({
+      clientId: 'ms-id', clientSecret: 'sec', jwks: fixture.jwks, tenant: '11111111-1111-1111-1111-111111111111',
+    });
+    const tid = '22222222-2222-2222-2222-222222222222';
+    const idToken = await fixture.sign({
+      iss: `https://login.microsoftonline.com/${tid}/v2.0`, aud: 'ms-id', sub: 's', tid,
+    });
+    await expect(microsoft.verifyIdToken(idToken)).rejects.toThrow('unexpected issuer');
+  });
+});
+
+describe('Login nonce', () => {
+  it('should send a nonce to OIDC providers and keep it in the flow state', async () => {
+    const auth = new AuthSnap({
+      providers: { google: { clientId: 'gid', clientSecret: 'gsec' } },
+      session: { secret: 'test-secret-at-least-32-characters-long!' },
+    });
+    const { redirectURL, flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    const { nonce } = decodeFlowState(flowCookie, auth.config.session.secret);
+    expect(nonce).toBeTruthy();
+    expect(new URL(redirectURL).searchParams.get('nonce')).toBe(nonce);
+  });
+
+  it('should not send a nonce to plain OAuth providers', async () => {
+    const auth = new AuthSnap({
+      providers: { github: { clientId: 'id', clientSecret: 'sec' } },
+      session: { secret: 'test-secret-at-least-32-characters-long!' },
+    });
+    const { redirectURL } = await handleLogin(auth, 'github', 'http://localhost/cb', {});
+    expect(redirectURL).not.toContain('nonce=');
+  });
+});
+
+describe('Token login', () => {
+  const makeAuth = (overrides = {}) =>
+    new AuthSnap({
+      providers: {
+        google: { clientId: 'google-id', clientSecret: 'sec', jwks: fixture.jwks, audiences: ['ios-client-id'] },
+        github: { clientId: 'gh-id', clientSecret: 'sec' },
+      },
+      session: { secret: 'test-secret-at-least-32-characters-long!', secure: false },
+      ...overrides,
+    });
+
+  it('should sign in with a verified id_token through the callback pipeline', async () => {
+    const onSuccess = vi.fn(async () => ({ roles: ['admin'] }));
+    const auth = makeAuth({ callbacks: { onSuccess } });
+    const success = vi.fn();
+    auth.on('success', success);
+    const idToken = await fixture.sign(googleClaims({ aud: 'ios-client-id' }));
+
+    const { status, json, sessionCookie, cacheControl } = await handleTokenLogin(auth, 'google', { id_token: idToken });
+    expect(status).toBe(200);
+    expect(cacheControl).toBe('no-store');
+    expect(json).toMatchObject({ user: { id: 'google-sub-1', roles: ['admin'] }, tokenType: 'Bearer' });
+    expect(sessionCookie[0]).toContain(`authsnap_session=${json.token}`);
+    expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({ id: 'google-sub-1' }), expect.objectContaining({ idToken }), 'google');
+    expect(success).toHaveBeenCalledOnce();
+    // No provider tokens to store
+    expect(await auth.tokenStore.get('google:google-sub-1')).toBeNull();
+    expect((await auth.sessionManager.verifyToken(json.token)).id).toBe('google-sub-1');
+  });
+
+  it('should reject an id_token issued to another client', async () => {
+    const onError = vi.fn();
+    const auth = makeAuth({ callbacks: { onError } });
+    const idToken = await fixture.sign(googleClaims({ aud: 'someone-else' }));
+
+    const { status, json, sessionCookie } = await handleTokenLogin(auth, 'google', { id_token: idToken });
+    expect(status).toBe(401);
+    expect(json.code).toBe('INVALID_TOKEN');
+    expect(sessionCookie).toBeNull();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ name: 'TokenLoginError' }), 'google');
+  });
+
+  it('should keep the stored provider tokens of an earlier login', async () => {
+    const auth = makeAuth();
+    await auth.tokenStore.set('google:google-sub-1', { accessToken: 'old', refreshToken: 'rt' });
+
+    const { status } = await handleTokenLogin(auth, 'google', { id_token: await fixture.sign(googleClaims()) });
+    expect(status).toBe(200);
+    expect(await auth.tokenStore.get('google:google-sub-1')).toMatchObject({ accessToken: 'old', refreshToken: 'rt' });
+  });
+
+  it('should only sign in with an access token when the provider opts in', async () => {
+    const fetchMock = vi.fn(async () => Response.json({ id: 42, login: 'octo', name: 'Octo', email: 'o@example.com' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    // A token issued to any other GitHub app would otherwise sign its user in
+    const rejected = await handleTokenLogin(makeAuth(), 'github', { access_token: 'gho_other_app' });
+    expect(rejected.status).toBe(401);
+    expect(rejected.json.error).toContain('does not accept access_token login');
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    const auth = makeAuth({
+      providers: { github: { clientId: 'gh-id', clientSecret: 'sec', accessTokenLogin: true } },
+    });
+    await auth.tokenStore.set('github:42', { accessToken: 'old', refreshToken: 'rt' });
+    const { status, json } = await handleTokenLogin(auth, 'github', { access_token: 'gho_abc' });
+    expect(status).toBe(200);
+    expect(json.user.id).toBe('42');
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer gho_abc');
+    // A new access token keeps the earlier refresh token
+    expect(await auth.tokenStore.get('github:42')).toMatchObject({ accessToken: 'gho_abc', refreshToken: 'rt' });
+  });
+
+  it('should require an id_token from providers that issue them', async () => {
+    const fetchMock = vi.fn(async () => Response.json({ id: 'victim', email: 'v@example.com', verified_email: true }));
+    vi.stubGlobal('fetch', fetchMock);
+    const auth = makeAuth();
+
+    // An access token from another app's Google login must not sign its user in here
+    const { status, json, sessionCookie } = await handleTokenLogin(auth, 'google', { access_token: 'ya29.other-app' });
+    expect(status).toBe(401);
+    expect(json).toMatchObject({ code: 'INVALID_TOKEN', error: expect.stringContaining('requires an id_token') });
+    expect(sessionCookie).toBeNull();
+
+    // Alongside an id_token, the access token is ignored
+    const idToken = await fixture.sign(googleClaims());
+    const withBoth = await handleTokenLogin(auth, 'google', { id_token: idToken, access_token: 'ya29.other-app' });
+    expect(withBoth.json.user.id).toBe('google-sub-1');
+    expect(await auth.tokenStore.get('google:google-sub-1')).toBeNull();
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    // Unless the provider opts in
+    const optedIn = makeAuth({
+      providers: { google: { clientId: 'google-id', clientSecret: 'sec', jwks: fixture.jwks, accessTokenLogin: true } },
+    });
+    const accessOnly = await handleTokenLogin(optedIn, 'google', { access_token: 'ya29.token' });
+    expect(accessOnly.status).toBe(200);
+    expect(accessOnly.json.user.id).toBe('victim');
+  });
+
+  it('should reject a missing credential, and an id_token for a provider without id_tokens', async () => {
+    const auth = makeAuth();
+    expect((await handleTokenLogin(auth, 'google', {})).status).toBe(401);
+
+    const { status, json } = await handleTokenLogin(auth, 'github', { id_token: 'x.y.z' });
+    expect(status).toBe(401);
+    expect(json.error).toContain('does not issue id_tokens');
+  });
+
+  it('should follow session.tokenSource for how the session is returned', async () => {
+    const idToken = await fixture.sign(googleClaims());
+    const header = makeAuth({ session: { secret: 'test-secret-at-least-32-characters-long!', tokenSource: 'header' } });
+    const bearerOnly = await handleTokenLogin(header, 'google', { id_token: idToken });
+    expect(bearerOnly.json.token).toBeTruthy();
+    expect(bearerOnly.sessionCookie).toBeNull();
+
+    const cookie = makeAuth({ session: { secret: 'test-secret-at-least-32-characters-long!', tokenSource: 'cookie' } });
+    const cookieOnly = await handleTokenLogin(cookie, 'google', { id_token: idToken });
+    expect(cookieOnly.json.token).toBeUndefined();
+    expect(cookieOnly.sessionCookie[0]).toContain('authsnap_session=');
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createHash } from 'node:crypto';
+import { AuthSnap, AccessDeniedError, ConfigError, StateMismatchError } from '../src/index.js';
+
+const realFetch = globalThis.fetch;
+
+const makeAuth = (overrides = {}) =>
+  new AuthSnap({
+    providers: {
+      github: { clientId: 'ghid', clientSecret: 'ghsec' },
+      apple: { clientId: 'com.example.auth', clientSecret: 'apple-secret' },
+    },
+    session: { secret: 'test-secret-at-least-32-characters-long!' },
+    ...overrides,
+  });
+
+/** Stub GitHub's token and user endpoints; requests to the loopback listener go through. */
+const stubGitHub = () => {
+  const fetchMock = vi.fn(async (url, init) => {
+    if (String(url).startsWith('http://127.0.0.1:')) return realFetch(url, init);
+    if (url === 'https://github.com/login/oauth/access_token') return Response.json({ access_token: 'gho_abc', token_type: 'bearer' });
+    if (url === 'https://api.github.com/user') return Response.json({ id: 7, login: 'octo', email: 'o@example.com' });
+    throw new Error(`Unexpected fetch ${url}`);
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+};
+
+/** Start a loopback login and wait for its authorization URL. */
+const startLogin = async (auth, options = {}) => {
+  let resolveURL;
+  const authorizationURL = new Promise((resolve) => { resolveURL = resolve; });
+  const login = auth.loopbackLogin('github', { onURL: (url) => resolveURL(new URL(url)), ...options });
+  login.catch(() => {});
+  return { login, url: await authorizationURL };
+};
+
+/** Play the browser coming back from the provider to the loopback redirect URI. */
+const redirectBack = (url, params) => {
+  const callback = new URL(url.searchParams.get('redirect_uri'));
+  for (const [key, value] of Object.entries(params)) callback.searchParams.set(key, value);
+  return realFetch(callback);
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('auth.loopbackLogin()', () => {
+  it('should redirect to a 127.0.0.1 listener with PKCE and complete the login', async () => {
+    const fetchMock = stubGitHub();
+    const onSuccess = vi.fn();
+    const auth = makeAuth({ callbacks: { onSuccess } });
+
+    const { login, url } = await startLogin(auth);
+    expect(url.origin + url.pathname).toBe('https://github.com/login/oauth/authorize');
+    expect(url.searchParams.get('redirect_uri')).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/callback$/);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+
+    // A request without our state is turned away, and the login keeps waiting
+    expect((await redirectBack(url, { code: 'stolen', state: 'other' })).status).toBe(400);
+
+    const page = await redirectBack(url, { code: 'c0de', state: url.searchParams.get('state') });
+    expect(page.status).toBe(200);
+    expect(await page.text()).toContain('Signed in');
+
+    const { user, tokens, token } = await login;
+    expect(user.id).toBe('7');
+    expect(tokens.accessToken).toBe('gho_abc');
+    expect(onSuccess).toHaveBeenCalledWith(user, tokens, 'github');
+    expect(await auth.tokenStore.get('github:7')).toMatchObject({ accessToken: 'gho_abc' });
+    expect((await auth.sessionManager.verifyToken(token)).id).toBe('7');
+
+    const exchange = fetchMock.mock.calls.find(([u]) => u === 'https://github.com/login/oauth/access_token');
+    const body = new URLSearchParams(exchange[1].body);
+    expect(body.get('code')).toBe('c0de');
+    expect(body.get('redirect_uri')).toBe(url.searchParams.get('redirect_uri'));
+    const challenge = createHash('sha256').update(body.get('code_verifier')).digest('base64url');
+    expect(challenge).toBe(url.searchParams.get('code_challenge'));
+
+    // The listener is gone
+    await expect(redirectBack(url, { code: 'c0de', state: url.searchParams.get('state') })).rejects.toThrow();
+  });
+
+  it('should reject with AccessDeniedError when the user cancels', async () => {
+    stubGitHub();
+    const onError = vi.fn();
+    const { login, url } = await startLogin(makeAuth({ callbacks: { onError } }));
+
+    const page = await redirectBack(url, { error: 'access_denied', state: url.searchParams.get('state') });
+    expect(page.status).toBe(400);
+    await expect(login).rejects.toThrow(AccessDeniedError);
+    expect(onError).toHaveBeenCalledWith(expect.any(AccessDeniedError), 'github');
+  });
+
+  it('should stop waiting on abort or timeout', async () => {
+    stubGitHub();
+    const controller = new AbortController();
+    const aborted = await startLogin(makeAuth(), { signal: controller.signal });
+    controller.abort(new Error('cancelled'));
+    await expect(aborted.login).rejects.toThrow('cancelled');
+
+    const timedOut = await startLogin(makeAuth(), { timeout: 20 });
+    await expect(timedOut.login).rejects.toThrow(StateMismatchError);
+  });
+
+  it('should require onURL and a provider with a query callback', async () => {
+    const auth = makeAuth();
+    await expect(auth.loopbackLogin('github', {})).rejects.toThrow(ConfigError);
+    await expect(auth.loopbackLogin('apple', { onURL: () => {} })).rejects.toThrow('loopback');
+  });
+});
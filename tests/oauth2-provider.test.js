@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { AuthSnap, OAuth2Provider, ConfigError, ProviderError } from '../src/index.js';
+
+const ENDPOINTS = {
+  authorization: 'https://gitlab.example.com/oauth/authorize',
+  token: 'https://gitlab.example.com/oauth/token',
+  userinfo: 'https://gitlab.example.com/api/v4/user',
+};
+
+const makeProvider = (overrides = {}) =>
+  new OAuth2Provider({ name: 'gitlab', clientId: 'gl-id', clientSecret: 'gl-sec', endpoints: ENDPOINTS, ...overrides });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('OAuth2Provider', () => {
+  it('should require authorization, token and userinfo endpoints', () => {
+    expect(() => makeProvider({ endpoints: { authorization: 'a', token: 't' } })).toThrow('endpoints.userinfo');
+    expect(() => makeProvider({ endpoints: undefined })).toThrow(ConfigError);
+  });
+
+  it('should build the authorization URL with default scopes and extra params', () => {
+    const provider = makeProvider({ defaultScopes: ['read_user'], authorizationParams: { prompt: 'consent' } });
+    const url = new URL(provider.getAuthorizationURL('http://localhost/cb', 'state1'));
+
+    expect(`${url.origin}${url.pathname}`).toBe(ENDPOINTS.authorization);
+    expect(url.searchParams.get('scope')).toBe('read_user');
+    expect(url.searchParams.get('prompt')).toBe('consent');
+    expect(url.searchParams.get('state')).toBe('state1');
+  });
+
+  it('should let scopes override default scopes', () => {
+    const provider = makeProvider({ defaultScopes: ['read_user'], scopes: ['api'] });
+    expect(provider.scopes).toEqual(['api']);
+  });
+
+  it('should send client credentials with Basic Auth when tokenAuthStyle is basic', async () => {
+    const fetchMock = vi.fn(async () => Response.json({ access_token: 'at' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await makeProvider({ tokenAuthStyle: 'basic' }).exchangeCode('code1', 'http://localhost/cb');
+
+    const [url, init] = fetchMock.mock.calls[0];
+    const body = new URLSearchParams(init.body);
+    expect(url).toBe(ENDPOINTS.token);
+    expect(init.headers.Authorization).toBe(`Basic ${Buffer.from('gl-id:gl-sec').toString('base64')}`);
+    expect(body.get('client_secret')).toBeNull();
+  });
+
+  it('should send client credentials in the body by default', async () => {
+    const fetchMock = vi.fn(async () => Response.json({ access_token: 'at' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await makeProvider().exchangeCode('code1', 'http://localhost/cb');
+
+    const [, init] = fetchMock.mock.calls[0];
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(new URLSearchParams(init.body).get('client_secret')).toBe('gl-sec');
+  });
+
+  it('should map the profile with a field-path map', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({
+      data: { id: 42, username: 'jane', contact: { email: 'jane@example.com' } },
+    })));
+    const provider = makeProvider({
+      profile: { id: 'data.id', name: 'data.username', email: 'data.contact.email' },
+    });
+
+    const user = await provider.getProfile('at');
+    expect(user).toMatchObject({
+      id: '42',
+      name: 'jane',
+      email: 'jane@example.com',
+      avatar: null,
+      provider: 'gitlab',
+      emailVerified: false,
+    });
+    expect(user.raw.data.id).toBe(42);
+  });
+
+  it('should map the profile with a function', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ uid: 'u1', verified: true })));
+    const provider = makeProvider({
+      profile: (raw) => ({ id: raw.uid, emailVerified: raw.verified }),
+    });
+
+    const user = await provider.getProfile('at');
+    expect(user.id).toBe('u1');
+    expect(user.emailVerified).toBe(true);
+  });
+
+  it('should throw when the mapping produces no id', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ name: 'x' })));
+    await expect(makeProvider().getProfile('at')).rejects.toThrow(ProviderError);
+  });
+});
+
+describe('AuthSnap with type: oauth2', () => {
+  it('should register a declarative provider under its config name', () => {
+    const auth = new AuthSnap({
+      providers: {
+        gitlab: { type: 'oauth2', clientId: 'gl-id', clientSecret: 'gl-sec', endpoints: ENDPOINTS },
+      },
+      session: { secret: 'test-secret-at-least-32-characters-long!' },
+    });
+
+    const provider = auth.getProvider('gitlab');
+    expect(provider).toBeInstanceOf(OAuth2Provider);
+    expect(provider.name).toBe('gitlab');
+  });
+});
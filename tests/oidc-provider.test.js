@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import { AuthSnap, OIDCProvider, ConfigError, ProviderError } from '../src/index.js';
+import { handleLogin } from '../src/core/route-handler.js';
+import { createJWKSFixture } from './fixtures/jwks.js';
+
+const ISSUER = 'https://sso.example.com/realms/main';
+
+const DISCOVERY = {
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/protocol/openid-connect/auth`,
+  token_endpoint: `${ISSUER}/protocol/openid-connect/token`,
+  userinfo_endpoint: `${ISSUER}/protocol/openid-connect/userinfo`,
+  end_session_endpoint: `${ISSUER}/protocol/openid-connect/logout`,
+  jwks_uri: `${ISSUER}/protocol/openid-connect/certs`,
+  code_challenge_methods_supported: ['plain', 'S256'],
+};
+
+/** Stub fetch with a map of URL → JSON body. */
+function stubFetch(routes) {
+  const fetchMock = vi.fn(async (url) => {
+    const body = routes[String(url)];
+    return body ? Response.json(body) : new Response('not found', { status: 404 });
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+let fixture;
+
+beforeAll(async () => {
+  fixture = await createJWKSFixture();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('OIDCProvider', () => {
+  const makeProvider = (overrides = {}) =>
+    new OIDCProvider({ name: 'keycloak', issuer: ISSUER, clientId: 'kc-id', clientSecret: 'kc-sec', jwks: fixture.jwks, ...overrides });
+
+  it('should require an issuer', () => {
+    expect(() => new OIDCProvider({ clientId: 'id', clientSecret: 'sec' })).toThrow(ConfigError);
+  });
+
+  it('should load endpoints from the discovery document', async () => {
+    const fetchMock = stubFetch({ [`${ISSUER}/.well-known/openid-configuration`]: DISCOVERY });
+    const provider = makeProvider();
+
+    await provider.ready();
+    await provider.ready();
+
+    expect(fetchMock).toHaveBeenCalledOnce();
+    expect(provider.endpoints.authorization).toBe(DISCOVERY.authorization_endpoint);
+    expect(provider.endpoints.token).toBe(DISCOVERY.token_endpoint);
+    expect(provider.endpoints.userinfo).toBe(DISCOVERY.userinfo_endpoint);
+    expect(provider.endpoints.endSession).toBe(DISCOVERY.end_session_endpoint);
+    expect(provider.endpoints.jwks).toBe(DISCOVERY.jwks_uri);
+    expect(provider.pkce).toBe(true);
+  });
+
+  it('should ignore a trailing slash on the configured issuer', async () => {
+    stubFetch({ [`${ISSUER}/.well-known/openid-configuration`]: DISCOVERY });
+    const provider = makeProvider({ issuer: `${ISSUER}/` });
+    await expect(provider.ready()).resolves.toBeUndefined();
+  });
+
+  it('should reject a discovery document for a different issuer', async () => {
+    stubFetch({ [`${ISSUER}/.well-known/openid-configuration`]: { ...DISCOVERY, issuer: 'https://evil.example' } });
+    await expect(makeProvider().ready()).rejects.toThrow('issuer mismatch');
+  });
+
+  it('should retry discovery after a failure', async () => {
+    stubFetch({});
+    const provider = makeProvider();
+    await expect(provider.ready()).rejects.toThrow(ProviderError);
+
+    stubFetch({ [`${ISSUER}/.well-known/openid-configuration`]: DISCOVERY });
+    await expect(provider.ready()).resolves.toBeUndefined();
+  });
+
+  it('should map standard claims to AuthUser', async () => {
+    stubFetch({
+      [`${ISSUER}/.well-known/openid-configuration`]: DISCOVERY,
+      [DISCOVERY.userinfo_endpoint]: { sub: 'kc-1', given_name: 'Jane', family_name: 'Doe', picture: 'https://img/1.png' },
+    });
+    const provider = makeProvider();
+    const idToken = await fixture.sign({
+      iss: ISSUER, aud: 'kc-id', sub: 'kc-1', email: 'jane@example.com', email_verified: true, nonce: 'n1',
+    });
+
+    const user = await provider.getProfile('at', { idToken, nonce: 'n1' });
+
+    expect(user).toMatchObject({
+      id: 'kc-1',
+      email: 'jane@example.com',
+      name: 'Jane Doe',
+      avatar: 'https://img/1.png',
+      provider: 'keycloak',
+      emailVerified: true,
+    });
+  });
+
+  it('should reject userinfo for a different subject', async () => {
+    stubFetch({
+      [`${ISSUER}/.well-known/openid-configuration`]: DISCOVERY,
+      [DISCOVERY.userinfo_endpoint]: { sub: 'someone-else' },
+    });
+    const provider = makeProvider();
+    const idToken = await fixture.sign({ iss: ISSUER, aud: 'kc-id', sub: 'kc-1' });
+
+    await expect(provider.getProfile('at', { idToken })).rejects.toThrow('subject');
+  });
+});
+
+describe('AuthSnap with type: oidc', () => {
+  it('should register a generic OIDC provider under its config name', () => {
+    const auth = new AuthSnap({
+      providers: {
+        keycloak: { type: 'oidc', issuer: ISSUER, clientId: 'kc-id', clientSecret: 'kc-sec' },
+      },
+      session: { secret: 'test-secret-at-least-32-characters-long!' },
+    });
+
+    const provider = auth.getProvider('keycloak');
+    expect(provider).toBeInstanceOf(OIDCProvider);
+    expect(provider.name).toBe('keycloak');
+  });
+
+  it('should throw for an unknown provider type', () => {
+    expect(() => new AuthSnap({
+      providers: { x: { type: 'saml', clientId: 'id', clientSecret: 'sec' } },
+      session: { secret: 'test-secret-at-least-32-characters-long!' },
+    })).toThrow('unknown type "saml"');
+  });
+
+  it('should discover endpoints before building the login URL', async () => {
+    stubFetch({ [`${ISSUER}/.well-known/openid-configuration`]: DISCOVERY });
+    const auth = new AuthSnap({
+      providers: {
+        keycloak: { type: 'oidc', issuer: ISSUER, clientId: 'kc-id', clientSecret: 'kc-sec' },
+      },
+      session: { secret: 'test-secret-at-least-32-characters-long!' },
+    });
+
+    const { redirectURL } = await handleLogin(auth, 'keycloak', 'http://localhost/auth/keycloak/callback', {});
+    const url = new URL(redirectURL);
+    expect(`${url.origin}${url.pathname}`).toBe(DISCOVERY.authorization_endpoint);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('nonce')).toBeTruthy();
+  });
+});
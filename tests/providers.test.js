@@ -1,10 +1,11 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import { DiscordProvider } from '../src/providers/discord.js';
 import { TwitterProvider } from '../src/providers/twitter.js';
 import { AppleProvider } from '../src/providers/apple.js';
 import { MicrosoftProvider } from '../src/providers/microsoft.js';
 import { LinkedInProvider } from '../src/providers/linkedin.js';
 import { SpotifyProvider } from '../src/providers/spotify.js';
+import { createJWKSFixture } from './fixtures/jwks.js';
 
 describe('DiscordProvider', () => {
   const provider = new DiscordProvider({
@@ -47,16 +48,37 @@ describe('TwitterProvider', () => {
     clientSecret: 'twitter-secret',
   });
 
-  it('should generate an authorization URL with PKCE', () => {
+  it('should generate an authorization URL with an S256 PKCE challenge', () => {
     const url = provider.getAuthorizationURL(
       'http://localhost:3000/auth/twitter/callback',
-      'state456'
+      'state456',
+      { codeChallenge: 'challenge789' }
     );
     expect(url).toContain('twitter.com/i/oauth2/authorize');
     expect(url).toContain('client_id=twitter-id');
     expect(url).toContain('state=state456');
-    expect(url).toContain('code_challenge=state456');
-    expect(url).toContain('code_challenge_method=plain');
+    expect(url).toContain('code_challenge=challenge789');
+    expect(url).toContain('code_challenge_method=S256');
+    expect(url).not.toContain('code_challenge=state456');
+  });
+
+  it('should always use PKCE', () => {
+    const p = new TwitterProvider({ clientId: 'id', clientSecret: 'sec', pkce: false });
+    expect(p.pkce).toBe(true);
+  });
+
+  it('should send the code_verifier with Basic Auth on token exchange', async () => {
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify({ access_token: 'at' })));
+    vi.stubGlobal('fetch', fetchMock);
+    try {
+      const tokens = await provider.exchangeCode('code1', 'http://localhost/cb', 'verifier1');
+      const [, init] = fetchMock.mock.calls[0];
+      expect(init.headers.Authorization).toMatch(/^Basic /);
+      expect(new URLSearchParams(init.body).get('code_verifier')).toBe('verifier1');
+      expect(tokens.accessToken).toBe('at');
+    } finally {
+      vi.unstubAllGlobals();
+    }
   });
 
   it('should use default scopes', () => {
@@ -100,21 +122,20 @@ describe('AppleProvider', () => {
     expect(provider.endpoints.userinfo).toBeNull();
   });
 
-  it('should parse profile from id_token', async () => {
-    // Create a minimal JWT (header.payload.signature) with Apple claims
-    const payload = {
+  it('should parse profile from a verified id_token', async () => {
+    const fixture = await createJWKSFixture();
+    const apple = new AppleProvider({ clientId: 'com.example.auth', clientSecret: 'apple-secret', jwks: fixture.jwks });
+    const idToken = await fixture.sign({
+      iss: 'https://appleid.apple.com',
+      aud: 'com.example.auth',
       sub: 'apple-user-001',
       email: 'user@privaterelay.appleid.com',
       email_verified: true,
-    };
-    const header = btoa(JSON.stringify({ alg: 'none' }));
-    const body = btoa(JSON.stringify(payload));
-    const fakeIdToken = `${header}.${body}.`;
-
-    const profile = await provider.getProfile('fake-access-token', {
-      idToken: fakeIdToken,
+      nonce: 'nonce-1',
     });
 
+    const profile = await apple.getProfile('fake-access-token', { idToken, nonce: 'nonce-1' });
+
     expect(profile.id).toBe('apple-user-001');
     expect(profile.email).toBe('user@privaterelay.appleid.com');
     expect(profile.provider).toBe('apple');
@@ -123,17 +144,29 @@ describe('AppleProvider', () => {
   });
 
   it('should include user name from first auth', async () => {
-    const payload = { sub: '002', email: 'test@apple.com', email_verified: 'true' };
-    const fakeIdToken = `${btoa(JSON.stringify({ alg: 'none' }))}.${btoa(JSON.stringify(payload))}.`;
+    const fixture = await createJWKSFixture();
+    const apple = new AppleProvider({ clientId: 'com.example.auth', clientSecret: 'apple-secret', jwks: fixture.jwks });
+    const idToken = await fixture.sign({
+      iss: 'https://appleid.apple.com', aud: 'com.example.auth', sub: '002', email: 'test@apple.com', email_verified: 'true',
+    });
 
-    const profile = await provider.getProfile('token', {
-      idToken: fakeIdToken,
+    const profile = await apple.getProfile('token', {
+      idToken,
       user: { name: { firstName: 'John', lastName: 'Doe' } },
     });
 
     expect(profile.name).toBe('John Doe');
   });
 
+  it('should reject an unsigned id_token', async () => {
+    const payload = { iss: 'https://appleid.apple.com', aud: 'com.example.auth', sub: 'x' };
+    const fakeIdToken = `${btoa(JSON.stringify({ alg: 'none' }))}.${btoa(JSON.stringify(payload))}.`;
+    const fixture = await createJWKSFixture();
+    const apple = new AppleProvider({ clientId: 'com.example.auth', clientSecret: 'apple-secret', jwks: fixture.jwks });
+
+    await expect(apple.getProfile('token', { idToken: fakeIdToken })).rejects.toThrow('id_token verification failed');
+  });
+
   it('should throw without id_token', async () => {
     await expect(provider.getProfile('token')).rejects.toThrow('id_token');
   });
@@ -1,20 +1,43 @@
 import { describe, it, expect, vi } from 'vitest';
-import { AuthSnap } from '../src/index.js';
-import { handleLogin, handleCallback, handleCallbackError, handleLogout } from '../src/core/route-handler.js';
+import {
+  AuthSnap,
+  AccessDeniedError,
+  StateMismatchError,
+  TokenExchangeError,
+  ProfileFetchError,
+  ProviderError,
+  CsrfError,
+  MobileLoginError,
+  TokenStore,
+} from '../src/index.js';
+import {
+  handleLogin,
+  handleCallback,
+  handleCallbackError,
+  handleLogout,
+  handleLogoutRequest,
+  handleErrorPage,
+  handleTokenRequest,
+  loginOptions,
+} from '../src/core/route-handler.js';
+import { createCodeChallenge, generateCodeVerifier } from '../src/core/pkce.js';
+import { decodeFlowState, encodeFlowState, flowCookieName, FLOW_MAX_AGE } from '../src/core/flow-state.js';
+
+const SECRET = 'test-secret-at-least-32-characters-long!';
 
 const makeAuth = (overrides = {}) =>
   new AuthSnap({
     providers: {
       google: { clientId: 'gid', clientSecret: 'gsec' },
     },
-    session: { secret: 'test-secret-at-least-32-characters-long!' },
+    session: { secret: SECRET },
     ...overrides,
   });
 
 describe('handleLogin', () => {
-  it('should return a redirect URL, state, and secure flag', () => {
+  it('should return a redirect URL, state, and secure flag', async () => {
     const auth = makeAuth();
-    const result = handleLogin(auth, 'google', 'http://localhost/auth/google/callback', {});
+    const result = await handleLogin(auth, 'google', 'http://localhost/auth/google/callback', {});
 
     expect(result.redirectURL).toContain('accounts.google.com');
     expect(result.redirectURL).toContain('client_id=gid');
@@ -22,16 +45,444 @@ describe('handleLogin', () => {
     expect(typeof result.secure).toBe('boolean');
   });
 
-  it('should fire onBeforeAuth callback', () => {
+  it('should fire onBeforeAuth callback', async () => {
     const onBeforeAuth = vi.fn();
     const auth = makeAuth({ callbacks: { onBeforeAuth } });
     const req = { ip: '127.0.0.1' };
 
-    handleLogin(auth, 'google', 'http://localhost/callback', req);
+    await handleLogin(auth, 'google', 'http://localhost/callback', req);
     expect(onBeforeAuth).toHaveBeenCalledWith('google', req);
   });
 });
 
+describe('PKCE', () => {
+  const mockUser = { id: 'u1', email: 'a@b.com', name: 'A', avatar: null, provider: 'google', emailVerified: true, raw: {} };
+
+  it('should send an S256 challenge and keep the verifier in the flow cookie', async () => {
+    const auth = makeAuth();
+    const { redirectURL, state, flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+
+    const flow = decodeFlowState(flowCookie, SECRET);
+    expect(flow.state).toBe(state);
+    expect(flow.codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+
+    const params = new URL(redirectURL).searchParams;
+    expect(params.get('code_challenge')).toBe(createCodeChallenge(flow.codeVerifier));
+    expect(params.get('code_challenge_method')).toBe('S256');
+  });
+
+  it('should generate a different verifier for every login', async () => {
+    const auth = makeAuth();
+    const a = decodeFlowState((await handleLogin(auth, 'google', 'http://localhost/cb', {})).flowCookie, SECRET);
+    const b = decodeFlowState((await handleLogin(auth, 'google', 'http://localhost/cb', {})).flowCookie, SECRET);
+    expect(a.codeVerifier).not.toBe(b.codeVerifier);
+  });
+
+  it('should not send a challenge for providers without PKCE support', async () => {
+    const auth = makeAuth({
+      providers: { github: { clientId: 'id', clientSecret: 'sec' } },
+    });
+    const { redirectURL, flowCookie } = await handleLogin(auth, 'github', 'http://localhost/cb', {});
+    expect(redirectURL).not.toContain('code_challenge');
+    expect(decodeFlowState(flowCookie, SECRET).codeVerifier).toBeUndefined();
+  });
+
+  it('should pass the stored verifier to exchangeCode', async () => {
+    const auth = makeAuth();
+    const provider = auth.getProvider('google');
+    const exchange = vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    vi.spyOn(provider, 'getProfile').mockResolvedValue(mockUser);
+
+    const { state, flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    await handleCallback(auth, 'google', { code: 'code1', state }, flowCookie, 'http://localhost/cb');
+
+    expect(exchange).toHaveBeenCalledWith('code1', 'http://localhost/cb', decodeFlowState(flowCookie, SECRET).codeVerifier);
+  });
+
+  it('should reject a callback whose state does not match the flow cookie', async () => {
+    const auth = makeAuth();
+    const { flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    await expect(
+      handleCallback(auth, 'google', { code: 'code1', state: 'other-state' }, flowCookie, 'http://localhost/cb')
+    ).rejects.toThrow('Invalid state');
+  });
+});
+
+describe('Flow state', () => {
+  const mockUser = { id: 'u1', email: 'a@b.com', name: 'A', avatar: null, provider: 'google', emailVerified: true, raw: {} };
+
+  const makeMockedAuth = () => {
+    const auth = makeAuth({
+      providers: {
+        google: { clientId: 'gid', clientSecret: 'gsec' },
+        github: { clientId: 'id', clientSecret: 'sec' },
+      },
+    });
+    for (const name of ['google', 'github']) {
+      vi.spyOn(auth.getProvider(name), 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+      vi.spyOn(auth.getProvider(name), 'getProfile').mockResolvedValue(mockUser);
+    }
+    return auth;
+  };
+
+  it('should bind the flow to its provider and start time', async () => {
+    const auth = makeAuth();
+    const { state, flowCookie, flowCookieName: name } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+
+    const flow = decodeFlowState(flowCookie, SECRET);
+    expect(flow.provider).toBe('google');
+    expect(flow.createdAt).toBeLessThanOrEqual(Date.now());
+    expect(name).toBe(flowCookieName(state));
+    expect(name).toBe(`authsnap_state_${state.slice(0, 16)}`);
+  });
+
+  it('should give parallel logins separate cookies', async () => {
+    const auth = makeAuth();
+    const a = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    const b = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    expect(a.flowCookieName).not.toBe(b.flowCookieName);
+  });
+
+  it('should reject a tampered or foreign-signed flow state', async () => {
+    const auth = makeMockedAuth();
+    const { state, flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+
+    const [payload, signature] = flowCookie.split('.');
+    const edited = Buffer.from(JSON.stringify({
+      ...JSON.parse(Buffer.from(payload, 'base64url').toString()),
+      returnTo: '/elsewhere',
+    })).toString('base64url');
+
+    await expect(
+      handleCallback(auth, 'google', { code: 'c', state }, `${edited}.${signature}`, 'http://localhost/cb')
+    ).rejects.toThrow('Invalid state');
+
+    const foreign = encodeFlowState(decodeFlowState(flowCookie, SECRET), 'another-secret-that-is-32-characters!!');
+    await expect(
+      handleCallback(auth, 'google', { code: 'c', state }, foreign, 'http://localhost/cb')
+    ).rejects.toThrow('Invalid state');
+  });
+
+  it('should accept a flow started before the session secret was rotated', async () => {
+    const OLD = 'old-secret-at-least-32-characters-long!!';
+    const before = makeAuth({ session: { secrets: [{ kid: 'v1', secret: OLD }] } });
+    const { state, flowCookie } = await handleLogin(before, 'google', 'http://localhost/cb', {});
+
+    const after = makeAuth({ session: { secrets: [{ kid: 'v2', secret: SECRET }, { kid: 'v1', secret: OLD }] } });
+    vi.spyOn(after.getProvider('google'), 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    vi.spyOn(after.getProvider('google'), 'getProfile').mockResolvedValue(mockUser);
+    const { sessionCookie } = await handleCallback(after, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb');
+    expect(sessionCookie[0]).toMatch(/^authsnap_session=/);
+
+    // New flows are signed with the current key only
+    const { flowCookie: current } = await handleLogin(after, 'google', 'http://localhost/cb', {});
+    expect(decodeFlowState(current, SECRET)).not.toBeNull();
+    expect(decodeFlowState(current, OLD)).toBeNull();
+  });
+
+  it('should reject a flow started for another provider', async () => {
+    const auth = makeMockedAuth();
+    const { state, flowCookie } = await handleLogin(auth, 'github', 'http://localhost/cb', {});
+
+    await expect(
+      handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb')
+    ).rejects.toThrow('issued for provider "github"');
+  });
+
+  it('should reject an expired flow', async () => {
+    const auth = makeMockedAuth();
+    const flowCookie = encodeFlowState({
+      state: 'abc',
+      provider: 'google',
+      createdAt: Date.now() - FLOW_MAX_AGE - 1000,
+    }, SECRET);
+
+    await expect(
+      handleCallback(auth, 'google', { code: 'c', state: 'abc' }, flowCookie, 'http://localhost/cb')
+    ).rejects.toThrow('expired');
+  });
+});
+
+describe('flowCookieName', () => {
+  it('should strip non-hex characters from untrusted state values', () => {
+    expect(flowCookieName('ab;cd=ef\r\nXY')).toBe('authsnap_state_abcdef');
+    expect(flowCookieName(undefined)).toBe('authsnap_state_');
+  });
+});
+
+describe('returnTo', () => {
+  const mockUser = { id: 'u1', email: 'a@b.com', name: 'A', avatar: null, provider: 'google', emailVerified: true, raw: {} };
+
+  const login = async (auth, returnTo) => {
+    const provider = auth.getProvider('google');
+    vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    vi.spyOn(provider, 'getProfile').mockResolvedValue(mockUser);
+    return handleLogin(auth, 'google', 'http://localhost/cb', {}, { returnTo });
+  };
+
+  it('should redirect to returnTo after the callback', async () => {
+    const auth = makeAuth();
+    const { state, flowCookie } = await login(auth, '/dashboard?tab=2');
+
+    const result = await handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb');
+    expect(result.redirectURL).toBe('/dashboard?tab=2');
+  });
+
+  it('should let onSuccess override returnTo', async () => {
+    const auth = makeAuth({ callbacks: { onSuccess: () => ({ redirect: '/welcome' }) } });
+    const { state, flowCookie } = await login(auth, '/dashboard');
+
+    const result = await handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb');
+    expect(result.redirectURL).toBe('/welcome');
+  });
+
+  it('should drop an absolute returnTo that is not in allowedRedirects', async () => {
+    const auth = makeAuth();
+    const { state, flowCookie } = await login(auth, 'https://evil.com/phish');
+
+    expect(decodeFlowState(flowCookie, SECRET).returnTo).toBe('/');
+    const result = await handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb');
+    expect(result.redirectURL).toBe('/');
+  });
+
+  it('should allow an absolute returnTo matching allowedRedirects', async () => {
+    const auth = makeAuth({ allowedRedirects: ['https://app.example.com'] });
+    const { flowCookie } = await login(auth, 'https://app.example.com/settings');
+    expect(decodeFlowState(flowCookie, SECRET).returnTo).toBe('https://app.example.com/settings');
+  });
+
+  it.each([
+    '/\\evil.com',
+    '\\\\evil.com',
+    'HTTPS://evil.com',
+    'http:evil.com',
+    'https:evil.com',
+    '/\t/evil.com',
+    'javascript:alert(1)',
+  ])('should drop the open redirect %j', async (returnTo) => {
+    const { flowCookie } = await login(makeAuth(), returnTo);
+    expect(decodeFlowState(flowCookie, SECRET).returnTo).toBe('/');
+  });
+
+  it('should drop a repeated returnTo param instead of throwing', async () => {
+    const { flowCookie } = await login(makeAuth(), ['/a', '/b']);
+    expect(decodeFlowState(flowCookie, SECRET).returnTo).toBe('/');
+  });
+});
+
+describe('Session payload', () => {
+  const profile = {
+    id: 'u1', email: 'a@b.com', name: 'A', avatar: null, provider: 'google', emailVerified: true,
+    raw: { locale: 'en', picture_large: 'x'.repeat(3000) },
+  };
+
+  const signIn = async (auth) => {
+    const provider = auth.getProvider('google');
+    vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    vi.spyOn(provider, 'getProfile').mockResolvedValue(profile);
+    const { state, flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    const { sessionCookie } = await handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb');
+    const cookie = [].concat(sessionCookie).map((c) => c.split(';')[0]).join('; ');
+    return auth.sessionManager.verifyToken(auth.sessionManager.getTokenFromRequest({ headers: { cookie } }));
+  };
+
+  it('should leave the raw provider profile out of the session by default', async () => {
+    const user = await signIn(makeAuth());
+    expect(user.email).toBe('a@b.com');
+    expect(user).not.toHaveProperty('raw');
+  });
+
+  it('should store what callbacks.session returns, keeping id and provider', async () => {
+    const session = vi.fn(({ user }) => ({ email: user.email, locale: user.raw.locale }));
+    const user = await signIn(makeAuth({ callbacks: { session } }));
+
+    expect(session).toHaveBeenCalledWith({ user: profile, tokens: { accessToken: 'at' }, provider: 'google' });
+    expect(user).toEqual({ id: 'u1', provider: 'google', email: 'a@b.com', locale: 'en' });
+  });
+
+  it('should round-trip claims too large for one cookie', async () => {
+    const user = await signIn(makeAuth({ callbacks: { session: ({ user }) => user } }));
+    expect(user.raw.picture_large).toHaveLength(3000);
+  });
+
+  it('should reject a callbacks.session that returns nothing', async () => {
+    const auth = makeAuth({ callbacks: { session: () => undefined } });
+    await expect(signIn(auth)).rejects.toThrow('callbacks.session must return an object');
+  });
+});
+
+describe('Mobile login', () => {
+  const APP_URI = 'com.example.app:/oauth';
+  const mockUser = { id: 'u1', email: 'a@b.com', name: 'A', avatar: null, provider: 'google', emailVerified: true, raw: {} };
+  const makeMobileAuth = () => makeAuth({ mobile: { redirectURIs: [APP_URI] } });
+
+  const signIn = async (auth, { verifier = generateCodeVerifier(), profile = mockUser } = {}) => {
+    const provider = auth.getProvider('google');
+    vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    vi.spyOn(provider, 'getProfile').mockImplementation(async () => {
+      if (profile instanceof Error) throw profile;
+      return profile;
+    });
+    const { state, flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {}, loginOptions({
+      redirect_uri: APP_URI,
+      code_challenge: createCodeChallenge(verifier),
+      code_challenge_method: 'S256',
+      state: 'app-state',
+    }));
+    const result = await handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb');
+    return { ...result, verifier };
+  };
+
+  it('should redirect to the app with a one-time code instead of setting a cookie', async () => {
+    const { redirectURL, sessionCookie } = await signIn(makeMobileAuth());
+    const url = new URL(redirectURL);
+
+    expect(sessionCookie).toBeNull();
+    expect(`${url.protocol}${url.pathname}`).toBe(APP_URI);
+    expect(url.searchParams.get('code')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(url.searchParams.get('state')).toBe('app-state');
+  });
+
+  it('should exchange the code and PKCE verifier for a bearer session, once', async () => {
+    const auth = makeMobileAuth();
+    const { redirectURL, verifier } = await signIn(auth);
+    const body = { code: new URL(redirectURL).searchParams.get('code'), code_verifier: verifier, redirect_uri: APP_URI };
+
+    const result = await handleTokenRequest(auth, null, body);
+    expect(result.status).toBe(200);
+    expect(result.json.tokenType).toBe('Bearer');
+    expect((await auth.sessionManager.verifyToken(result.json.token)).id).toBe('u1');
+
+    const replay = await handleTokenRequest(auth, null, body);
+    expect(replay.status).toBe(400);
+    expect(replay.json.code).toBe('INVALID_GRANT');
+  });
+
+  it('should reject a wrong verifier or redirect URI', async () => {
+    const auth = makeMobileAuth();
+    const first = await signIn(auth);
+    const wrongVerifier = await handleTokenRequest(auth, null, {
+      code: new URL(first.redirectURL).searchParams.get('code'),
+      code_verifier: generateCodeVerifier(),
+      redirect_uri: APP_URI,
+    });
+    expect(wrongVerifier.json.code).toBe('INVALID_GRANT');
+
+    const second = await signIn(auth);
+    const wrongURI = await handleTokenRequest(auth, null, {
+      code: new URL(second.redirectURL).searchParams.get('code'),
+      code_verifier: second.verifier,
+      redirect_uri: 'com.evil.app:/oauth',
+    });
+    expect(wrongURI.json.code).toBe('INVALID_GRANT');
+  });
+
+  it('should expire codes after 60 seconds', async () => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+    try {
+      const auth = makeMobileAuth();
+      const { redirectURL, verifier } = await signIn(auth);
+      vi.setSystemTime(new Date('2026-01-01T00:01:01Z'));
+
+      const result = await handleTokenRequest(auth, null, {
+        code: new URL(redirectURL).searchParams.get('code'), code_verifier: verifier, redirect_uri: APP_URI,
+      });
+      expect(result.json.code).toBe('INVALID_GRANT');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should refuse redirect URIs that are not allowlisted, or a missing challenge', async () => {
+    const auth = makeMobileAuth();
+    const login = (query) => handleLogin(auth, 'google', 'http://localhost/cb', {}, loginOptions(query));
+    const challenge = createCodeChallenge(generateCodeVerifier());
+
+    await expect(login({ redirect_uri: 'com.evil.app:/oauth', code_challenge: challenge, code_challenge_method: 'S256' }))
+      .rejects.toBeInstanceOf(MobileLoginError);
+    await expect(login({ redirect_uri: APP_URI, code_challenge: challenge, code_challenge_method: 'plain' }))
+      .rejects.toThrow('S256 code_challenge');
+    await expect(login({ redirect_uri: APP_URI })).rejects.toThrow('S256 code_challenge');
+
+    // No mobile config at all
+    await expect(handleLogin(makeAuth(), 'google', 'http://localhost/cb', {}, loginOptions({ redirect_uri: APP_URI })))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+
+  it('should send callback errors back to the app', async () => {
+    const auth = makeMobileAuth();
+    const error = await signIn(auth, { profile: new Error('network down') }).catch((e) => e);
+
+    const { redirectURL } = handleCallbackError(auth, 'google', error);
+    expect(redirectURL).toBe(`${APP_URI}?error=PROFILE_FETCH_FAILED&state=app-state`);
+  });
+});
+
+describe('Typed callback errors', () => {
+  it('should throw AccessDeniedError when the user cancels consent', async () => {
+    const auth = makeAuth();
+    const { state, flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+
+    const error = await handleCallback(auth, 'google', {
+      error: 'access_denied',
+      error_description: 'The user denied the request',
+      state,
+    }, flowCookie, 'http://localhost/cb').catch((e) => e);
+
+    expect(error).toBeInstanceOf(AccessDeniedError);
+    expect(error.code).toBe('ACCESS_DENIED');
+    expect(error.description).toBe('The user denied the request');
+  });
+
+  it('should throw a ProviderError for other OAuth error responses', async () => {
+    const auth = makeAuth();
+    const error = await handleCallback(auth, 'google', { error: 'server_error' }, undefined, 'http://localhost/cb')
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.message).toContain('server_error');
+  });
+
+  it('should throw StateMismatchError for a missing flow', async () => {
+    const auth = makeAuth();
+    const error = await handleCallback(auth, 'google', { code: 'c', state: 'abc' }, undefined, 'http://localhost/cb')
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(StateMismatchError);
+    expect(error.code).toBe('STATE_MISMATCH');
+  });
+
+  it('should wrap token exchange failures in TokenExchangeError', async () => {
+    const auth = makeAuth();
+    const cause = new ProviderError('Token exchange failed (400): invalid_grant', 'google');
+    vi.spyOn(auth.getProvider('google'), 'exchangeCode').mockRejectedValue(cause);
+
+    const { state, flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    const error = await handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb')
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(TokenExchangeError);
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.code).toBe('TOKEN_EXCHANGE_FAILED');
+    expect(error.cause).toBe(cause);
+  });
+
+  it('should wrap profile failures in ProfileFetchError', async () => {
+    const auth = makeAuth();
+    const provider = auth.getProvider('google');
+    vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    vi.spyOn(provider, 'getProfile').mockRejectedValue(new Error('network down'));
+
+    const { state, flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    const error = await handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb')
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(ProfileFetchError);
+    expect(error.code).toBe('PROFILE_FETCH_FAILED');
+    expect(error.message).toBe('network down');
+  });
+});
+
 describe('handleCallbackError', () => {
   it('should return error redirect from onError callback', () => {
     const onError = vi.fn(() => ({ redirect: '/login?error=true' }));
@@ -47,14 +498,188 @@ describe('handleCallbackError', () => {
     const result = handleCallbackError(auth, 'google', new Error('fail'));
     expect(result.redirectURL).toBe('/auth/error');
   });
+
+  it('should add the error code to the redirect', () => {
+    const auth = makeAuth();
+    const result = handleCallbackError(auth, 'google', new AccessDeniedError('denied', 'google'));
+    expect(result.redirectURL).toBe('/auth/error?error=ACCESS_DENIED');
+  });
+
+  it('should add the error code to an onError redirect with its own query', () => {
+    const auth = makeAuth({
+      callbacks: { onError: () => ({ redirect: 'https://myapp.com/login?from=oauth' }) },
+      allowedRedirects: ['https://myapp.com'],
+    });
+    const result = handleCallbackError(auth, 'google', new StateMismatchError('bad state'));
+    expect(result.redirectURL).toBe('https://myapp.com/login?from=oauth&error=STATE_MISMATCH');
+  });
+
+  it('should not override an error param set by onError', () => {
+    const auth = makeAuth({ callbacks: { onError: () => ({ redirect: '/login?error=true' }) } });
+    const result = handleCallbackError(auth, 'google', new AccessDeniedError('denied', 'google'));
+    expect(result.redirectURL).toBe('/login?error=true');
+  });
+});
+
+describe('handleErrorPage', () => {
+  it('should return the JSON body when no errorPage is configured', async () => {
+    const page = await handleErrorPage(makeAuth(), { headers: { accept: 'text/html' } });
+    expect(page).toEqual({ status: 401, json: { error: 'Authentication failed' } });
+  });
+
+  it('should include a well-formed error code from the query', async () => {
+    const auth = makeAuth();
+    expect((await handleErrorPage(auth, { code: 'ACCESS_DENIED' })).json.code).toBe('ACCESS_DENIED');
+    expect((await handleErrorPage(auth, { code: '<script>' })).json.code).toBeUndefined();
+  });
+
+  it('should render errorPage for browsers and JSON for API clients', async () => {
+    const errorPage = vi.fn(async ({ code }) => `<p>${code}</p>`);
+    const auth = makeAuth({ errorPage });
+
+    const html = await handleErrorPage(auth, { code: 'STATE_MISMATCH', headers: { accept: 'text/html' } });
+    expect(html).toEqual({ status: 401, html: '<p>STATE_MISMATCH</p>' });
+
+    const json = await handleErrorPage(auth, { code: 'STATE_MISMATCH', headers: { accept: 'application/json' } });
+    expect(json.json).toEqual({ error: 'Authentication failed', code: 'STATE_MISMATCH' });
+  });
+
+  it('should fall back to the JSON body when errorPage throws', async () => {
+    const auth = makeAuth({ errorPage: () => { throw new Error('template bug'); } });
+    const onError = vi.fn();
+    auth.on('error', onError);
+
+    const page = await handleErrorPage(auth, { code: 'STATE_MISMATCH', headers: { accept: 'text/html' } });
+    expect(page).toEqual({ status: 401, json: { error: 'Authentication failed', code: 'STATE_MISMATCH' } });
+    expect(onError).toHaveBeenCalledWith({ error: expect.objectContaining({ message: 'template bug' }), provider: null });
+  });
+
+  it('should reject a non-function errorPage', () => {
+    expect(() => makeAuth({ errorPage: '<h1>oops</h1>' })).toThrow('errorPage must be a function');
+  });
 });
 
 describe('handleLogout', () => {
   it('should return a clear-cookie header', () => {
     const auth = makeAuth();
     const result = handleLogout(auth);
-    expect(result.clearCookie).toContain('authsnap_session=');
-    expect(result.clearCookie).toContain('Max-Age=0');
+    expect(result.clearCookie[0]).toContain('authsnap_session=');
+    expect(result.clearCookie[0]).toContain('Max-Age=0');
+  });
+});
+
+describe('handleLogoutRequest', () => {
+  const user = { id: 'u1', email: 'a@b.com', name: 'A', avatar: null, provider: 'microsoft', emailVerified: true };
+
+  const makeLogoutAuth = (providerOverrides = {}) =>
+    makeAuth({
+      providers: {
+        microsoft: { clientId: 'ms-id', clientSecret: 'ms-sec', tenant: 'contoso.onmicrosoft.com', ...providerOverrides },
+        github: { clientId: 'gh-id', clientSecret: 'gh-sec' },
+      },
+    });
+
+  const sessionFor = async (auth, sessionUser = user) => {
+    const sessionToken = await auth.sessionManager.createToken(sessionUser);
+    const csrfToken = auth.csrfToken({ headers: { cookie: `authsnap_session=${sessionToken}` } });
+    return { sessionToken, csrfToken };
+  };
+
+  it('should reject a logout without the session CSRF token', async () => {
+    const auth = makeLogoutAuth();
+    const { sessionToken } = await sessionFor(auth);
+
+    await expect(
+      handleLogoutRequest(auth, { sessionToken, csrfToken: 'forged', baseURL: 'http://localhost' })
+    ).rejects.toThrow(CsrfError);
+  });
+
+  it.each([
+    ['jwt', {}],
+    ['encrypted jwt', { encrypt: true }],
+    ['stored', { strategy: 'cookie' }],
+  ])('should accept a CSRF token rendered before a rolling renewal (%s)', async (_, sessionOverrides) => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const auth = makeAuth({ session: { secret: SECRET, rolling: true, updateAge: 60, ...sessionOverrides } });
+    const { sessionToken, csrfToken } = await sessionFor(auth);
+
+    vi.setSystemTime(new Date('2026-01-01T00:02:00Z'));
+    const { renewedToken } = await auth.sessionManager.validateSession(sessionToken);
+    expect(renewedToken).toBeTruthy();
+    if (!sessionOverrides.strategy) expect(renewedToken).not.toBe(sessionToken);
+
+    const { redirectURL } = await handleLogoutRequest(auth, { sessionToken: renewedToken, csrfToken, baseURL: 'http://localhost' });
+    expect(redirectURL).toBe('/');
+    vi.useRealTimers();
+  });
+
+  it('should accept a CSRF token rendered before the session secret was rotated', async () => {
+    const OLD = 'old-secret-at-least-32-characters-long!!';
+    const before = makeAuth({ session: { secrets: [{ kid: 'v1', secret: OLD }] } });
+    const { sessionToken, csrfToken } = await sessionFor(before);
+
+    const after = makeAuth({ session: { secrets: [{ kid: 'v2', secret: SECRET }, { kid: 'v1', secret: OLD }] } });
+    const { renewedToken } = await after.sessionManager.validateSession(sessionToken);
+    expect(renewedToken).not.toBe(sessionToken);
+
+    const { redirectURL } = await handleLogoutRequest(after, { sessionToken: renewedToken, csrfToken, baseURL: 'http://localhost' });
+    expect(redirectURL).toBe('/');
+  });
+
+  it('should not require a CSRF token without a valid session', async () => {
+    const auth = makeLogoutAuth();
+    const result = await handleLogoutRequest(auth, { sessionToken: 'expired', baseURL: 'http://localhost' });
+    expect(result.redirectURL).toBe('/');
+    expect(result.clearCookie[0]).toContain('Max-Age=0');
+  });
+
+  it('should redirect to a validated returnTo for providers without end-session', async () => {
+    const auth = makeLogoutAuth();
+    const { sessionToken, csrfToken } = await sessionFor(auth, { ...user, provider: 'github' });
+
+    const ok = await handleLogoutRequest(auth, { sessionToken, csrfToken, returnTo: '/bye', baseURL: 'http://localhost' });
+    expect(ok.redirectURL).toBe('/bye');
+
+    const evil = await handleLogoutRequest(auth, { sessionToken, csrfToken, returnTo: 'https://evil.com', baseURL: 'http://localhost' });
+    expect(evil.redirectURL).toBe('/');
+  });
+
+  it('should only log out locally by default', async () => {
+    const auth = makeLogoutAuth();
+    const { sessionToken, csrfToken } = await sessionFor(auth);
+
+    const { redirectURL } = await handleLogoutRequest(auth, { sessionToken, csrfToken, returnTo: '/bye', baseURL: 'http://localhost' });
+    expect(redirectURL).toBe('/bye');
+  });
+
+  it('should redirect through the end-session endpoint with id_token_hint', async () => {
+    const auth = makeLogoutAuth({ singleLogout: true });
+    await auth.tokenStore.set(TokenStore.key('microsoft', 'u1'), { accessToken: 'at', idToken: 'the-id-token' });
+    const { sessionToken, csrfToken } = await sessionFor(auth);
+    const listener = vi.fn();
+    auth.on('logout', listener);
+
+    const { redirectURL } = await handleLogoutRequest(auth, {
+      sessionToken, csrfToken, returnTo: '/bye', baseURL: 'https://app.example.com',
+    });
+
+    const url = new URL(redirectURL);
+    expect(`${url.origin}${url.pathname}`).toBe('https://login.microsoftonline.com/contoso.onmicrosoft.com/oauth2/v2.0/logout');
+    expect(url.searchParams.get('id_token_hint')).toBe('the-id-token');
+    expect(url.searchParams.get('client_id')).toBe('ms-id');
+    expect(url.searchParams.get('post_logout_redirect_uri')).toBe('https://app.example.com/bye');
+    expect(listener).toHaveBeenCalledWith({ user: expect.objectContaining({ id: 'u1' }) });
+  });
+
+  it('should use postLogoutRedirectURL and respect singleLogout: false', async () => {
+    const registered = makeLogoutAuth({ singleLogout: true, postLogoutRedirectURL: 'https://app.example.com/logged-out' });
+    const a = await sessionFor(registered);
+    const { redirectURL } = await handleLogoutRequest(registered, { ...a, baseURL: 'http://localhost' });
+    expect(new URL(redirectURL).searchParams.get('post_logout_redirect_uri')).toBe('https://app.example.com/logged-out');
+
+    const local = makeLogoutAuth({ singleLogout: false });
+    const b = await sessionFor(local);
+    expect((await handleLogoutRequest(local, { ...b, baseURL: 'http://localhost' })).redirectURL).toBe('/');
   });
 });
 
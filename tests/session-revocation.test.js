@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as jose from 'jose';
+import { AuthSnap, RevocationStore, SessionManager, SessionError } from '../src/index.js';
+import { handleLogoutRequest } from '../src/core/route-handler.js';
+
+const SECRET = 'test-secret-at-least-32-characters-long!';
+const mockUser = { id: 'u1', email: 'a@b.com', name: 'A', avatar: null, provider: 'google', emailVerified: true, raw: {} };
+
+const makeAuth = (session = {}) =>
+  new AuthSnap({
+    providers: { google: { clientId: 'gid', clientSecret: 'gsec' } },
+    session: { secret: SECRET, secure: false, ...session },
+  });
+
+const protectedRequest = async (auth, token) => {
+  const req = { headers: { cookie: `authsnap_session=${token}` } };
+  const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+  const next = vi.fn();
+  await auth.protect()(req, res, next);
+  return { req, res, passed: next.mock.calls.length === 1 };
+};
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('RevocationStore', () => {
+  it('should remember revoked IDs until their TTL', async () => {
+    vi.useFakeTimers();
+    const store = new RevocationStore();
+    await store.revoke('j1', 1000);
+    expect(await store.isRevoked('j1')).toBe(true);
+    expect(await store.isRevoked('j2')).toBe(false);
+
+    vi.advanceTimersByTime(1001);
+    expect(await store.isRevoked('j1')).toBe(false);
+  });
+
+  it('should count session generations per user', async () => {
+    const store = new RevocationStore();
+    expect(await store.getGeneration('google:u1')).toBe(0);
+    expect(await store.incrementGeneration('google:u1')).toBe(1);
+    expect(await store.incrementGeneration('google:u1')).toBe(2);
+    expect(await store.getGeneration('google:u2')).toBe(0);
+  });
+});
+
+describe('Session revocation', () => {
+  it('should issue JWTs with a jti and the user session generation', async () => {
+    const manager = new SessionManager({ secret: SECRET });
+    await manager.revokeAllSessions('google', 'u1');
+
+    const claims = jose.decodeJwt(await manager.createToken(mockUser));
+    expect(claims.jti).toMatch(/^[0-9a-f-]{36}$/);
+    expect(claims.gen).toBe(1);
+  });
+
+  it('should reject a session after revokeSession(jti)', async () => {
+    const auth = makeAuth();
+    const token = await auth.sessionManager.createToken(mockUser);
+    const listener = vi.fn();
+    auth.on('session:revoke', listener);
+
+    const { req, passed } = await protectedRequest(auth, token);
+    expect(passed).toBe(true);
+
+    await auth.revokeSession(req.authSession.jti);
+    expect(listener).toHaveBeenCalledWith({ jti: req.authSession.jti });
+
+    const after = await protectedRequest(auth, token);
+    expect(after.passed).toBe(false);
+    expect(after.res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should revoke every existing session of a user, but not later ones', async () => {
+    const auth = makeAuth();
+    const laptop = await auth.sessionManager.createToken(mockUser);
+    const phone = await auth.sessionManager.createToken(mockUser);
+    const other = await auth.sessionManager.createToken({ ...mockUser, id: 'u2' });
+
+    await auth.revokeAllSessions('google', 'u1');
+
+    expect((await protectedRequest(auth, laptop)).passed).toBe(false);
+    expect((await protectedRequest(auth, phone)).passed).toBe(false);
+    expect((await protectedRequest(auth, other)).passed).toBe(true);
+
+    const fresh = await auth.sessionManager.createToken(mockUser);
+    expect((await protectedRequest(auth, fresh)).passed).toBe(true);
+  });
+
+  it("should not revoke another provider's user with the same ID", async () => {
+    const auth = makeAuth();
+    const github = await auth.sessionManager.createToken({ ...mockUser, id: '42', provider: 'github' });
+    const discord = await auth.sessionManager.createToken({ ...mockUser, id: '42', provider: 'discord' });
+    const listener = vi.fn();
+    auth.on('session:revoke', listener);
+
+    await auth.revokeAllSessions('github', '42');
+    expect(listener).toHaveBeenCalledWith({ provider: 'github', userId: '42' });
+    expect((await protectedRequest(auth, github)).passed).toBe(false);
+    expect((await protectedRequest(auth, discord)).passed).toBe(true);
+  });
+
+  it('should keep the jti across rolling renewals so revocation still applies', async () => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const auth = makeAuth({ rolling: true, idleTimeout: 1800, updateAge: 600 });
+    const token = await auth.sessionManager.createToken(mockUser);
+
+    vi.advanceTimersByTime(700_000);
+    const { renewedToken, session } = await auth.sessionManager.validateSession(token);
+    expect(jose.decodeJwt(renewedToken).jti).toBe(session.jti);
+
+    await auth.revokeSession(session.jti);
+    await expect(auth.sessionManager.verifyToken(renewedToken)).rejects.toThrow(SessionError);
+  });
+
+  it('should denylist the JWT on POST logout', async () => {
+    const auth = makeAuth();
+    const sessionToken = await auth.sessionManager.createToken(mockUser);
+    const csrfToken = auth.csrfToken({ headers: { cookie: `authsnap_session=${sessionToken}` } });
+
+    await handleLogoutRequest(auth, { sessionToken, csrfToken, baseURL: 'http://localhost' });
+    await expect(auth.sessionManager.verifyToken(sessionToken)).rejects.toThrow('revoked');
+  });
+
+  it("should apply to the 'cookie' strategy too", async () => {
+    const auth = makeAuth({ strategy: 'cookie' });
+    const sessionId = await auth.sessionManager.createToken(mockUser);
+
+    await auth.revokeAllSessions('google', 'u1');
+    await expect(auth.sessionManager.verifyToken(sessionId)).rejects.toThrow(SessionError);
+  });
+
+  it('should use a custom revocation store', async () => {
+    const revocationStore = {
+      revoke: vi.fn(),
+      isRevoked: vi.fn(async () => true),
+      getGeneration: vi.fn(async () => 0),
+      incrementGeneration: vi.fn(),
+    };
+    const auth = new AuthSnap({
+      providers: { google: { clientId: 'gid', clientSecret: 'gsec' } },
+      session: { secret: SECRET },
+      revocationStore,
+    });
+
+    const token = await auth.sessionManager.createToken(mockUser);
+    await expect(auth.sessionManager.verifyToken(token)).rejects.toThrow('revoked');
+    expect(revocationStore.isRevoked).toHaveBeenCalledWith(jose.decodeJwt(token).jti);
+  });
+});
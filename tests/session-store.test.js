@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { AuthSnap, SessionStore, SessionManager, SessionError } from '../src/index.js';
+import { createProtectMiddleware } from '../src/middleware/protect.js';
+import { handleLogoutRequest } from '../src/core/route-handler.js';
+
+const SECRET = 'test-secret-at-least-32-characters-long!';
+const mockUser = { id: 'u1', email: 'a@b.com', name: 'A', avatar: null, provider: 'google', emailVerified: true, raw: {} };
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('SessionStore', () => {
+  it('should store and retrieve sessions', async () => {
+    const store = new SessionStore();
+    await store.set('sid', { user: mockUser }, 60_000);
+    expect(await store.get('sid')).toEqual({ user: mockUser });
+    expect(store.size).toBe(1);
+  });
+
+  it('should expire sessions after their TTL', async () => {
+    vi.useFakeTimers();
+    const store = new SessionStore();
+    await store.set('sid', {}, 1000);
+
+    vi.advanceTimersByTime(1001);
+    expect(await store.get('sid')).toBeNull();
+  });
+
+  it('should garbage-collect expired sessions', async () => {
+    vi.useFakeTimers();
+    const store = new SessionStore();
+    await store.set('short', {}, 1000);
+    await store.set('long', {}, 3_600_000);
+
+    vi.advanceTimersByTime(60_000);
+    expect(store.size).toBe(1);
+  });
+
+  it('should report whether delete removed a session', async () => {
+    const store = new SessionStore();
+    await store.set('sid', {}, 60_000);
+    expect(await store.delete('sid')).toBe(true);
+    expect(await store.delete('sid')).toBe(false);
+  });
+});
+
+describe("Session strategy 'cookie'", () => {
+  const makeManager = (overrides = {}) =>
+    new SessionManager({ secret: SECRET, strategy: 'cookie', secure: false, ...overrides });
+
+  it('should put an opaque ID in the cookie and the claims in the store', async () => {
+    const manager = makeManager();
+    const sessionId = await manager.createToken(mockUser, { roles: ['admin'] });
+
+    expect(sessionId).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(manager.buildCookieHeader(sessionId)[0]).toContain(`authsnap_session=${sessionId}`);
+
+    const stored = await manager.store.get(sessionId);
+    expect(stored.user.id).toBe('u1');
+
+    const user = await manager.verifyToken(sessionId);
+    expect(user.id).toBe('u1');
+    expect(user.roles).toEqual(['admin']);
+  });
+
+  it('should reject unknown and destroyed sessions', async () => {
+    const manager = makeManager();
+    await expect(manager.verifyToken('made-up')).rejects.toThrow(SessionError);
+
+    const sessionId = await manager.createToken(mockUser);
+    expect(await manager.destroySession(sessionId)).toBe(true);
+    await expect(manager.verifyToken(sessionId)).rejects.toThrow(SessionError);
+  });
+
+  it('should expire sessions after the idle timeout', async () => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const manager = makeManager({ idleTimeout: 600 });
+    const sessionId = await manager.createToken(mockUser);
+
+    vi.advanceTimersByTime(601_000);
+    await expect(manager.verifyToken(sessionId)).rejects.toThrow(SessionError);
+  });
+
+  it('should touch rolling sessions on access and keep their ID', async () => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const manager = makeManager({ rolling: true, idleTimeout: 600, updateAge: 60 });
+    const sessionId = await manager.createToken(mockUser);
+
+    vi.advanceTimersByTime(500_000);
+    const { renewedToken, renewedCookie } = await manager.validateSession(sessionId);
+    expect(renewedToken).toBe(sessionId);
+    expect(renewedCookie[0]).toContain('Max-Age=600');
+
+    // Past the original expiry, but the touch moved it out
+    vi.advanceTimersByTime(500_000);
+    expect((await manager.verifyToken(sessionId)).id).toBe('u1');
+  });
+
+  it('should use a custom store', async () => {
+    const backing = new Map();
+    const store = {
+      get: vi.fn(async (id) => backing.get(id) || null),
+      set: vi.fn(async (id, value) => { backing.set(id, value); }),
+      delete: vi.fn(async (id) => backing.delete(id)),
+    };
+    const manager = makeManager({ store, maxAge: 3600 });
+
+    const sessionId = await manager.createToken(mockUser);
+    expect(store.set).toHaveBeenCalledWith(sessionId, expect.objectContaining({ user: mockUser }), 3_600_000);
+    expect((await manager.verifyToken(sessionId)).id).toBe('u1');
+  });
+
+  it('should work with protect()', async () => {
+    const manager = makeManager();
+    const sessionId = await manager.createToken(mockUser);
+    const protect = createProtectMiddleware(manager);
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+
+    const req = { headers: { cookie: `authsnap_session=${sessionId}` } };
+    const next = vi.fn();
+    await protect(req, res, next);
+    expect(next).toHaveBeenCalledOnce();
+    expect(req.user.id).toBe('u1');
+
+    await manager.destroySession(sessionId);
+    const revoked = vi.fn();
+    await protect({ headers: { cookie: `authsnap_session=${sessionId}` } }, res, revoked);
+    expect(revoked).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should delete the stored session on POST logout', async () => {
+    const auth = new AuthSnap({
+      providers: { google: { clientId: 'gid', clientSecret: 'gsec' } },
+      session: { secret: SECRET, strategy: 'cookie' },
+    });
+    const sessionToken = await auth.sessionManager.createToken(mockUser);
+    const csrfToken = auth.csrfToken({ headers: { cookie: `authsnap_session=${sessionToken}` } });
+
+    await handleLogoutRequest(auth, { sessionToken, csrfToken, baseURL: 'http://localhost' });
+    expect(await auth.sessionManager.store.get(sessionToken)).toBeNull();
+  });
+});
@@ -1,4 +1,6 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { generateKeyPairSync, createPublicKey } from 'node:crypto';
+import * as jose from 'jose';
 import { SessionManager } from '../src/session/session-manager.js';
 import { SessionError } from '../src/core/errors.js';
 
@@ -56,7 +58,7 @@ describe('SessionManager', () => {
 
   describe('buildCookieHeader', () => {
     it('should build a proper Set-Cookie string', () => {
-      const header = manager.buildCookieHeader('jwt-token-here');
+      const [header, ...chunks] = manager.buildCookieHeader('jwt-token-here');
       expect(header).toContain('test_session=jwt-token-here');
       expect(header).toContain('Max-Age=3600');
       expect(header).toContain('HttpOnly');
@@ -64,6 +66,8 @@ describe('SessionManager', () => {
       expect(header).toContain('Path=/');
       // secure is false for this instance
       expect(header).not.toContain('Secure');
+      // Leftover chunks of an earlier, larger session are expired
+      expect(chunks).toEqual([0, 1, 2].map((i) => `test_session.${i}=; Max-Age=0; Path=/; HttpOnly; SameSite=Lax`));
     });
 
     it('should include Secure flag when configured', () => {
@@ -71,16 +75,35 @@ describe('SessionManager', () => {
         secret: 'test-secret-at-least-32-characters-long!',
         secure: true,
       });
-      const header = secureManager.buildCookieHeader('token');
+      const [header] = secureManager.buildCookieHeader('token');
       expect(header).toContain('Secure');
     });
+
+    it('should split a token too large for one cookie into chunks', () => {
+      const token = 'a'.repeat(4000) + 'b'.repeat(1000);
+      const headers = manager.buildCookieHeader(token);
+
+      expect(headers).toHaveLength(4);
+      expect(headers[0]).toMatch(/^test_session=chunks:2; Max-Age=3600; Path=\/; HttpOnly/);
+      expect(headers[1]).toContain(`test_session.0=${'a'.repeat(4000)};`);
+      expect(headers[2]).toContain(`test_session.1=${'b'.repeat(1000)};`);
+      expect(headers[3]).toBe('test_session.2=; Max-Age=0; Path=/; HttpOnly; SameSite=Lax');
+    });
+
+    it('should refuse tokens too large for 3 chunks', () => {
+      expect(manager.buildCookieHeader('a'.repeat(12_000))).toHaveLength(4);
+      expect(() => manager.buildCookieHeader('a'.repeat(12_001))).toThrow(SessionError);
+    });
   });
 
   describe('buildClearCookieHeader', () => {
     it('should build a cookie-clearing header', () => {
-      const header = manager.buildClearCookieHeader();
-      expect(header).toContain('test_session=');
-      expect(header).toContain('Max-Age=0');
+      expect(manager.buildClearCookieHeader()).toEqual([
+        'test_session=; Max-Age=0; Path=/; HttpOnly; SameSite=Lax',
+        'test_session.0=; Max-Age=0; Path=/; HttpOnly; SameSite=Lax',
+        'test_session.1=; Max-Age=0; Path=/; HttpOnly; SameSite=Lax',
+        'test_session.2=; Max-Age=0; Path=/; HttpOnly; SameSite=Lax',
+      ]);
     });
   });
 
@@ -106,5 +129,315 @@ describe('SessionManager', () => {
       const req = { headers: { cookie: 'other=value' } };
       expect(manager.getTokenFromRequest(req)).toBeNull();
     });
+
+    it('should reassemble a chunked token', () => {
+      const token = 'x'.repeat(9000);
+      const cookie = manager.buildCookieHeader(token).map((h) => h.split(';')[0]).join('; ');
+      expect(manager.getTokenFromRequest({ headers: { cookie } })).toBe(token);
+
+      const cookies = { test_session: 'chunks:2', 'test_session.0': 'ab', 'test_session.1': 'cd' };
+      expect(manager.getTokenFromRequest({ cookies, headers: {} })).toBe('abcd');
+    });
+
+    it('should read an Authorization: Bearer header', () => {
+      const req = { headers: { authorization: 'Bearer abc.def', cookie: 'test_session=my-token' } };
+      expect(manager.readTokenFromRequest(req)).toEqual({ token: 'abc.def', bearer: true, cookieToken: 'my-token' });
+      expect(manager.readTokenFromRequest(req, 'header')).toEqual({ token: 'abc.def', bearer: true });
+      expect(manager.readTokenFromRequest(req, 'cookie')).toEqual({ token: 'my-token', bearer: false });
+      expect(manager.getTokenFromRequest({ headers: { authorization: 'Basic dXNlcjpw' } })).toBeNull();
+      expect(manager.getTokenFromRequest({ headers: { cookie: 'test_session=my-token' } }, 'header')).toBeNull();
+    });
+
+    it('should return null if a chunk is missing', () => {
+      const req = { headers: { cookie: 'test_session=chunks:2; test_session.0=ab' } };
+      expect(manager.getTokenFromRequest(req)).toBeNull();
+    });
+  });
+
+  describe('rolling sessions', () => {
+    const rolling = new SessionManager({
+      secret: 'test-secret-at-least-32-characters-long!',
+      cookieName: 'test_session',
+      secure: false,
+      rolling: true,
+      idleTimeout: 1800,
+      updateAge: 600,
+      absoluteTimeout: 7200,
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should not renew a session younger than updateAge', async () => {
+      const token = await rolling.createToken(mockUser);
+      const result = await rolling.validateSession(token);
+      expect(result.user.id).toBe('123');
+      expect(result.renewedToken).toBeNull();
+      expect(result.renewedCookie).toBeNull();
+    });
+
+    it('should re-issue a session past updateAge with a fresh expiry', async () => {
+      vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+      const token = await rolling.createToken(mockUser, { roles: ['admin'] });
+
+      vi.advanceTimersByTime(700_000);
+      const { user, renewedToken, renewedCookie } = await rolling.validateSession(token);
+      expect(user.roles).toEqual(['admin']);
+      expect(renewedCookie[0]).toContain(`test_session=${renewedToken}`);
+      expect(renewedCookie[0]).toContain('Max-Age=1800');
+
+      // The original token is dead after the idle timeout; the renewed one isn't
+      vi.advanceTimersByTime(1_500_000);
+      await expect(rolling.verifyToken(token)).rejects.toThrow(SessionError);
+      const renewed = await rolling.verifyToken(renewedToken);
+      expect(renewed.roles).toEqual(['admin']);
+    });
+
+    it('should expire an idle session', async () => {
+      vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+      const token = await rolling.createToken(mockUser);
+
+      vi.advanceTimersByTime(1_801_000);
+      await expect(rolling.validateSession(token)).rejects.toThrow(SessionError);
+    });
+
+    it('should not extend a session past absoluteTimeout', async () => {
+      vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+      let token = await rolling.createToken(mockUser);
+
+      // Stay active: renew every 20 minutes
+      for (let i = 0; i < 4; i++) {
+        vi.advanceTimersByTime(1_200_000);
+        const { renewedToken } = await rolling.validateSession(token);
+        if (renewedToken) token = renewedToken;
+      }
+
+      // 100 minutes in — the renewal is capped at the 2h mark
+      vi.advanceTimersByTime(1_200_000);
+      const { renewedToken, renewedCookie } = await rolling.validateSession(token);
+      expect(renewedCookie[0]).toContain('Max-Age=1200');
+
+      vi.advanceTimersByTime(1_201_000);
+      await expect(rolling.validateSession(renewedToken)).rejects.toThrow(SessionError);
+    });
+
+    it('should reject sessions older than a newly lowered absoluteTimeout', async () => {
+      vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+      const token = await manager.createToken(mockUser);
+      const strict = new SessionManager({ ...manager.config, absoluteTimeout: 600 });
+
+      vi.advanceTimersByTime(700_000);
+      await expect(strict.verifyToken(token)).rejects.toThrow('absolute timeout');
+    });
+
+    it('should never renew a non-rolling session', async () => {
+      vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+      const token = await manager.createToken(mockUser);
+
+      vi.advanceTimersByTime(3_000_000);
+      const { renewedToken } = await manager.validateSession(token);
+      expect(renewedToken).toBeNull();
+    });
+  });
+});
+
+describe('Session secret rotation', () => {
+  const mockUser = { id: '123', email: 'test@example.com', provider: 'google' };
+  const OLD = 'the-old-secret-at-least-32-characters!!';
+  const NEW = 'the-new-secret-at-least-32-characters!!';
+
+  it('should sign with the first key and put its kid in the header', async () => {
+    const manager = new SessionManager({ secrets: [{ kid: 'v2', secret: NEW }, { kid: 'v1', secret: OLD }] });
+    const token = await manager.createToken(mockUser);
+
+    expect(jose.decodeProtectedHeader(token).kid).toBe('v2');
+    await expect(jose.jwtVerify(token, new TextEncoder().encode(NEW))).resolves.toBeDefined();
+  });
+
+  it('should accept tokens signed with any listed key and re-issue old ones under the current key', async () => {
+    const before = new SessionManager({ secrets: [{ kid: 'v1', secret: OLD }] });
+    const after = new SessionManager({ secrets: [{ kid: 'v2', secret: NEW }, { kid: 'v1', secret: OLD }] });
+    const oldToken = await before.createToken(mockUser, { roles: ['admin'] });
+
+    const { user, renewedToken, renewedCookie, session } = await after.validateSession(oldToken);
+    expect(user.roles).toEqual(['admin']);
+    expect(jose.decodeProtectedHeader(renewedToken).kid).toBe('v2');
+    expect(renewedCookie[0]).toContain(`authsnap_session=${renewedToken}`);
+
+    // Same session, same expiry — rotation doesn't extend it
+    const claims = jose.decodeJwt(renewedToken);
+    expect(claims.exp).toBe(jose.decodeJwt(oldToken).exp);
+    expect(claims.jti).toBe(session.jti);
+
+    const again = await after.validateSession(renewedToken);
+    expect(again.renewedToken).toBeNull();
+  });
+
+  it('should migrate tokens from a single secret (no kid)', async () => {
+    const before = new SessionManager({ secret: OLD });
+    const after = new SessionManager({ secrets: [{ kid: 'v2', secret: NEW }, { kid: 'v1', secret: OLD }] });
+    const oldToken = await before.createToken(mockUser);
+
+    expect(jose.decodeProtectedHeader(oldToken).kid).toBeUndefined();
+    const { renewedToken } = await after.validateSession(oldToken);
+    expect(jose.decodeProtectedHeader(renewedToken).kid).toBe('v2');
+  });
+
+  it('should reject tokens whose key was removed from the list', async () => {
+    const before = new SessionManager({ secrets: [{ kid: 'v1', secret: OLD }] });
+    const after = new SessionManager({ secrets: [{ kid: 'v2', secret: NEW }] });
+    const oldToken = await before.createToken(mockUser);
+
+    await expect(after.verifyToken(oldToken)).rejects.toThrow('unknown key ID "v1"');
+  });
+
+  it('should reject a kid that claims the wrong key', async () => {
+    const attacker = new SessionManager({ secrets: [{ kid: 'v2', secret: 'guessed-secret-at-least-32-characters!' }] });
+    const manager = new SessionManager({ secrets: [{ kid: 'v2', secret: NEW }] });
+    const forged = await attacker.createToken(mockUser);
+
+    await expect(manager.verifyToken(forged)).rejects.toThrow(SessionError);
+  });
+
+  describe('asymmetric keys', () => {
+    const pair = (type, options) => generateKeyPairSync(type, options).privateKey;
+    const keys = {
+      RS256: pair('rsa', { modulusLength: 2048 }),
+      ES256: pair('ec', { namedCurve: 'P-256' }),
+      EdDSA: pair('ed25519'),
+    };
+
+    for (const [alg, privateKey] of Object.entries(keys)) {
+      it(`should sign with ${alg} and verify with the public key alone`, async () => {
+        const manager = new SessionManager({ secrets: [{ kid: `k-${alg}`, alg, privateKey }] });
+        const token = await manager.createToken(mockUser);
+        expect(jose.decodeProtectedHeader(token)).toEqual({ alg, kid: `k-${alg}` });
+        expect((await manager.verifyToken(token)).id).toBe('123');
+
+        // What a downstream service does with the published JWKS
+        const jwks = jose.createLocalJWKSet(manager.keyring.jwks());
+        const { payload } = await jose.jwtVerify(token, jwks, { issuer: 'authsnap' });
+        expect(payload.user.id).toBe('123');
+      });
+    }
+
+    it('should accept PEM keys and publish only public key material', async () => {
+      const pem = keys.ES256.export({ type: 'pkcs8', format: 'pem' });
+      const manager = new SessionManager({
+        secrets: [
+          { kid: 'ec', alg: 'ES256', privateKey: pem },
+          { kid: 'hmac', secret: OLD },
+        ],
+      });
+
+      const { keys: published } = manager.keyring.jwks();
+      expect(published).toHaveLength(1);
+      expect(published[0]).toMatchObject({ kid: 'ec', alg: 'ES256', use: 'sig', kty: 'EC', crv: 'P-256' });
+      expect(published[0].d).toBeUndefined();
+    });
+
+    it('should move from an HMAC secret to a key pair without logging anyone out', async () => {
+      const before = new SessionManager({ secret: OLD });
+      const after = new SessionManager({
+        secrets: [
+          { kid: 'ec', alg: 'ES256', privateKey: keys.ES256 },
+          { kid: 'legacy', secret: OLD },
+        ],
+      });
+      const oldToken = await before.createToken(mockUser);
+
+      const { renewedToken } = await after.validateSession(oldToken);
+      expect(jose.decodeProtectedHeader(renewedToken)).toEqual({ alg: 'ES256', kid: 'ec' });
+    });
+
+    it('should verify with a retired public key but never sign with it', async () => {
+      const signer = new SessionManager({ secrets: [{ kid: 'old', alg: 'EdDSA', privateKey: keys.EdDSA }] });
+      const token = await signer.createToken(mockUser);
+      const publicKey = createPublicKey(keys.EdDSA).export({ format: 'jwk' });
+
+      const manager = new SessionManager({
+        secrets: [
+          { kid: 'new', alg: 'ES256', privateKey: keys.ES256 },
+          { kid: 'old', alg: 'EdDSA', publicKey },
+        ],
+      });
+      const { renewedToken } = await manager.validateSession(token);
+      expect(jose.decodeProtectedHeader(renewedToken).kid).toBe('new');
+    });
+
+    it('should not let a token pick HS256 to be checked against a public key', async () => {
+      const manager = new SessionManager({ secrets: [{ kid: 'rsa', alg: 'RS256', privateKey: keys.RS256 }] });
+      const publicPem = createPublicKey(keys.RS256).export({ type: 'spki', format: 'pem' });
+      const forged = await new jose.SignJWT({ user: mockUser })
+        .setProtectedHeader({ alg: 'HS256', kid: 'rsa' })
+        .setIssuer('authsnap')
+        .setExpirationTime('1h')
+        .sign(new TextEncoder().encode(publicPem));
+
+      await expect(manager.verifyToken(forged)).rejects.toThrow(SessionError);
+    });
+  });
+});
+
+describe('Encrypted sessions', () => {
+  const SECRET = 'test-secret-at-least-32-characters-long!';
+  const mockUser = { id: '123', email: 'private@example.com', provider: 'google', raw: { phone: '555-0100' } };
+  const encrypted = new SessionManager({ secret: SECRET, encrypt: true });
+
+  it('should issue a JWE whose payload cannot be read from the cookie', async () => {
+    const token = await encrypted.createToken(mockUser);
+
+    expect(token.split('.')).toHaveLength(5);
+    // The jti is also in the header, for CSRF tokens; the claims are not
+    expect(jose.decodeProtectedHeader(token)).toEqual({ alg: 'dir', enc: 'A256GCM', jti: expect.any(String) });
+    const readable = token.split('.').map((part) => Buffer.from(part, 'base64url').toString('latin1')).join('');
+    expect(readable).not.toContain('private@example.com');
+    expect(() => jose.decodeJwt(token)).toThrow();
+  });
+
+  it('should verify and validate encrypted tokens', async () => {
+    const token = await encrypted.createToken(mockUser, { roles: ['admin'] });
+
+    const user = await encrypted.verifyToken(token);
+    expect(user.email).toBe('private@example.com');
+    expect(user.roles).toEqual(['admin']);
+
+    const { renewedToken } = await encrypted.validateSession(token);
+    expect(renewedToken).toBeNull();
+  });
+
+  it('should reject tampered tokens and tokens encrypted under another secret', async () => {
+    const token = await encrypted.createToken(mockUser);
+    const parts = token.split('.');
+    parts[3] = parts[3].slice(0, -2) + (parts[3].endsWith('AA') ? 'BB' : 'AA');
+    await expect(encrypted.verifyToken(parts.join('.'))).rejects.toThrow(SessionError);
+
+    const other = new SessionManager({ secret: 'another-secret-at-least-32-characters!!', encrypt: true });
+    await expect(encrypted.verifyToken(await other.createToken(mockUser))).rejects.toThrow(SessionError);
+  });
+
+  it('should re-issue signed tokens as encrypted ones once encrypt is switched on', async () => {
+    const signed = new SessionManager({ secret: SECRET });
+    const token = await signed.createToken(mockUser);
+
+    const { renewedToken } = await encrypted.validateSession(token);
+    expect(jose.decodeProtectedHeader(renewedToken).enc).toBe('A256GCM');
+    const { payload } = await jose.jwtDecrypt(renewedToken, encrypted.keyring.current.encryptionKey);
+    expect(payload.exp).toBe(jose.decodeJwt(token).exp);
+  });
+
+  it('should rotate encryption keys with session.secrets', async () => {
+    const before = new SessionManager({ secrets: [{ kid: 'v1', secret: SECRET }], encrypt: true });
+    const after = new SessionManager({
+      secrets: [{ kid: 'v2', secret: 'the-new-secret-at-least-32-characters!!' }, { kid: 'v1', secret: SECRET }],
+      encrypt: true,
+    });
+    const token = await before.createToken(mockUser);
+    expect(jose.decodeProtectedHeader(token).kid).toBe('v1');
+
+    const { user, renewedToken } = await after.validateSession(token);
+    expect(user.id).toBe('123');
+    expect(jose.decodeProtectedHeader(renewedToken).kid).toBe('v2');
   });
 });
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { AuthSnap, StateStore } from '../src/index.js';
+import { handleLogin, handleCallback } from '../src/core/route-handler.js';
+
+const mockUser = { id: 'u1', email: 'a@b.com', name: 'A', avatar: null, provider: 'google', emailVerified: true, raw: {} };
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('StateStore', () => {
+  it('should store and retrieve values', async () => {
+    const store = new StateStore();
+    await store.set('s1', { state: 's1' }, 60_000);
+    expect(await store.get('s1')).toEqual({ state: 's1' });
+    expect(store.size).toBe(1);
+  });
+
+  it('should expire values after their TTL', async () => {
+    vi.useFakeTimers();
+    const store = new StateStore();
+    await store.set('s1', { state: 's1' }, 1000);
+
+    vi.advanceTimersByTime(1001);
+    expect(await store.get('s1')).toBeNull();
+  });
+
+  it('should report whether delete removed an entry', async () => {
+    const store = new StateStore();
+    await store.set('s1', {}, 60_000);
+    expect(await store.delete('s1')).toBe(true);
+    expect(await store.delete('s1')).toBe(false);
+  });
+});
+
+describe('Flows in the state store', () => {
+  const makeAuth = (overrides = {}) => {
+    const auth = new AuthSnap({
+      providers: { google: { clientId: 'gid', clientSecret: 'gsec' } },
+      session: { secret: 'test-secret-at-least-32-characters-long!' },
+      ...overrides,
+    });
+    const provider = auth.getProvider('google');
+    vi.spyOn(provider, 'exchangeCode').mockResolvedValue({ accessToken: 'at' });
+    vi.spyOn(provider, 'getProfile').mockResolvedValue(mockUser);
+    return auth;
+  };
+
+  it('should keep cookie-based flows out of the default store', async () => {
+    const auth = makeAuth();
+    const { flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    expect(flowCookie).toBeTruthy();
+    expect(auth.stateStore.size).toBe(0);
+  });
+
+  it('should use a configured stateStore for every provider, with only a binding cookie', async () => {
+    const stateStore = new StateStore();
+    const auth = makeAuth({ stateStore });
+
+    const { state, flowCookie, flowCookieName } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    expect(flowCookieName).toMatch(/^authsnap_state_/);
+    expect(flowCookie).not.toContain(state);
+    expect((await stateStore.get(state)).provider).toBe('google');
+
+    const result = await handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb');
+    expect(result.redirectURL).toBe('/');
+    expect(await stateStore.get(state)).toBeNull();
+  });
+
+  it('should only accept each state once', async () => {
+    const auth = makeAuth({ stateStore: new StateStore() });
+    const { state, flowCookie } = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+
+    await handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb');
+    await expect(
+      handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb')
+    ).rejects.toThrow('Invalid state');
+  });
+
+  it("should reject a stored flow's callback in a browser that didn't start it", async () => {
+    const stateStore = new StateStore();
+    const auth = makeAuth({ stateStore });
+    // The attacker starts a login and sends the victim the callback URL
+    const attacker = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+    const victim = await handleLogin(auth, 'google', 'http://localhost/cb', {});
+
+    for (const cookie of [undefined, victim.flowCookie]) {
+      await expect(
+        handleCallback(auth, 'google', { code: 'c', state: attacker.state }, cookie, 'http://localhost/cb')
+      ).rejects.toThrow('Invalid state');
+    }
+    expect(auth.getProvider('google').exchangeCode).not.toHaveBeenCalled();
+    expect(await stateStore.get(attacker.state)).not.toBeNull();
+  });
+
+  it('should not fall back to a cookie when the store is in use', async () => {
+    const auth = makeAuth({ stateStore: new StateStore() });
+    const cookieAuth = makeAuth();
+    const { state, flowCookie } = await handleLogin(cookieAuth, 'google', 'http://localhost/cb', {});
+
+    await expect(
+      handleCallback(auth, 'google', { code: 'c', state }, flowCookie, 'http://localhost/cb')
+    ).rejects.toThrow('Invalid state');
+  });
+
+  it('should keep Apple form_post flows in the default store, bound by a SameSite=None cookie', async () => {
+    const auth = new AuthSnap({
+      providers: { apple: { clientId: 'com.example', clientSecret: 'sec' } },
+      session: { secret: 'test-secret-at-least-32-characters-long!', secure: false },
+    });
+    const { state, flowCookie, flowCookieSameSite, secure } = await handleLogin(auth, 'apple', 'http://localhost/cb', {});
+    expect(flowCookie).toBeTruthy();
+    expect(flowCookieSameSite).toBe('none');
+    expect(secure).toBe(true);
+    expect(await auth.stateStore.get(state)).toMatchObject({ state, provider: 'apple' });
+  });
+});
@@ -1,6 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { TokenRefresher } from '../src/session/token-refresh.js';
 import { TokenStore } from '../src/session/token-store.js';
+import { GoogleProvider } from '../src/providers/google.js';
+import { TwitterProvider } from '../src/providers/twitter.js';
 
 /**
  * Build a minimal mock AuthSnap object for testing TokenRefresher.
@@ -12,11 +14,7 @@ function createMockAuthSnap(overrides = {}) {
     config: {
       callbacks: overrides.callbacks || {},
     },
-    getProvider: vi.fn(() => ({
-      name: 'google',
-      config: { clientId: 'cid', clientSecret: 'csec' },
-      endpoints: { token: 'https://oauth2.googleapis.com/token' },
-    })),
+    getProvider: vi.fn(() => new GoogleProvider({ clientId: 'cid', clientSecret: 'csec' })),
     emit: vi.fn(),
     ...overrides,
   };
@@ -244,4 +242,59 @@ describe('TokenRefresher', () => {
 
     global.fetch = undefined;
   });
+
+  it('should authenticate the refresh with the provider tokenAuthStyle', async () => {
+    authSnap.getProvider = vi.fn(() => new TwitterProvider({ clientId: 'cid', clientSecret: 'csec' }));
+    const key = TokenStore.key('twitter', 'user1');
+    await authSnap.tokenStore.set(key, {
+      accessToken: 'old',
+      refreshToken: 'refresh',
+      expiresAt: Date.now() - 1000,
+      tokenType: 'Bearer',
+      scope: null,
+    });
+
+    global.fetch = vi.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ access_token: 'refreshed', expires_in: 3600 }),
+      })
+    );
+
+    await refresher.getValidTokens('twitter', 'user1');
+
+    const [, init] = global.fetch.mock.calls[0];
+    const body = new URLSearchParams(init.body);
+    expect(init.headers.Authorization).toBe(`Basic ${Buffer.from('cid:csec').toString('base64')}`);
+    expect(body.get('client_secret')).toBeNull();
+    expect(body.get('grant_type')).toBe('refresh_token');
+    expect(body.get('refresh_token')).toBe('refresh');
+
+    global.fetch = undefined;
+  });
+
+  it('should keep the id_token when the refresh response omits it', async () => {
+    const key = TokenStore.key('google', 'user1');
+    await authSnap.tokenStore.set(key, {
+      accessToken: 'old',
+      refreshToken: 'refresh',
+      idToken: 'id-token',
+      expiresAt: Date.now() - 1000,
+      tokenType: 'Bearer',
+      scope: null,
+    });
+
+    global.fetch = vi.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ access_token: 'refreshed', expires_in: 3600 }),
+      })
+    );
+
+    const result = await refresher.getValidTokens('google', 'user1');
+    expect(result.idToken).toBe('id-token');
+    expect((await authSnap.tokenStore.get(key)).idToken).toBe('id-token');
+
+    global.fetch = undefined;
+  });
 });
@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { AuthSnap, AccountLinker, TokenStore } from '../src/index.js';
+import { handleLogoutRequest } from '../src/core/route-handler.js';
+
+const makeAuth = (overrides = {}) =>
+  new AuthSnap({
+    providers: {
+      google: { clientId: 'gid', clientSecret: 'gsec' },
+      github: { clientId: 'ghid', clientSecret: 'ghsec' },
+      spotify: { clientId: 'sid', clientSecret: 'ssec' },
+    },
+    session: { secret: 'test-secret-at-least-32-characters-long!' },
+    ...overrides,
+  });
+
+const stubFetch = () => {
+  const fetchMock = vi.fn(async () => new Response(null, { status: 200 }));
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('BaseProvider.revokeToken', () => {
+  it('should revoke the refresh token at Google\'s revocation endpoint', async () => {
+    const fetchMock = stubFetch();
+    const google = makeAuth().getProvider('google');
+
+    expect(await google.revokeToken({ accessToken: 'at', refreshToken: 'rt' })).toBe(true);
+
+    const [url, init] = fetchMock.mock.calls[0];
+    const body = new URLSearchParams(init.body);
+    expect(url).toBe('https://oauth2.googleapis.com/revoke');
+    expect(body.get('token')).toBe('rt');
+    expect(body.get('token_type_hint')).toBe('refresh_token');
+    expect(body.get('client_id')).toBe('gid');
+  });
+
+  it('should delete the app grant on GitHub', async () => {
+    const fetchMock = stubFetch();
+    const github = makeAuth().getProvider('github');
+
+    await github.revokeToken({ accessToken: 'gho_abc' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://api.github.com/applications/ghid/grant');
+    expect(init.method).toBe('DELETE');
+    expect(init.headers.Authorization).toBe(`Basic ${Buffer.from('ghid:ghsec').toString('base64')}`);
+    expect(JSON.parse(init.body)).toEqual({ access_token: 'gho_abc' });
+  });
+
+  it('should return false for providers without revocation support', async () => {
+    const fetchMock = stubFetch();
+    expect(await makeAuth().getProvider('spotify').revokeToken({ accessToken: 'at' })).toBe(false);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should throw a ProviderError when the provider rejects the revocation', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('nope', { status: 400 })));
+    await expect(makeAuth().getProvider('google').revokeToken({ accessToken: 'at' }))
+      .rejects.toThrow('Token revocation failed (400)');
+  });
+});
+
+describe('AuthSnap.revokeTokens', () => {
+  it('should revoke, delete the stored tokens and emit token:revoke', async () => {
+    stubFetch();
+    const auth = makeAuth();
+    const key = TokenStore.key('google', 'u1');
+    await auth.tokenStore.set(key, { accessToken: 'at' });
+    const listener = vi.fn();
+    auth.on('token:revoke', listener);
+
+    expect(await auth.revokeTokens('google', 'u1')).toBe(true);
+    expect(await auth.tokenStore.has(key)).toBe(false);
+    expect(listener).toHaveBeenCalledWith({ provider: 'google', userId: 'u1', revoked: true });
+  });
+
+  it('should return false when no tokens are stored', async () => {
+    const fetchMock = stubFetch();
+    expect(await makeAuth().revokeTokens('google', 'nobody')).toBe(false);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('Revocation on logout and unlink', () => {
+  const user = { id: 'u1', email: 'a@b.com', name: 'A', avatar: null, provider: 'google', emailVerified: true };
+
+  it('should revoke tokens on POST logout when revokeOnLogout is set', async () => {
+    const fetchMock = stubFetch();
+    const auth = makeAuth({ revokeOnLogout: true });
+    await auth.tokenStore.set(TokenStore.key('google', 'u1'), { accessToken: 'at' });
+    const sessionToken = await auth.sessionManager.createToken(user);
+    const csrfToken = auth.csrfToken({ headers: { cookie: `authsnap_session=${sessionToken}` } });
+
+    await handleLogoutRequest(auth, { sessionToken, csrfToken, baseURL: 'http://localhost' });
+
+    expect(fetchMock).toHaveBeenCalledWith('https://oauth2.googleapis.com/revoke', expect.anything());
+    expect(await auth.tokenStore.has(TokenStore.key('google', 'u1'))).toBe(false);
+  });
+
+  it('should still log out when revocation fails', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new Error('network down'); }));
+    const auth = makeAuth({ revokeOnLogout: true });
+    await auth.tokenStore.set(TokenStore.key('google', 'u1'), { accessToken: 'at' });
+    const sessionToken = await auth.sessionManager.createToken(user);
+    const csrfToken = auth.csrfToken({ headers: { cookie: `authsnap_session=${sessionToken}` } });
+    const onError = vi.fn();
+    auth.on('error', onError);
+
+    const result = await handleLogoutRequest(auth, { sessionToken, csrfToken, baseURL: 'http://localhost' });
+    expect(result.clearCookie[0]).toContain('Max-Age=0');
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ provider: 'google' }));
+  });
+
+  it('should revoke the provider account\'s tokens on unlink', async () => {
+    stubFetch();
+    const auth = makeAuth();
+    await auth.tokenStore.set(TokenStore.key('google', 'g-123'), { accessToken: 'at' });
+    const linker = new AccountLinker(null, { authSnap: auth, revokeTokens: true });
+    const listener = vi.fn();
+    auth.on('token:revoke', listener);
+
+    await linker.link('app-1', 'google', 'g-123');
+    expect(await linker.unlink('app-1', 'google')).toBe(true);
+    expect(listener).toHaveBeenCalledWith({ provider: 'google', userId: 'g-123', revoked: true });
+  });
+
+  it('should not revoke on unlink by default', async () => {
+    const fetchMock = stubFetch();
+    const auth = makeAuth();
+    await auth.tokenStore.set(TokenStore.key('google', 'g-123'), { accessToken: 'at' });
+    const linker = new AccountLinker();
+
+    await linker.link('app-1', 'google', 'g-123');
+    await linker.unlink('app-1', 'google');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
@@ -20,6 +20,7 @@ export interface TokenSet {
   expiresAt: number | null;
   tokenType: string;
   scope: string | null;
+  idToken?: string | null;
 }
 
 export interface ProviderConfig {
@@ -27,25 +28,88 @@ export interface ProviderConfig {
   clientSecret: string;
   scopes?: string[];
   callbackURL?: string;
+  /** Name shown on login buttons (defaults to the provider's brand name) */
+  displayName?: string;
   prompt?: string;
+  /** Send an S256 PKCE challenge on login (defaults to the provider's own setting) */
+  pkce?: boolean;
+  /** Local JWK Set for id_token verification (overrides the provider's JWKS URI) */
+  jwks?: { keys: Record<string, any>[] };
+  /** Other client IDs whose id_tokens are accepted (e.g. iOS / Android client IDs or Apple's bundle ID, for token-login) */
+  audiences?: string[];
+  /** Accept an access_token at token-login, though it may have been issued to another app (default false) */
+  accessTokenLogin?: boolean;
+  /** Generic provider type — `'oidc'` builds an OIDCProvider from `issuer`, `'oauth2'` an OAuth2Provider from `endpoints` */
+  type?: 'oidc' | 'oauth2';
+  /** OIDC issuer URL (for `type: 'oidc'`) */
+  issuer?: string;
+  /** Authorization, token and userinfo URLs (for `type: 'oauth2'`) */
+  endpoints?: { authorization: string; token: string; userinfo: string; [key: string]: any };
+  /** Scopes requested when `scopes` is not set (for `type: 'oauth2'`) */
+  defaultScopes?: string[];
+  /** Extra query params for the authorization URL (for `type: 'oauth2'`) */
+  authorizationParams?: Record<string, string>;
+  /** Map the userinfo response to AuthUser — a function or a field → dotted-path map (for `type: 'oauth2'`) */
+  profile?: ((raw: Record<string, any>) => Partial<AuthUser> | Promise<Partial<AuthUser>>) | Partial<Record<'id' | 'email' | 'name' | 'avatar' | 'emailVerified', string>>;
+  /** How client credentials are sent to the token endpoint */
+  tokenAuthStyle?: 'body' | 'basic';
+  /** Redirect through the provider's end-session endpoint on POST logout, if it has one; the logout redirect must be registered there (default false) */
+  singleLogout?: boolean;
+  /** Registered `post_logout_redirect_uri` (defaults to the absolute `returnTo`) */
+  postLogoutRedirectURL?: string;
   /** Custom provider class (must extend BaseProvider) */
   provider?: typeof BaseProvider;
   [key: string]: any;
 }
 
+export interface SessionKeyConfig {
+  /** Key ID, sent in the JWT header */
+  kid: string;
+  /** Default 'HS256' */
+  alg?: 'HS256' | 'RS256' | 'ES256' | 'EdDSA';
+  /** HMAC secret (HS256) */
+  secret?: string;
+  /** Private key as PEM, JWK or KeyObject (RS256 / ES256 / EdDSA) */
+  privateKey?: string | object;
+  /** Public key only — a retired key pair that still verifies */
+  publicKey?: string | object;
+}
+
 export interface SessionConfig {
-  strategy?: 'jwt';
-  secret: string;
+  /** 'jwt' (default): signed JWT in the cookie. 'cookie': opaque session ID backed by `store` */
+  strategy?: 'jwt' | 'cookie';
+  /** Required unless `secrets` is set */
+  secret?: string;
+  /** Session signing keys, newest first; replaces `secret` for sessions */
+  secrets?: SessionKeyConfig[];
   maxAge?: number;
   cookieName?: string;
   secure?: boolean;
+  /** Encrypt session JWTs (JWE, dir / A256GCM) so the cookie can't be read (default false) */
+  encrypt?: boolean;
+  /** Re-issue the session on activity so it slides forward (default false) */
+  rolling?: boolean;
+  /** Seconds after issue before a rolling session is re-issued (default idleTimeout / 2) */
+  updateAge?: number;
+  /** Lifetime of each issued token in seconds; with `rolling`, the inactivity limit (default maxAge) */
+  idleTimeout?: number;
+  /** Hard limit in seconds from sign-in, regardless of activity */
+  absoluteTimeout?: number;
+  /** Server-side session store for the 'cookie' strategy (default in-memory) */
+  store?: SessionStore;
+  /** Where `protect()` reads the session: cookie, `Authorization: Bearer` header, or either (default 'both', header first) */
+  tokenSource?: TokenSource;
 }
 
+export type TokenSource = 'cookie' | 'header' | 'both';
+
 export interface AuthCallbacks {
   onSuccess?(user: AuthUser, tokens: TokenSet, provider: string): Promise<{ redirect?: string; roles?: string[]; permissions?: string[] } | void> | { redirect?: string; roles?: string[]; permissions?: string[] } | void;
   onError?(error: Error, provider: string): { redirect?: string } | void;
   onBeforeAuth?(provider: string, req: any): void;
   onTokenRefresh?(tokens: TokenSet, provider: string): void;
+  /** Shape the user claims stored in the session; `id` and `provider` are kept unless returned. Default: AuthUser without `raw` */
+  session?(context: { user: AuthUser; tokens: TokenSet; provider: string }): Promise<Record<string, any>> | Record<string, any>;
 }
 
 export interface RateLimitConfig {
@@ -60,18 +124,48 @@ export interface AuthSnapConfig {
   basePath?: string;
   baseURL?: string;
   tokenStore?: TokenStore;
+  /** Server-side login state store. When set, every flow is kept there; its cookie only binds it to the browser */
+  stateStore?: StateStore;
+  /** Session denylist and per-user session generations (default in-memory) */
+  revocationStore?: RevocationStore;
   rateLimit?: RateLimitConfig | false;
   allowedRedirects?: string[];
+  /** Revoke the user's provider tokens on POST logout (default false) */
+  revokeOnLogout?: boolean;
+  /** Let `POST {basePath}/token` hand a cookie session to the client as a bearer token (default false) */
+  allowTokenExchange?: boolean;
+  /** @deprecated Also mount `GET {basePath}/logout`, which any site can trigger — use POST logout (default false) */
+  allowGetLogout?: boolean;
+  /** Renders the HTML error page for browser navigations (API clients always get JSON) */
+  errorPage?: ErrorPageRenderer;
+  /** Native / mobile app login with a one-time code handoff */
+  mobile?: MobileConfig;
+}
+
+export interface MobileConfig {
+  /** Exact redirect URIs apps may use — custom schemes (`com.example.app:/oauth`) or universal / app links */
+  redirectURIs: string[];
 }
 
+export interface ErrorPageContext {
+  status: number;
+  /** e.g. `'ACCESS_DENIED'`, `'UNAUTHORIZED'`, `'FORBIDDEN'` */
+  code?: string;
+  message: string;
+}
+
+export type ErrorPageRenderer = (context: ErrorPageContext, req: any) => string | Promise<string>;
+
 // ── Core ──────────────────────────────────────────────────────
 
 export interface AuthSnapEvents {
   login: { provider: string; req: any };
   success: { user: AuthUser; tokens: TokenSet; provider: string };
   error: { error: Error; provider: string };
-  logout: {};
+  logout: { user?: AuthUser };
   'token:refresh': { tokens: TokenSet; provider: string };
+  'token:revoke': { provider: string; userId: string; revoked: boolean };
+  'session:revoke': { jti?: string; provider?: string; userId?: string };
 }
 
 export class AuthSnap {
@@ -79,12 +173,32 @@ export class AuthSnap {
   providers: Map<string, BaseProvider>;
   sessionManager: SessionManager;
   tokenStore: TokenStore;
+  stateStore: StateStore;
+  revocationStore: RevocationStore;
   tokenRefresher: TokenRefresher;
 
   constructor(config: AuthSnapConfig);
 
   getProvider(name: string): BaseProvider;
 
+  /** CSRF token for the request's session (submit as `_csrf` or `X-CSRF-Token` to POST logout) */
+  csrfToken(req: any): string | null;
+
+  /** Sign in on a device without a browser (CLI, TV) with the OAuth device authorization grant (RFC 8628) */
+  deviceFlow(provider: string, options: DeviceFlowOptions): Promise<DeviceFlowResult>;
+
+  /** Sign in from a desktop or CLI app through the system browser and a temporary 127.0.0.1 redirect listener (RFC 8252) */
+  loopbackLogin(provider: string, options: LoopbackLoginOptions): Promise<LoopbackLoginResult>;
+
+  /** Revoke a user's stored tokens at the provider and drop them from the token store */
+  revokeTokens(provider: string, userId: string): Promise<boolean>;
+
+  /** Revoke one session by its jti; protect() rejects it from the next request */
+  revokeSession(jti: string): Promise<void>;
+
+  /** Revoke every session the user currently has with a provider ("log out everywhere") */
+  revokeAllSessions(provider: string, userId: string): Promise<void>;
+
   /** Returns an Express Router with all auth routes */
   express(): any;
 
@@ -127,10 +241,48 @@ export class ConfigError extends AuthSnapError {
 }
 
 export class ProviderError extends AuthSnapError {
+  provider: string;
+  constructor(message: string, provider: string, code?: string);
+}
+
+/** `code: 'ACCESS_DENIED'` — the user cancelled on the consent screen */
+export class AccessDeniedError extends AuthSnapError {
+  provider: string;
+  description?: string;
+  constructor(message: string, provider: string, description?: string);
+}
+
+/** `code: 'STATE_MISMATCH'` — missing, tampered, expired or foreign flow state */
+export class StateMismatchError extends AuthSnapError {
+  constructor(message: string);
+}
+
+/** `code: 'CSRF_INVALID'` — POST logout without a valid CSRF token */
+export class CsrfError extends AuthSnapError {
+  constructor(message: string);
+}
+
+/** `code: 'INVALID_REQUEST'` (bad mobile login request) or `'INVALID_GRANT'` (bad, expired or reused code / verifier) */
+export class MobileLoginError extends AuthSnapError {
+  constructor(message: string, code: 'INVALID_REQUEST' | 'INVALID_GRANT');
+}
+
+/** `code: 'INVALID_TOKEN'` — token-login credential missing, failed verification or rejected by the provider */
+export class TokenLoginError extends AuthSnapError {
   provider: string;
   constructor(message: string, provider: string);
 }
 
+/** `code: 'TOKEN_EXCHANGE_FAILED'` */
+export class TokenExchangeError extends ProviderError {
+  constructor(message: string, provider: string);
+}
+
+/** `code: 'PROFILE_FETCH_FAILED'` */
+export class ProfileFetchError extends ProviderError {
+  constructor(message: string, provider: string);
+}
+
 export class TokenError extends AuthSnapError {
   constructor(message: string);
 }
@@ -141,17 +293,98 @@ export class SessionError extends AuthSnapError {
 
 // ── Providers ─────────────────────────────────────────────────
 
+export interface AuthorizationURLOptions {
+  /** PKCE S256 code_challenge */
+  codeChallenge?: string;
+  /** OIDC nonce, echoed back in the id_token */
+  nonce?: string;
+}
+
+export interface DeviceCode {
+  /** Code the user enters at the verification page */
+  userCode: string;
+  verificationURI: string;
+  /** Verification page with the code filled in (e.g. for a QR code), if the provider offers one */
+  verificationURIComplete: string | null;
+  /** When the code stops working (ms since epoch) */
+  expiresAt: number;
+}
+
+export interface DeviceFlowOptions {
+  /** Show the code to the user */
+  onCode(code: DeviceCode): void | Promise<void>;
+  /** Stop polling; the promise rejects with the signal's reason */
+  signal?: AbortSignal;
+}
+
+export interface DeviceFlowResult {
+  user: AuthUser;
+  /** The provider's tokens (also saved in the token store) */
+  tokens: TokenSet;
+  /** The AuthSnap session, usable as a bearer token */
+  token: string;
+}
+
+export interface LoopbackLoginOptions {
+  /** Open the authorization URL in the system browser */
+  onURL(url: string): void | Promise<void>;
+  /** Stop waiting; the promise rejects with the signal's reason */
+  signal?: AbortSignal;
+  /** How long to wait for the browser in milliseconds (default 10 minutes) */
+  timeout?: number;
+}
+
+export interface LoopbackLoginResult {
+  user: AuthUser;
+  /** The provider's tokens (also saved in the token store) */
+  tokens: TokenSet;
+  /** The AuthSnap session, usable as a bearer token */
+  token: string;
+}
+
+export interface ProviderEndpoints {
+  authorization: string;
+  token: string;
+  userinfo: string | null;
+  /** Expected id_token issuer(s) */
+  issuer?: string | string[];
+  /** JWKS URI for id_token verification */
+  jwks?: string;
+  /** RP-initiated logout endpoint (OIDC) */
+  endSession?: string | null;
+  /** Token revocation endpoint (RFC 7009) */
+  revocation?: string | null;
+  /** Device authorization endpoint (RFC 8628) */
+  deviceAuthorization?: string | null;
+}
+
 export class BaseProvider {
   name: string;
   config: ProviderConfig;
-  endpoints: { authorization: string; token: string; userinfo: string };
+  endpoints: ProviderEndpoints;
   scopes: string[];
-
-  constructor(name: string, config: ProviderConfig, endpoints: { authorization: string; token: string; userinfo: string }, defaultScopes?: string[]);
-
-  getAuthorizationURL(callbackURL: string, state: string): string;
-  exchangeCode(code: string, callbackURL: string): Promise<TokenSet>;
-  getProfile(accessToken: string, extra?: any): Promise<AuthUser>;
+  /** Human-readable name for login buttons */
+  displayName: string;
+  pkce: boolean;
+  tokenAuthStyle: 'body' | 'basic';
+  responseMode: 'query' | 'form_post';
+
+  constructor(name: string, config: ProviderConfig, endpoints: ProviderEndpoints, defaultScopes?: string[]);
+
+  /** Resolve endpoint metadata before use (no-op for static providers) */
+  ready(): Promise<void>;
+  getAuthorizationURL(callbackURL: string, state: string, options?: AuthorizationURLOptions): string;
+  exchangeCode(code: string, callbackURL: string, codeVerifier?: string): Promise<TokenSet>;
+  getProfile(accessToken: string | null, extra?: { idToken?: string; nonce?: string; [key: string]: any }): Promise<AuthUser>;
+  /** Revoke tokens at the provider; resolves false if the provider has no revocation support */
+  revokeToken(tokens: TokenSet): Promise<boolean>;
+  supportsIdToken(): boolean;
+  verifyIdToken(idToken: string, options?: { nonce?: string }): Promise<Record<string, any>>;
+  supportsDeviceFlow(): boolean;
+  /** Start a device authorization: the user code to show and the device code to poll with */
+  requestDeviceCode(): Promise<{ deviceCode: string; userCode: string; verificationURI: string; verificationURIComplete: string | null; expiresIn: number; interval: number }>;
+  /** Poll the token endpoint once; OAuth errors such as `authorization_pending` are returned, not thrown */
+  pollDeviceToken(deviceCode: string): Promise<{ tokens: TokenSet } | { error: string; description?: string }>;
 }
 
 export class GoogleProvider extends BaseProvider {
@@ -186,6 +419,15 @@ export class SpotifyProvider extends BaseProvider {
   constructor(config: ProviderConfig);
 }
 
+export class OIDCProvider extends BaseProvider {
+  issuer: string;
+  constructor(config: ProviderConfig & { issuer: string; name?: string });
+}
+
+export class OAuth2Provider extends BaseProvider {
+  constructor(config: ProviderConfig & { endpoints: NonNullable<ProviderConfig['endpoints']>; name?: string });
+}
+
 // ── Session ───────────────────────────────────────────────────
 
 export class SessionManager {
@@ -193,14 +435,44 @@ export class SessionManager {
   cookieName: string;
   maxAge: number;
   secure: boolean;
-
-  constructor(config: SessionConfig);
-
-  createToken(user: AuthUser, extra?: { roles?: string[]; permissions?: string[] }): Promise<string>;
+  rolling: boolean;
+  updateAge: number;
+  idleTimeout: number;
+  absoluteTimeout: number | null;
+  strategy: 'jwt' | 'cookie';
+  encrypt: boolean;
+  tokenSource: TokenSource;
+  /** Backing store for the 'cookie' strategy; null for 'jwt' */
+  store: SessionStore | null;
+
+  revocationStore: RevocationStore;
+  keyring: Keyring;
+
+  constructor(config: SessionConfig, options?: { revocationStore?: RevocationStore });
+
+  createToken(user: AuthUser, extra?: { roles?: string[]; permissions?: string[]; authTime?: number }): Promise<string>;
   verifyToken(token: string): Promise<AuthUser>;
-  buildCookieHeader(token: string): string;
-  getTokenFromRequest(req: any): string | null;
-  buildClearCookieHeader(): string;
+  /** Verify a session and re-issue it if it's rolling and past `updateAge` (unless `renew: false`, for bearer tokens) */
+  validateSession(token: string, options?: { renew?: boolean }): Promise<{ user: AuthUser; session: SessionInfo; renewedToken: string | null; renewedCookie: string[] | null }>;
+  /** End a session now: delete it ('cookie' strategy) or denylist its jti (JWT) */
+  destroySession(token: string | null): Promise<boolean>;
+  revokeSession(jti: string): Promise<void>;
+  /** Bump the user's session generation; resolves to the new generation */
+  revokeAllSessions(provider: string, userId: string): Promise<number>;
+  /** Session cookie (plus chunks), then expiry for any unused chunk slots */
+  buildCookieHeader(token: string, maxAge?: number): string[];
+  /** Session token from the bearer header or cookie; `bearer` tells which */
+  readTokenFromRequest(req: any, source?: TokenSource): { token: string; bearer: boolean; cookieToken?: string | null } | null;
+  /** Validate a found token; a bearer token that isn't a valid session falls back to `cookieToken` */
+  validateFound(
+    found: { token: string; bearer: boolean; cookieToken?: string | null },
+    options?: { renewBearer?: boolean }
+  ): Promise<{ user: AuthUser; session: SessionInfo; renewedToken: string | null; renewedCookie: string[] | null; token: string; bearer: boolean }>;
+  getTokenFromRequest(req: any, source?: TokenSource): string | null;
+  /** Stable session ID (`jti`, or the stored session's ID) — survives renewal; read without verifying */
+  sessionId(token: string): string;
+  /** Clears the session cookie and every chunk cookie */
+  buildClearCookieHeader(): string[];
 }
 
 export class TokenStore {
@@ -215,6 +487,60 @@ export class TokenStore {
   readonly size: number;
 }
 
+export class StateStore {
+  set(key: string, value: any, ttlMs: number): Promise<void>;
+  get(key: string): Promise<any | null>;
+  /** Resolves true only if the entry existed (single-use consumption) */
+  delete(key: string): Promise<boolean>;
+  clear(): Promise<void>;
+  readonly size: number;
+}
+
+/** Session signing keys, current first (see `SessionConfig.secrets`) */
+export interface SessionKey {
+  kid: string | null;
+  alg: 'HS256' | 'RS256' | 'ES256' | 'EdDSA';
+  /** HMAC secret or private key; null for verify-only keys */
+  signingKey: Uint8Array | object | null;
+  /** HMAC secret or public key */
+  verificationKey: Uint8Array | object;
+  /** A256GCM key derived from an HMAC secret; null for key pairs */
+  encryptionKey: Uint8Array | null;
+}
+
+export interface Keyring {
+  readonly current: SessionKey;
+  candidates(kid: string | undefined, alg: string): SessionKey[];
+  /** Public JWK Set of the key pairs (HMAC keys are never included) */
+  jwks(): { keys: object[] };
+}
+
+export interface SessionInfo {
+  /** Session ID for revokeSession (null for sessions issued before jti support) */
+  jti: string | null;
+  /** Sign-in time (Unix seconds) */
+  authTime: number;
+  /** Current expiry (Unix seconds) */
+  expiresAt: number;
+}
+
+export class RevocationStore {
+  revoke(jti: string, ttlMs: number): Promise<void>;
+  isRevoked(jti: string): Promise<boolean>;
+  /** `userKey` is `{provider}:{userId}`, as built by `TokenStore.key()` */
+  getGeneration(userKey: string): Promise<number>;
+  incrementGeneration(userKey: string): Promise<number>;
+  clear(): Promise<void>;
+}
+
+export class SessionStore {
+  set(id: string, value: any, ttlMs: number): Promise<void>;
+  get(id: string): Promise<any | null>;
+  delete(id: string): Promise<boolean>;
+  clear(): Promise<void>;
+  readonly size: number;
+}
+
 export class TokenRefresher {
   constructor(authSnap: AuthSnap);
 
@@ -226,9 +552,15 @@ export class TokenRefresher {
 
 export interface ProtectOptions {
   redirect?: string;
+  /** Append `?returnTo=<original URL>` to `redirect` (default true) */
+  returnTo?: boolean;
   roles?: string[];
   permissions?: string[];
   forbiddenRedirect?: string;
+  /** HTML page for browser navigations without a redirect (defaults to the AuthSnap `errorPage`) */
+  errorPage?: ErrorPageRenderer;
+  /** Where to read the session for this route (defaults to `session.tokenSource`) */
+  tokenSource?: TokenSource;
 }
 
 export function createProtectMiddleware(
@@ -257,7 +589,7 @@ export interface AccountLinkStore {
 export class AccountLinker {
   store: AccountLinkStore;
 
-  constructor(store?: AccountLinkStore);
+  constructor(store?: AccountLinkStore | null, options?: { authSnap?: AuthSnap; revokeTokens?: boolean });
 
   link(userId: string, provider: string, providerId: string): Promise<void>;
   unlink(userId: string, provider: string): Promise<boolean>;